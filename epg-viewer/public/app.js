@@ -7,6 +7,16 @@ const loadingBar = document.getElementById('loadingBar');
 const settingsPlaylist = document.getElementById('settingsPlaylist');
 const settingsEpgUrl = document.getElementById('settingsEpgUrl');
 const usePlaylistEpg = document.getElementById('usePlaylistEpg');
+const preferredLanguagesInput = document.getElementById('preferredLanguages');
+const placeholderGroupsInput = document.getElementById('placeholderGroups');
+const placeholderBlockInput = document.getElementById('placeholderBlock');
+const placeholderTitleInput = document.getElementById('placeholderTitle');
+const placeholderDescInput = document.getElementById('placeholderDesc');
+const genreNormalizeChk = document.getElementById('genreNormalize');
+const genreKeepOriginalChk = document.getElementById('genreKeepOriginal');
+const genreTableEl = document.getElementById('genreTable');
+const genreNewCategory = document.getElementById('genreNewCategory');
+const genreNewGenre = document.getElementById('genreNewGenre');
 const settingsHost = document.getElementById('settingsHost');
 const pastDaysInput = document.getElementById('pastDays');
 const futureDaysInput = document.getElementById('futureDays');
@@ -16,13 +26,21 @@ const copyGzBtn = document.getElementById('copyGz');
 const copyXmlBtn = document.getElementById('copyXml');
 const openGzBtn = document.getElementById('openGz');
 const openXmlBtn = document.getElementById('openXml');
+const exportM3uUrlInput = document.getElementById('exportM3uUrl');
+const copyM3uBtn = document.getElementById('copyM3u');
+const openM3uBtn = document.getElementById('openM3u');
 const fullExportChk = document.getElementById('fullExport');
+const exportFilterSelect = document.getElementById('exportFilterSelect');
+const defaultExportFilterSelect = document.getElementById('defaultExportFilter');
+const exportFiltersList = document.getElementById('exportFiltersList');
 const historyBackfillChk = document.getElementById('historyBackfill');
 const historyRetentionInput = document.getElementById('historyRetentionDays');
 const autoPrewarmEnabledChk = document.getElementById('autoPrewarmEnabled');
 const autoPrewarmIntervalInput = document.getElementById('autoPrewarmInterval');
 const liveGenerationEnabledChk = document.getElementById('liveGenerationEnabled');
 const lowMemModeChk = document.getElementById('lowMemMode');
+const mirrorSchedulerEnabledChk = document.getElementById('mirrorSchedulerEnabled');
+const mirrorIntervalInput = document.getElementById('mirrorInterval');
 const applySettingsBtn = document.getElementById('applySettings');
 const closeSettingsBtn = document.getElementById('closeSettings');
 const prewarmBtn = document.getElementById('prewarmBtn');
@@ -32,11 +50,24 @@ const settingsTabs = document.getElementById('settingsTabs');
 const sourcesList = document.getElementById('sourcesList');
 const newSourceUrl = document.getElementById('newSourceUrl');
 const addSourceBtn = document.getElementById('addSourceBtn');
+const playlistsList = document.getElementById('playlistsList');
+const newPlaylistId = document.getElementById('newPlaylistId');
+const newPlaylistUrl = document.getElementById('newPlaylistUrl');
+const newPlaylistPrefix = document.getElementById('newPlaylistPrefix');
+const newPlaylistFile = document.getElementById('newPlaylistFile');
+const addPlaylistBtn = document.getElementById('addPlaylistBtn');
 const refreshSourcesBtn = document.getElementById('refreshSources');
 const mappingList = document.getElementById('mappingList');
 const mapSearch = document.getElementById('mapSearch');
 const mapGroup = document.getElementById('mapGroup');
 const srcListEl = document.getElementById('srcList');
+const suggestBtn = document.getElementById('suggestBtn');
+const suggestAllChk = document.getElementById('suggestAll');
+const suggestStatus = document.getElementById('suggestStatus');
+const matchReview = document.getElementById('matchReview');
+const timeshiftBtn = document.getElementById('timeshiftBtn');
+const timeshiftStatus = document.getElementById('timeshiftStatus');
+const timeshiftReview = document.getElementById('timeshiftReview');
 const tzListEl = document.getElementById('tzList');
 const channelList = document.getElementById('channelList');
 const searchInput = document.getElementById('search');
@@ -50,6 +81,8 @@ let epg = { channels: [], schedules: {} };
 let selectedId = null;
 let detectedEpgUrl = '';
 let sources = [];
+let playlists = []; // configured playlists (GET /api/playlists)
+let playlistStatus = new Map(); // playlist id -> { channelCount, error } from the last channel load
 let sourcesChannels = new Map(); // sourceId -> [{ id, name, icon }]
 let mappings = {};
 let selectedDay = startOfDayLocal(new Date());
@@ -57,6 +90,27 @@ const DAY_MS = 24 * 60 * 60 * 1000;
 let windowFromMs = Date.now() - 7 * DAY_MS;
 let windowToMs = Date.now() + 3 * DAY_MS;
 
+// Playlist entries sharing the channel's id (4K/HD/SD, backups); its mapping covers them all
+function variantLine(c) {
+  if (!c.variants?.length) return '';
+  const label = (v) => (v.origin && v.origin !== c.origin ? `${v.label} (${playlistName(v.origin)})` : v.label);
+  return `<div class="variants" title="${c.variants.length} playlist entries share this id">${escapeHtml(c.variants.map(label).join(' · '))}</div>`;
+}
+
+// With playlists configured the server merges them, else the playlist URL is the playlist
+function playlistParam() {
+  return playlists.length ? '' : settingsPlaylist.value.trim();
+}
+
+function playlistName(id) {
+  return playlists.find(p => p.id === id)?.name || id;
+}
+
+// Which playlist a channel came from, when several are merged
+function originTag(c) {
+  return c.origin ? `<span class="origin" title="From playlist ${escapeHtml(c.origin)}">${escapeHtml(playlistName(c.origin))}</span>` : '';
+}
+
 function renderChannels(filter = '') {
   const q = filter.trim().toLowerCase();
   channelList.innerHTML = '';
@@ -71,8 +125,9 @@ function renderChannels(filter = '') {
         <div class="meta">
           ${c.logo ? `<img src="${c.logo}" alt="logo" />` : ''}
           <div>
-            <div class="name">${escapeHtml(c.name || '(no name)')}</div>
-            <div class="id">${escapeHtml(c.id || '(no id)')}</div>
+            <div class="name">${c.chno != null ? `<span class="chno">${escapeHtml(String(c.chno))}</span>` : ''}${escapeHtml(c.name || '(no name)')}</div>
+            <div class="id">${escapeHtml(c.id || '(no id)')}${originTag(c)}</div>
+            ${variantLine(c)}
           </div>
         </div>
         <div class="group">${escapeHtml(c.group || '')}</div>
@@ -99,11 +154,21 @@ function renderEpg(id) {
         <div class="name">${escapeHtml(meta?.name || id)}</div>
         <div class="id">${escapeHtml(id)}</div>
       </div>
+      <select class="genre-filter" title="Show one genre"><option value="">All genres</option></select>
+      <button data-action="add-programme" class="add-programme">+ Add programme</button>
     </div>
+    <div class="repair-note"></div>
+    <div class="override-list"></div>
   `;
+  channelHeader.querySelector('[data-action="add-programme"]').onclick = () => {
+    const d0 = startOfDayLocal(selectedDay).getTime() + 12 * 60 * 60 * 1000;
+    epgDiv.prepend(overrideForm(id, { start: new Date(d0).toISOString(), stop: new Date(d0 + 60 * 60 * 1000).toISOString(), placeholder: true }, null));
+  };
   renderTimeline();
   epgDiv.innerHTML = '<div class="epg-loading">Loading…</div>';
+  loadOverrides(id).then(() => renderOverrideList(id));
   loadChannelDay(id, selectedDay).then(list => {
+    renderRepairNote(id);
     if (!list.length) { epgDiv.innerHTML = '<div class="muted">No EPG entries for this channel.</div>'; return; }
     const now = Date.now();
     const frag = document.createDocumentFragment();
@@ -112,18 +177,35 @@ function renderEpg(id) {
       const stop = p.stop ? new Date(p.stop) : null;
       const isNow = stop ? (start.getTime() <= now && now < stop.getTime()) : (start.getTime() <= now);
       const div = document.createElement('div');
-      div.className = 'programme' + (isNow ? ' now' : '');
+      div.className = 'programme' + (isNow ? ' now' : '') + (p.placeholder ? ' placeholder' : '');
+      div.dataset.genre = p.genre || '';
       const timeStr = fmtTime(start) + (stop ? ' – ' + fmtTime(stop) : '');
+      const episode = (p.episodeNums || []).find(e => e.system === 'onscreen')?.value;
+      const subLine = [episode, p.subTitle].filter(Boolean).join(' · ');
       div.innerHTML = `
         <div class="time">${timeStr}</div>
         <div class="title">${escapeHtml(p.title || '(untitled)')}</div>
+        ${subLine ? `<div class="subtitle">${escapeHtml(subLine)}</div>` : ''}
         ${p.category ? `<div class="category">${escapeHtml(p.category)}</div>` : ''}
         ${p.desc ? `<div class="desc">${escapeHtml(p.desc)}</div>` : ''}
+        <div class="prog-actions">
+          ${p.override ? '<span class="muted">edited</span>' : ''}
+          <button data-action="edit">${p.placeholder ? 'Replace' : 'Edit'}</button>
+          ${p.placeholder ? '' : `<button data-action="${p.override ? 'undo' : 'hide'}">${p.override ? 'Undo' : 'Hide'}</button>`}
+        </div>
       `;
+      div.querySelector('[data-action="edit"]').onclick = () => {
+        div.replaceWith(overrideForm(id, p, channelOverrides.find(o => o.id === p.override) || null));
+      };
+      const hideBtn = div.querySelector('[data-action="hide"]');
+      if (hideBtn) hideBtn.onclick = () => saveOverrideEntry(id, { type: 'hide', match: { start: p.start, title: p.title || undefined } });
+      const undoBtn = div.querySelector('[data-action="undo"]');
+      if (undoBtn) undoBtn.onclick = () => removeOverrideEntry(id, p.override);
       frag.appendChild(div);
     }
     epgDiv.innerHTML = '';
     epgDiv.appendChild(frag);
+    fillGenreFilter(list);
     if (isToday(selectedDay)) {
       const nowEl = epgDiv.querySelector('.programme.now');
       if (nowEl) nowEl.scrollIntoView({ block: 'center' });
@@ -131,6 +213,159 @@ function renderEpg(id) {
   }).catch(() => { epgDiv.innerHTML = '<div class="error">Failed to load EPG.</div>'; });
 }
 
+// Genre filter for the channel's day list; the choice carries over to other channels and days
+let genreFilter = '';
+let genresPromise = null;
+
+function loadGenres() {
+  if (!genresPromise) genresPromise = fetch('/api/genres').then(r => r.json()).then(j => j.genres || []).catch(() => { genresPromise = null; return []; });
+  return genresPromise;
+}
+
+async function fillGenreFilter(list) {
+  const sel = channelHeader.querySelector('.genre-filter');
+  if (!sel) return;
+  const genres = await loadGenres();
+  const present = new Set(list.map(p => p.genre).filter(Boolean));
+  if (genreFilter) present.add(genreFilter);
+  sel.innerHTML = '<option value="">All genres</option>' + genres
+    .filter(g => present.has(g.id))
+    .map(g => `<option value="${g.id}" ${g.id === genreFilter ? 'selected' : ''}>${escapeHtml(g.name)}</option>`).join('');
+  sel.onchange = () => { genreFilter = sel.value; applyGenreFilter(); };
+  applyGenreFilter();
+}
+
+function applyGenreFilter() {
+  let shown = 0;
+  for (const el of epgDiv.querySelectorAll('.programme[data-genre]')) {
+    const hide = !!genreFilter && el.dataset.genre !== genreFilter;
+    el.classList.toggle('hidden', hide);
+    if (!hide) shown++;
+  }
+  let empty = epgDiv.querySelector('.genre-empty');
+  if (!shown && !empty) {
+    empty = document.createElement('div');
+    empty.className = 'muted genre-empty';
+    empty.textContent = 'No programmes of this genre on this day.';
+    epgDiv.appendChild(empty);
+  } else if (shown && empty) empty.remove();
+}
+
+// Manual overrides for the selected channel: edit or hide feed programmes, add new ones.
+// Times here are the channel's shifted times, as the viewer shows them.
+let channelOverrides = [];
+
+async function loadOverrides(id) {
+  channelOverrides = [];
+  try {
+    const playlist = playlistParam();
+    const json = await (await fetch(`/api/overrides/${encodeURIComponent(id)}?playlist=${encodeURIComponent(playlist)}`)).json();
+    channelOverrides = json.overrides || [];
+  } catch {}
+}
+
+const OVERRIDE_LABELS = { add: 'Added', edit: 'Edited', hide: 'Hidden' };
+const REPAIR_LABELS = {
+  invalid: 'dropped without start',
+  badDuration: 'dropped with bad duration',
+  reordered: 'sorted',
+  duplicates: 'duplicates removed',
+  inferredStops: 'end times filled in',
+  trimmed: 'overlaps trimmed'
+};
+
+// What the schedule repair fixed in the day's data for this channel
+function renderRepairNote(id) {
+  const el = channelHeader.querySelector('.repair-note');
+  if (!el || id !== selectedId) return;
+  const parts = Object.entries(dayRepairs || {}).map(([k, n]) => `${n} ${REPAIR_LABELS[k] || k}`);
+  el.textContent = parts.length ? `Repaired: ${parts.join(', ')}` : '';
+}
+
+function renderOverrideList(id) {
+  const el = channelHeader.querySelector('.override-list');
+  if (!el || id !== selectedId) return;
+  el.innerHTML = '';
+  for (const o of channelOverrides) {
+    const row = document.createElement('div');
+    row.className = 'override-item';
+    const at = o.start || o.match?.start;
+    row.innerHTML = `
+      <span>${OVERRIDE_LABELS[o.type] || o.type}: ${escapeHtml(o.title || o.match?.title || '(untitled)')} · ${at ? fmtTime(new Date(at)) : ''}</span>
+      <button data-action="remove">Undo</button>
+    `;
+    row.querySelector('[data-action="remove"]').onclick = () => removeOverrideEntry(id, o.id);
+    el.appendChild(row);
+  }
+}
+
+function toLocalInput(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return '';
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromLocalInput(v) {
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// Inline form for a programme: p is the shown programme (or a new slot), o its existing override
+function overrideForm(id, p, o) {
+  const form = document.createElement('div');
+  form.className = 'programme override-form';
+  form.innerHTML = `
+    <div class="row">
+      <input data-role="start" type="datetime-local" value="${toLocalInput(p.start)}" />
+      <input data-role="stop" type="datetime-local" value="${p.stop ? toLocalInput(p.stop) : ''}" />
+    </div>
+    <input data-role="title" type="text" placeholder="Title" value="${escapeHtml(p.placeholder && !o ? '' : (p.title || ''))}" />
+    <input data-role="subTitle" type="text" placeholder="Sub-title" value="${escapeHtml(p.subTitle || '')}" />
+    <input data-role="category" type="text" placeholder="Category" value="${escapeHtml(p.category || '')}" />
+    <textarea data-role="desc" rows="3" placeholder="Description">${escapeHtml(p.placeholder && !o ? '' : (p.desc || ''))}</textarea>
+    <div class="row">
+      <button data-action="save">Save</button>
+      <button data-action="cancel">Cancel</button>
+      <span class="mono muted" data-role="status"></span>
+    </div>
+  `;
+  const val = (role) => form.querySelector(`[data-role="${role}"]`).value;
+  form.querySelector('[data-action="cancel"]').onclick = () => renderEpg(id);
+  form.querySelector('[data-action="save"]').onclick = async () => {
+    const fields = { start: fromLocalInput(val('start')), stop: fromLocalInput(val('stop')), title: val('title'), subTitle: val('subTitle'), category: val('category'), desc: val('desc') };
+    // Placeholders and new slots become added programmes; feed programmes get an edit matched by their start
+    const body = o ? { ...o, ...fields }
+      : p.placeholder ? { type: 'add', ...fields }
+      : { type: 'edit', match: { start: p.start, title: p.title || undefined }, ...fields };
+    const err = await saveOverrideEntry(id, body);
+    if (err) form.querySelector('[data-role="status"]').textContent = err;
+  };
+  return form;
+}
+
+// Returns an error message, or nothing after re-rendering the channel
+async function saveOverrideEntry(id, body) {
+  try {
+    const res = await fetch(`/api/overrides/${encodeURIComponent(id)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, playlist: playlistParam() || undefined })
+    });
+    const json = await res.json();
+    if (json.error) return json.error;
+  } catch (e) {
+    return e.message || 'Failed';
+  }
+  renderEpg(id);
+}
+
+async function removeOverrideEntry(id, overrideId) {
+  try {
+    await fetch(`/api/overrides/${encodeURIComponent(id)}/${encodeURIComponent(overrideId)}`, { method: 'DELETE' });
+  } catch {}
+  renderEpg(id);
+}
+
 function escapeHtml(s) {
   return (s || '').replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
 }
@@ -158,21 +393,32 @@ function computeExportUrls() {
   const base = `${proto}//${host}`;
   const past = parseInt(pastDaysInput.value || '7', 10) || 0;
   const future = parseInt(futureDaysInput.value || '3', 10) || 0;
-  let gz, xml;
+  let gz, xml, m3u;
   if (fullExportChk && fullExportChk.checked) {
     gz = `${base}/epg.xml.gz`;
     xml = `${base}/epg.xml`;
+    m3u = `${base}/playlist.m3u`;
   } else {
     gz = `${base}/epg.xml.gz?pastDays=${past}&futureDays=${future}`;
     xml = `${base}/epg.xml?pastDays=${past}&futureDays=${future}`;
+    // The playlist passes the window on to its guide URL
+    m3u = `${base}/playlist.m3u?pastDays=${past}&futureDays=${future}`;
+  }
+  const filter = exportFilterSelect?.value;
+  if (filter) {
+    const q = `${gz.includes('?') ? '&' : '?'}filter=${encodeURIComponent(filter)}`;
+    gz += q;
+    xml += q;
+    m3u += q;
   }
   exportGzUrlInput.value = gz;
   exportXmlUrlInput.value = xml;
+  if (exportM3uUrlInput) exportM3uUrlInput.value = m3u;
 }
 
 async function loadAll() {
-  const playlist = settingsPlaylist.value.trim();
-  if (!playlist) return;
+  const playlist = playlistParam();
+  if (!playlist && !playlists.length) return;
   selectedId = null;
   channels = [];
   epg = { channels: [], schedules: {} };
@@ -190,8 +436,10 @@ async function loadAll() {
     return;
   }
   channels = chJson.channels || [];
+  playlistStatus = new Map((chJson.playlists || []).filter(p => p.id).map(p => [p.id, p]));
+  renderPlaylists();
   detectedEpgUrl = chJson.epgUrl || '';
-  settingsEpgUrl.textContent = detectedEpgUrl || '(none)';
+  settingsEpgUrl.textContent = (chJson.epgUrls || []).join(', ') || '(none)';
   populateMainGroupFilter();
   renderChannels('');
 
@@ -222,6 +470,18 @@ async function loadDefaultsIntoUI() {
     if (typeof d.autoPrewarmIntervalMinutes === 'number' && autoPrewarmIntervalInput) autoPrewarmIntervalInput.value = d.autoPrewarmIntervalMinutes;
     if (typeof d.liveGenerationEnabled === 'boolean' && liveGenerationEnabledChk) liveGenerationEnabledChk.checked = !!d.liveGenerationEnabled;
     if (typeof d.lowMemMode === 'boolean' && lowMemModeChk) lowMemModeChk.checked = !!d.lowMemMode;
+    if (typeof d.mirrorSchedulerEnabled === 'boolean' && mirrorSchedulerEnabledChk) mirrorSchedulerEnabledChk.checked = !!d.mirrorSchedulerEnabled;
+    if (typeof d.mirrorIntervalMinutes === 'number' && mirrorIntervalInput) mirrorIntervalInput.value = d.mirrorIntervalMinutes;
+    if (Array.isArray(d.preferredLanguages) && preferredLanguagesInput) preferredLanguagesInput.value = d.preferredLanguages.join(', ');
+    if (Array.isArray(d.placeholderGroups) && placeholderGroupsInput) placeholderGroupsInput.value = d.placeholderGroups.join(', ');
+    if (typeof d.placeholderBlockMinutes === 'number' && placeholderBlockInput) placeholderBlockInput.value = d.placeholderBlockMinutes;
+    if (typeof d.placeholderTitle === 'string' && placeholderTitleInput) placeholderTitleInput.value = d.placeholderTitle;
+    if (typeof d.placeholderDesc === 'string' && placeholderDescInput) placeholderDescInput.value = d.placeholderDesc;
+    if (genreNormalizeChk) genreNormalizeChk.checked = !!d.genreNormalize;
+    if (genreKeepOriginalChk) genreKeepOriginalChk.checked = !!d.genreKeepOriginal;
+    genreTable = d.genreMap || {};
+    renderGenreTable();
+    loadExportFilters();
   } catch {}
   computeExportUrls();
 }
@@ -233,7 +493,10 @@ settingsBtn.onclick = () => {
   if (!settingsPlaylist.value) settingsPlaylist.value = 'http://248on.com/x/12aba339.m3u8';
   if (!settingsHost.value) settingsHost.value = window.location.host;
   loadDefaultsIntoUI();
+  loadPlaylistSettings();
   loadSources();
+  loadSecurity();
+  loadRules();
   ensureTimezoneDatalist();
   ensureSourceDatalist();
   loadMappings().then(()=>{ populateGroupFilter(); renderMappings(); });
@@ -257,6 +520,7 @@ settingsHost.oninput = computeExportUrls;
 pastDaysInput.oninput = computeExportUrls;
 futureDaysInput.oninput = computeExportUrls;
 fullExportChk && (fullExportChk.onchange = computeExportUrls);
+exportFilterSelect && (exportFilterSelect.onchange = computeExportUrls);
 historyBackfillChk && (historyBackfillChk.onchange = () => saveDefaults({ historyBackfill: !!historyBackfillChk.checked }));
 historyRetentionInput && (historyRetentionInput.onchange = () => {
   const v = parseInt(historyRetentionInput.value || '21', 10) || 21;
@@ -269,19 +533,463 @@ autoPrewarmIntervalInput && (autoPrewarmIntervalInput.onchange = () => {
 });
 liveGenerationEnabledChk && (liveGenerationEnabledChk.onchange = () => saveDefaults({ liveGenerationEnabled: !!liveGenerationEnabledChk.checked }));
 lowMemModeChk && (lowMemModeChk.onchange = () => saveDefaults({ lowMemMode: !!lowMemModeChk.checked }));
+mirrorSchedulerEnabledChk && (mirrorSchedulerEnabledChk.onchange = async () => {
+  await saveDefaults({ mirrorSchedulerEnabled: !!mirrorSchedulerEnabledChk.checked });
+  loadSources();
+});
+mirrorIntervalInput && (mirrorIntervalInput.onchange = async () => {
+  const v = parseInt(mirrorIntervalInput.value || '180', 10) || 180;
+  await saveDefaults({ mirrorIntervalMinutes: v });
+  loadSources();
+});
+placeholderGroupsInput && (placeholderGroupsInput.onchange = () => saveDefaults({ placeholderGroups: placeholderGroupsInput.value }));
+placeholderBlockInput && (placeholderBlockInput.onchange = () => saveDefaults({ placeholderBlockMinutes: parseInt(placeholderBlockInput.value || '60', 10) || 60 }));
+placeholderTitleInput && (placeholderTitleInput.onchange = () => saveDefaults({ placeholderTitle: placeholderTitleInput.value }));
+placeholderDescInput && (placeholderDescInput.onchange = () => saveDefaults({ placeholderDesc: placeholderDescInput.value }));
+genreNormalizeChk && (genreNormalizeChk.onchange = () => saveDefaults({ genreNormalize: !!genreNormalizeChk.checked }));
+genreKeepOriginalChk && (genreKeepOriginalChk.onchange = () => saveDefaults({ genreKeepOriginal: !!genreKeepOriginalChk.checked }));
+
+// Export content filters: one editable card per filter, saved individually
+let exportFilters = [];
+let defaultExportFilter = null;
+const FILTER_FIELDS = [
+  ['excludeGroups', 'Hide playlist groups', 'e.g. Adult, XXX'],
+  ['excludeChannels', 'Hide channels (playlist ids)', 'e.g. Hustler.us'],
+  ['categories', 'Drop programmes by category or genre', 'e.g. adult, erotic'],
+  ['keywords', 'Drop programmes by keyword (title, sub-title, description)', 'e.g. erotic, xxx'],
+  ['ratings', 'Drop programmes by rating value', 'e.g. XXX, TV-MA']
+];
+
+async function loadExportFilters() {
+  if (!exportFiltersList) return;
+  try {
+    const json = await (await fetch('/api/export/filters')).json();
+    exportFilters = json.filters || [];
+    defaultExportFilter = json.defaultFilter || null;
+  } catch {}
+  renderExportFilterSelects();
+  exportFiltersList.innerHTML = '';
+  exportFilters.forEach(f => exportFiltersList.appendChild(exportFilterCard(f, false)));
+}
+
+function renderExportFilterSelects() {
+  const named = exportFilters.map(f => [f.id, escapeHtml(`${f.name} (${f.id})`)]);
+  if (defaultExportFilterSelect) {
+    defaultExportFilterSelect.innerHTML = optionsHtml([['', 'None'], ...named], defaultExportFilter || '');
+    defaultExportFilterSelect.onchange = async () => {
+      defaultExportFilter = defaultExportFilterSelect.value || null;
+      await saveDefaults({ defaultExportFilter: defaultExportFilter || '' });
+      renderExportFilterSelects();
+    };
+  }
+  if (exportFilterSelect) {
+    const current = exportFilterSelect.value;
+    const def = exportFilters.find(f => f.id === defaultExportFilter);
+    exportFilterSelect.innerHTML = optionsHtml([['', def ? `Default (${escapeHtml(def.name)})` : 'Default (none)'], ['none', 'No filter'], ...named], current);
+  }
+  computeExportUrls();
+}
+
+function exportFilterCard(f, isNew) {
+  const card = document.createElement('div');
+  card.className = 'export-filter';
+  card.innerHTML = `
+    <div class="grid-3">
+      <div class="form-row">
+        <label>Id (used in ?filter=)</label>
+        <input data-role="id" type="text" value="${escapeHtml(f.id || '')}" ${isNew ? '' : 'readonly'} placeholder="e.g. family" />
+      </div>
+      <div class="form-row">
+        <label>Name</label>
+        <input data-role="name" type="text" value="${escapeHtml(f.name || '')}" placeholder="e.g. Family TV" />
+      </div>
+      <div class="form-row">
+        <label>Drop ratings from age</label>
+        <input data-role="minAge" type="number" min="1" max="21" value="${f.minAge ?? ''}" placeholder="e.g. 18" />
+      </div>
+    </div>
+    ${FILTER_FIELDS.map(([key, label, hint]) => `
+      <div class="form-row">
+        <label>${label}</label>
+        <input data-role="${key}" type="text" value="${escapeHtml((f[key] || []).join(', '))}" placeholder="${hint}" />
+      </div>`).join('')}
+    <div class="row-inline">
+      <button data-action="save">Save</button>
+      <button data-action="delete">${isNew ? 'Cancel' : 'Delete'}</button>
+      <span class="mono muted" data-role="status"></span>
+    </div>
+  `;
+  const val = (role) => card.querySelector(`[data-role="${role}"]`).value;
+  const status = card.querySelector('[data-role="status"]');
+  card.querySelector('[data-action="save"]').onclick = async () => {
+    const body = { id: val('id'), name: val('name'), minAge: val('minAge') || null };
+    for (const [key] of FILTER_FIELDS) body[key] = val(key);
+    const res = await fetch('/api/export/filters', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) { status.textContent = json.error || 'Could not save filter'; return; }
+    loadExportFilters();
+  };
+  card.querySelector('[data-action="delete"]').onclick = async () => {
+    if (isNew) { card.remove(); return; }
+    if (!confirm(`Delete filter "${f.name}"? Export URLs using ?filter=${f.id} stop working.`)) return;
+    await fetch(`/api/export/filters/${encodeURIComponent(f.id)}`, { method: 'DELETE' });
+    loadExportFilters();
+  };
+  return card;
+}
+
+document.getElementById('addExportFilterBtn')?.addEventListener('click', () => {
+  exportFiltersList.appendChild(exportFilterCard({}, true));
+});
+
+// Genre translation table: category (as folded by the server) -> genre id, '' keeps the category
+let genreTable = {};
+
+async function renderGenreTable() {
+  if (!genreTableEl) return;
+  const genres = await loadGenres();
+  const options = (value) => `<option value="">Keep as is</option>` + genres.map(g => `<option value="${g.id}" ${g.id === value ? 'selected' : ''}>${escapeHtml(g.name)}</option>`).join('');
+  if (genreNewGenre && !genreNewGenre.options.length) genreNewGenre.innerHTML = options('');
+  genreTableEl.innerHTML = '';
+  for (const [category, id] of Object.entries(genreTable).sort((a, b) => a[0].localeCompare(b[0]))) {
+    const row = document.createElement('div');
+    row.className = 'genre-row';
+    row.innerHTML = `<div>${escapeHtml(category)}</div><select>${options(id)}</select><button data-action="remove">Remove</button>`;
+    row.querySelector('select').onchange = (e) => saveGenreTable({ ...genreTable, [category]: e.target.value });
+    row.querySelector('[data-action="remove"]').onclick = () => {
+      const next = { ...genreTable };
+      delete next[category];
+      saveGenreTable(next);
+    };
+    genreTableEl.appendChild(row);
+  }
+}
+
+async function saveGenreTable(next) {
+  await saveDefaults({ genreMap: next });
+  // The server stores categories lowercased; show what it kept
+  try {
+    genreTable = (await (await fetch('/api/settings')).json()).genreMap || next;
+  } catch {
+    genreTable = next;
+  }
+  renderGenreTable();
+}
+
+document.getElementById('genreAddBtn')?.addEventListener('click', () => {
+  const category = genreNewCategory.value.trim();
+  if (!category) return;
+  genreNewCategory.value = '';
+  saveGenreTable({ ...genreTable, [category]: genreNewGenre.value });
+});
+
+preferredLanguagesInput && (preferredLanguagesInput.onchange = async () => {
+  await saveDefaults({ preferredLanguages: preferredLanguagesInput.value });
+  if (selectedId) renderEpg(selectedId);
+});
 copyGzBtn.onclick = () => { navigator.clipboard.writeText(exportGzUrlInput.value).catch(()=>{}); };
 copyXmlBtn.onclick = () => { navigator.clipboard.writeText(exportXmlUrlInput.value).catch(()=>{}); };
 openGzBtn && (openGzBtn.onclick = () => { const u=exportGzUrlInput.value; if (u) window.open(u, '_blank'); });
 openXmlBtn && (openXmlBtn.onclick = () => { const u=exportXmlUrlInput.value; if (u) window.open(u, '_blank'); });
+copyM3uBtn && (copyM3uBtn.onclick = () => { navigator.clipboard.writeText(exportM3uUrlInput.value).catch(()=>{}); });
+openM3uBtn && (openM3uBtn.onclick = () => { const u=exportM3uUrlInput.value; if (u) window.open(u, '_blank'); });
 prewarmBtn.onclick = prewarmNow;
 searchInput.oninput = () => renderChannels(searchInput.value);
 groupFilter && (groupFilter.onchange = () => renderChannels(searchInput.value));
 
+// Auth: show the login form instead of the app while a session is needed
+const loginOverlay = document.getElementById('loginOverlay');
+const loginForm = document.getElementById('loginForm');
+const loginPassword = document.getElementById('loginPassword');
+const loginError = document.getElementById('loginError');
+let authState = { enabled: false, admin: true, managedByEnv: false };
+
+async function loadAuthStatus() {
+  try {
+    const res = await fetch('/api/auth/status');
+    authState = await res.json();
+  } catch {}
+  return authState;
+}
+
+function showLogin(message) {
+  loginOverlay.classList.remove('hidden');
+  loginError.classList.toggle('hidden', !message);
+  loginError.textContent = message || '';
+  loginPassword.focus();
+}
+
+loginForm && (loginForm.onsubmit = async (e) => {
+  e.preventDefault();
+  const res = await fetch('/api/auth/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ password: loginPassword.value }) });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) return showLogin(json.error || 'Login failed');
+  window.location.reload();
+});
+
 // Auto-init: set defaults and load
 settingsPlaylist.value = 'http://248on.com/x/12aba339.m3u8';
 settingsHost.value = window.location.host;
-loadDefaultsIntoUI();
-loadAll().catch(() => { showLoading(false); });
+loadAuthStatus().then(async (a) => {
+  if (a.enabled && !a.admin) return showLogin();
+  loadDefaultsIntoUI();
+  await loadPlaylistSettings();
+  loadAll().catch(() => { showLoading(false); });
+});
+
+// Security tab
+const authStatusEl = document.getElementById('authStatus');
+const currentPasswordInput = document.getElementById('currentPassword');
+const newPasswordInput = document.getElementById('newPassword');
+const savePasswordBtn = document.getElementById('savePasswordBtn');
+const logoutBtn = document.getElementById('logoutBtn');
+const newTokenNameInput = document.getElementById('newTokenName');
+const createTokenBtn = document.getElementById('createTokenBtn');
+const newTokenBox = document.getElementById('newTokenBox');
+const newTokenUrl = document.getElementById('newTokenUrl');
+const newTokenHint = document.getElementById('newTokenHint');
+const tokenList = document.getElementById('tokenList');
+const fetchAllowlistInput = document.getElementById('fetchAllowlist');
+const fetchTimeoutInput = document.getElementById('fetchTimeout');
+const fetchMaxMbInput = document.getElementById('fetchMaxMb');
+
+async function loadSecurity() {
+  const a = await loadAuthStatus();
+  if (authStatusEl) {
+    authStatusEl.textContent = !a.enabled
+      ? 'No admin password set: settings and APIs are open to anyone who can reach this server. Setting the first password needs the setup token from the server log.'
+      : a.managedByEnv ? 'Admin password is set by EPG_ADMIN_PASSWORD.' : 'Admin login is required for settings and APIs.';
+  }
+  // Before the first password the field takes the setup token instead
+  if (currentPasswordInput) currentPasswordInput.placeholder = a.enabled ? 'Current password' : 'Setup token (see server log)';
+  document.getElementById('passwordRow')?.classList.toggle('hidden', !!a.managedByEnv);
+  logoutBtn?.classList.toggle('hidden', !a.enabled);
+  await loadTokens();
+  try {
+    const d = await (await fetch('/api/settings')).json();
+    if (fetchAllowlistInput) fetchAllowlistInput.value = (d.fetchAllowlist || []).join(', ');
+    if (fetchTimeoutInput && typeof d.fetchTimeoutSeconds === 'number') fetchTimeoutInput.value = d.fetchTimeoutSeconds;
+    if (fetchMaxMbInput && typeof d.fetchMaxMegabytes === 'number') fetchMaxMbInput.value = d.fetchMaxMegabytes;
+  } catch {}
+}
+
+fetchAllowlistInput && (fetchAllowlistInput.onchange = () => saveDefaults({ fetchAllowlist: fetchAllowlistInput.value }));
+fetchTimeoutInput && (fetchTimeoutInput.onchange = () => saveDefaults({ fetchTimeoutSeconds: parseInt(fetchTimeoutInput.value || '300', 10) || 300 }));
+fetchMaxMbInput && (fetchMaxMbInput.onchange = () => saveDefaults({ fetchMaxMegabytes: parseInt(fetchMaxMbInput.value || '512', 10) || 512 }));
+
+async function loadTokens() {
+  if (!tokenList) return;
+  try {
+    const res = await fetch('/api/auth/tokens');
+    const json = await res.json();
+    renderTokens(json.tokens || []);
+  } catch {}
+}
+
+function renderTokens(tokens) {
+  tokenList.innerHTML = '';
+  if (!tokens.length) {
+    tokenList.innerHTML = '<div class="muted">No read tokens.</div>';
+    return;
+  }
+  for (const t of tokens) {
+    const row = document.createElement('div');
+    row.className = 'token-row';
+    row.innerHTML = `
+      <div>${escapeHtml(t.name)}</div>
+      <div class="meta">created ${new Date(t.createdAt).toLocaleString()}</div>
+      <div class="meta">${t.lastUsedAt ? `used ${new Date(t.lastUsedAt).toLocaleString()}` : 'never used'}</div>
+      <div><button data-action="revoke">Revoke</button></div>
+    `;
+    row.querySelector('[data-action="revoke"]').onclick = async () => {
+      if (!confirm(`Revoke "${t.name}"? Clients using it lose access.`)) return;
+      await fetch(`/api/auth/tokens/${encodeURIComponent(t.id)}`, { method: 'DELETE' });
+      loadTokens();
+    };
+    tokenList.appendChild(row);
+  }
+}
+
+savePasswordBtn && (savePasswordBtn.onclick = async () => {
+  const res = await fetch('/api/auth/password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ [authState.enabled ? 'current' : 'setupToken']: currentPasswordInput.value, password: newPasswordInput.value })
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) return alert(json.error || 'Could not save password');
+  currentPasswordInput.value = '';
+  newPasswordInput.value = '';
+  loadSecurity();
+});
+
+logoutBtn && (logoutBtn.onclick = async () => {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  window.location.reload();
+});
+
+createTokenBtn && (createTokenBtn.onclick = async () => {
+  const res = await fetch('/api/auth/tokens', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: newTokenNameInput.value }) });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) return alert(json.error || 'Could not create token');
+  const url = new URL(exportGzUrlInput.value || `${window.location.origin}/epg.xml.gz`);
+  url.searchParams.set('token', json.token.token);
+  newTokenUrl.value = url.toString();
+  newTokenBox.classList.remove('hidden');
+  newTokenHint.classList.remove('hidden');
+  newTokenNameInput.value = '';
+  loadTokens();
+});
+document.getElementById('copyTokenUrl')?.addEventListener('click', () => { navigator.clipboard.writeText(newTokenUrl.value).catch(()=>{}); });
+
+// Rules tab: ordered rewrite rules, saved as one list, with a live preview of unsaved edits
+const rulesListEl = document.getElementById('rulesList');
+const rulesStatus = document.getElementById('rulesStatus');
+const rulePreviewEl = document.getElementById('rulePreview');
+const rulePreviewTitle = document.getElementById('rulePreviewTitle');
+const rulePreviewCategory = document.getElementById('rulePreviewCategory');
+const rulePreviewSource = document.getElementById('rulePreviewSource');
+const rulePreviewChannel = document.getElementById('rulePreviewChannel');
+const rulePreviewPlaylistId = document.getElementById('rulePreviewPlaylistId');
+let rewriteRules = [];
+let rulePreviewMode = 'sample';
+let rulePreviewTimer = null;
+
+const RULE_ACTIONS = [
+  ['strip', 'Strip'],
+  ['replace', 'Replace'],
+  ['subtitle', 'Move to sub-title'],
+  ['episode', 'Extract episode'],
+  ['category', 'Map category']
+];
+const RULE_FIELDS = [['title', 'Title'], ['subTitle', 'Sub-title'], ['desc', 'Description']];
+
+async function loadRules() {
+  if (!rulesListEl) return;
+  try {
+    const json = await (await fetch('/api/rewrite/rules')).json();
+    rewriteRules = json.rules || [];
+    renderRules();
+  } catch {}
+}
+
+function optionsHtml(list, value) {
+  return list.map(([v, label]) => `<option value="${v}" ${v === value ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+function renderRules() {
+  rulesListEl.innerHTML = '';
+  if (!rewriteRules.length) rulesListEl.innerHTML = '<div class="muted">No rules.</div>';
+  rewriteRules.forEach((r, i) => {
+    const row = document.createElement('div');
+    row.className = 'rule-row' + (r.enabled === false ? ' disabled' : '');
+    row.innerHTML = `
+      <input data-role="enabled" type="checkbox" title="Enabled" ${r.enabled === false ? '' : 'checked'} />
+      <select data-role="scope">${optionsHtml([['global', 'All'], ['source', 'Source'], ['channel', 'Channel']], r.scope || 'global')}</select>
+      <input data-role="target" type="text" ${r.scope === 'source' ? 'list="srcList"' : ''} placeholder="${r.scope === 'channel' ? 'Playlist channel id' : 'Source id'}" value="${escapeHtml(r.target || '')}" class="${!r.scope || r.scope === 'global' ? 'hidden' : ''}" />
+      <select data-role="action">${optionsHtml(RULE_ACTIONS, r.action)}</select>
+      <select data-role="field" class="${r.action === 'category' ? 'hidden' : ''}">${optionsHtml(RULE_FIELDS, r.field || 'title')}</select>
+      <input data-role="pattern" type="text" placeholder="Pattern (regex)" value="${escapeHtml(r.pattern || '')}" />
+      <input data-role="flags" type="text" placeholder="flags" title="Regex flags (i, m, s, u)" value="${escapeHtml(r.flags == null ? 'i' : r.flags)}" />
+      <input data-role="replacement" type="text" placeholder="${r.action === 'category' ? 'New category (empty drops it)' : 'Replacement'}" value="${escapeHtml(r.replacement || '')}" class="${['replace', 'category'].includes(r.action) ? '' : 'hidden'}" />
+      <div class="rule-buttons">
+        <button data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button data-action="down" title="Move down" ${i === rewriteRules.length - 1 ? 'disabled' : ''}>↓</button>
+        <button data-action="remove" title="Remove">✕</button>
+      </div>
+    `;
+    const el = (role) => row.querySelector(`[data-role="${role}"]`);
+    el('enabled').onchange = () => { r.enabled = el('enabled').checked; renderRules(); ruleChanged(); };
+    // Scope and action change which inputs show, so re-render; text inputs only update the rule
+    el('scope').onchange = () => { r.scope = el('scope').value; renderRules(); ruleChanged(); };
+    el('action').onchange = () => { r.action = el('action').value; renderRules(); ruleChanged(); };
+    el('field').onchange = () => { r.field = el('field').value; ruleChanged(); };
+    for (const role of ['target', 'pattern', 'flags', 'replacement']) {
+      el(role).oninput = () => { r[role] = el(role).value; ruleChanged(); };
+    }
+    const move = (d) => { const [x] = rewriteRules.splice(i, 1); rewriteRules.splice(i + d, 0, x); renderRules(); ruleChanged(); };
+    row.querySelector('[data-action="up"]').onclick = () => move(-1);
+    row.querySelector('[data-action="down"]').onclick = () => move(1);
+    row.querySelector('[data-action="remove"]').onclick = () => { rewriteRules.splice(i, 1); renderRules(); ruleChanged(); };
+    rulesListEl.appendChild(row);
+  });
+}
+
+function ruleChanged() {
+  if (rulesStatus) rulesStatus.textContent = 'Unsaved changes';
+  schedulePreview();
+}
+
+function schedulePreview() {
+  clearTimeout(rulePreviewTimer);
+  rulePreviewTimer = setTimeout(runRulePreview, 400);
+}
+
+async function runRulePreview() {
+  if (!rulePreviewEl) return;
+  const sample = { title: rulePreviewTitle.value, category: rulePreviewCategory.value };
+  if (rulePreviewMode === 'sample' && !sample.title && !sample.category) { rulePreviewEl.innerHTML = ''; return; }
+  const body = {
+    rules: rewriteRules,
+    sourceId: rulePreviewSource.value.trim() || undefined,
+    epgChannelId: rulePreviewChannel.value.trim() || undefined,
+    playlistId: rulePreviewPlaylistId.value.trim() || undefined,
+    sample: rulePreviewMode === 'sample' ? sample : undefined
+  };
+  if (rulePreviewMode === 'source') rulePreviewEl.innerHTML = '<div class="muted">Loading…</div>';
+  try {
+    const res = await fetch('/api/rewrite/preview', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const json = await res.json();
+    if (json.error) { rulePreviewEl.innerHTML = `<div class="error-text">${escapeHtml(json.error)}</div>`; return; }
+    renderRulePreview(json);
+  } catch (e) {
+    rulePreviewEl.innerHTML = `<div class="error-text">${escapeHtml(e.message || 'Preview failed')}</div>`;
+  }
+}
+
+function renderRulePreview(json) {
+  rulePreviewEl.innerHTML = '';
+  if (rulePreviewMode === 'source') {
+    const head = document.createElement('div');
+    head.className = 'mono muted';
+    head.textContent = `${json.sourceId}: ${json.changed} of ${json.total} programmes today changed${json.changed > json.samples.length ? ` (first ${json.samples.length} shown)` : ''}`;
+    rulePreviewEl.appendChild(head);
+  }
+  const show = (v) => (Array.isArray(v) ? v.join(', ') : v) || '—';
+  for (const s of json.samples || []) {
+    const div = document.createElement('div');
+    div.className = 'rule-sample';
+    const lines = ['title', 'subTitle', 'episode', 'categories', 'desc']
+      .filter(k => show(s.before[k]) !== show(s.after[k]) || (k === 'title' && s.before.title))
+      .map(k => {
+        const before = show(s.before[k]), after = show(s.after[k]);
+        return before === after
+          ? `<div><span class="muted">${k}:</span> ${escapeHtml(before)}</div>`
+          : `<div><span class="muted">${k}:</span> <span class="before">${escapeHtml(before)}</span> → <span class="after">${escapeHtml(after)}</span></div>`;
+      });
+    div.innerHTML = `${s.channel ? `<div class="mono muted">${escapeHtml(s.channel)} · ${fmtTime(new Date(s.start))}</div>` : ''}${lines.join('')}`;
+    rulePreviewEl.appendChild(div);
+  }
+}
+
+document.getElementById('addRuleBtn')?.addEventListener('click', () => {
+  rewriteRules.push({ enabled: true, scope: 'global', action: 'strip', field: 'title', pattern: '', flags: 'i', replacement: '' });
+  renderRules();
+  rulesStatus.textContent = 'Unsaved changes';
+});
+
+document.getElementById('saveRulesBtn')?.addEventListener('click', async () => {
+  const res = await fetch('/api/rewrite/rules', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rules: rewriteRules }) });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) { rulesStatus.textContent = json.error || 'Could not save rules'; return; }
+  rewriteRules = json.rules || [];
+  renderRules();
+  rulesStatus.textContent = 'Saved';
+});
+
+rulePreviewTitle && (rulePreviewTitle.oninput = () => { rulePreviewMode = 'sample'; schedulePreview(); });
+rulePreviewCategory && (rulePreviewCategory.oninput = () => { rulePreviewMode = 'sample'; schedulePreview(); });
+document.getElementById('rulePreviewBtn')?.addEventListener('click', () => { rulePreviewMode = 'source'; runRulePreview(); });
 
 // Sources management
 async function loadSources() {
@@ -301,27 +1009,41 @@ function renderSources() {
     sourcesList.innerHTML = '<div class="muted">No sources added.</div>';
     return;
   }
+  const saveSource = async (s, patch) => {
+    const body = { id: s.id, url: s.url, enabled: s.enabled, priority: s.priority, refreshMinutes: s.refreshMinutes ?? null, assumeZone: s.assumeZone ?? null, ...patch };
+    const res = await fetch('/api/sources', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    if (!res.ok) alert((await res.json().catch(() => ({}))).error || 'Could not save source');
+    loadSources();
+  };
   for (const s of sources) {
     const row = document.createElement('div');
     row.className = 'source-row';
     row.innerHTML = `
       <div class="url mono" title="${escapeHtml(s.url)}">${escapeHtml(s.url)}</div>
       <div><label><input type="checkbox" ${s.enabled ? 'checked' : ''} data-role="enabled"/> Enabled</label></div>
-      <div><input type="number" min="0" value="${s.priority ?? 100}" data-role="priority"/></div>
+      <div><input type="number" min="0" value="${s.priority ?? 100}" data-role="priority" title="Priority"/></div>
+      <div><input type="number" min="5" value="${s.refreshMinutes ?? ''}" placeholder="Default" data-role="refresh" title="Refresh every N minutes"/></div>
+      <div><input type="text" list="tzList" value="${escapeHtml(s.assumeZone || '')}" placeholder="UTC" data-role="zone" title="Time zone of feed times without an offset (IANA)"/></div>
       <div class="meta">${s.channelCount ?? 0} ch • ${s.lastScanAt ? new Date(s.lastScanAt).toLocaleString() : 'never'}</div>
       <div>
+        <button data-action="mirror">Refresh now</button>
         <button data-action="rescan">Rescan</button>
         <button data-action="remove">Remove</button>
       </div>
+      <div class="mirror-status meta">${mirrorStatusText(s)}</div>
     `;
-    row.querySelector('[data-role="enabled"]').onchange = async (e) => {
-      const enabled = e.target.checked;
-      await fetch('/api/sources', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: s.id, url: s.url, enabled, priority: s.priority }) });
-      loadSources();
+    row.querySelector('[data-role="enabled"]').onchange = (e) => saveSource(s, { enabled: e.target.checked });
+    row.querySelector('[data-role="priority"]').onchange = (e) => saveSource(s, { priority: parseInt(e.target.value || '100', 10) || 100 });
+    row.querySelector('[data-role="refresh"]').onchange = (e) => {
+      const v = parseInt(e.target.value, 10);
+      saveSource(s, { refreshMinutes: Number.isFinite(v) ? v : null });
     };
-    row.querySelector('[data-role="priority"]').onchange = async (e) => {
-      const priority = parseInt(e.target.value || '100', 10) || 100;
-      await fetch('/api/sources', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: s.id, url: s.url, enabled: s.enabled, priority }) });
+    row.querySelector('[data-role="zone"]').onchange = (e) => saveSource(s, { assumeZone: e.target.value.trim() || null });
+    row.querySelector('[data-action="mirror"]').onclick = async () => {
+      const btn = row.querySelector('[data-action="mirror"]');
+      btn.disabled = true;
+      await fetch(`/api/sources/${s.id}/refresh`, { method: 'POST' }).catch(()=>{});
+      btn.disabled = false;
       loadSources();
     };
     row.querySelector('[data-action="rescan"]').onclick = async () => {
@@ -339,14 +1061,218 @@ function renderSources() {
   }
 }
 
+// Playlists merged into the channel list, in order
+async function loadPlaylistSettings() {
+  try {
+    const json = await (await fetch('/api/playlists')).json();
+    playlists = json.playlists || [];
+  } catch { playlists = []; }
+  renderPlaylists();
+}
+
+function renderPlaylists() {
+  if (!playlistsList) return;
+  playlistsList.innerHTML = '';
+  if (!playlists.length) {
+    playlistsList.innerHTML = '<div class="muted">No playlists added; the playlist URL above is the playlist.</div>';
+    return;
+  }
+  const savePlaylist = async (p, patch) => {
+    const res = await fetch('/api/playlists', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: p.id, name: p.name, enabled: p.enabled, idPrefix: p.idPrefix, ...patch }) });
+    if (!res.ok) alert((await res.json().catch(() => ({}))).error || 'Could not save playlist');
+    await loadPlaylistSettings();
+    loadAll();
+  };
+  for (const p of playlists) {
+    const st = playlistStatus.get(p.id);
+    const row = document.createElement('div');
+    row.className = 'source-row playlist-row';
+    row.innerHTML = `
+      <div><input type="text" value="${escapeHtml(p.name || p.id)}" data-role="name" title="Name (id ${escapeHtml(p.id)})"/></div>
+      <div class="url mono" title="${escapeHtml(p.url || '')}">${p.file ? '<span class="muted">Uploaded file</span>' : escapeHtml(p.url)}</div>
+      <div><label><input type="checkbox" ${p.enabled ? 'checked' : ''} data-role="enabled"/> Enabled</label></div>
+      <div><input type="text" value="${escapeHtml(p.idPrefix || '')}" placeholder="No prefix" data-role="prefix" title="Put in front of this playlist's channel ids"/></div>
+      <div class="meta">${st?.error ? `<span class="error-text" title="${escapeHtml(st.error)}">failed</span>` : (st ? `${st.channelCount} entries` : '')}</div>
+      <div><button data-action="remove">Remove</button></div>
+    `;
+    row.querySelector('[data-role="name"]').onchange = (e) => savePlaylist(p, { name: e.target.value.trim() });
+    row.querySelector('[data-role="enabled"]').onchange = (e) => savePlaylist(p, { enabled: e.target.checked });
+    row.querySelector('[data-role="prefix"]').onchange = (e) => savePlaylist(p, { idPrefix: e.target.value.trim() });
+    row.querySelector('[data-action="remove"]').onclick = async () => {
+      if (!confirm(`Remove playlist ${p.name || p.id}?`)) return;
+      await fetch(`/api/playlists/${encodeURIComponent(p.id)}`, { method: 'DELETE' });
+      await loadPlaylistSettings();
+      loadAll();
+    };
+    playlistsList.appendChild(row);
+  }
+}
+
+// A new playlist by URL or, with a file picked, uploaded
+async function addPlaylist() {
+  const url = (newPlaylistUrl?.value || '').trim();
+  const file = newPlaylistFile?.files?.[0];
+  if (!url && !file) return;
+  const id = (newPlaylistId?.value || '').trim().toLowerCase() || `playlist${playlists.length + 1}`;
+  const idPrefix = (newPlaylistPrefix?.value || '').trim();
+  const res = file
+    ? await fetch(`/api/playlists/${encodeURIComponent(id)}/file?${new URLSearchParams({ name: file.name.replace(/\.m3u8?$/i, ''), idPrefix })}`, { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: await file.text() })
+    : await fetch('/api/playlists', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id, url, idPrefix }) });
+  if (!res.ok) {
+    const json = await res.json().catch(() => ({}));
+    return alert(json.error || 'Could not add playlist');
+  }
+  for (const el of [newPlaylistId, newPlaylistUrl, newPlaylistPrefix, newPlaylistFile]) if (el) el.value = '';
+  await loadPlaylistSettings();
+  loadAll();
+}
+
+function formatBytes(n) {
+  if (!n) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+// One-line background mirror status for a source row
+function mirrorStatusText(s) {
+  const m = s.mirror || {};
+  const parts = [];
+  if (m.lastSuccessAt) parts.push(`Mirrored ${new Date(m.lastSuccessAt).toLocaleString()} (${m.changed ? `changed, ${formatBytes(m.bytes)}` : 'unchanged'})`);
+  else parts.push('Not mirrored yet');
+  if (m.lastError) parts.push(`<span class="error-text">Failed ${m.lastErrorAt ? new Date(m.lastErrorAt).toLocaleString() : ''}${m.failures > 1 ? ` (${m.failures}×)` : ''}: ${escapeHtml(m.lastError)}</span>`);
+  if (m.nextAt) parts.push(`next ${new Date(m.nextAt).toLocaleString()}`);
+  return parts.join(' • ');
+}
+
+// Source health report
+const sourceHealthBtn = document.getElementById('sourceHealthBtn');
+const sourceHealthRefreshChk = document.getElementById('sourceHealthRefresh');
+const sourceHealthEl = document.getElementById('sourceHealth');
+
+function fmtSpan(from, to) {
+  if (!from) return '—';
+  return `${new Date(from).toLocaleString()} → ${new Date(to).toLocaleString()}`;
+}
+
+function fmtHours(h) {
+  if (h == null) return '—';
+  return h >= 48 ? `${Math.round(h / 24)} d` : `${h} h`;
+}
+
+async function loadSourceHealth() {
+  if (!sourceHealthEl) return;
+  sourceHealthEl.innerHTML = '<div class="muted">Analyzing sources…</div>';
+  if (sourceHealthBtn) sourceHealthBtn.disabled = true;
+  try {
+    const refresh = sourceHealthRefreshChk?.checked ? '?refresh=1' : '';
+    const res = await fetch(`/api/sources/health${refresh}`);
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || res.statusText);
+    renderSourceHealth(json.reports || []);
+  } catch (e) {
+    sourceHealthEl.innerHTML = `<div class="error">${escapeHtml(e.message || String(e))}</div>`;
+  } finally {
+    if (sourceHealthBtn) sourceHealthBtn.disabled = false;
+  }
+}
+
+function renderSourceHealth(reports) {
+  sourceHealthEl.innerHTML = '';
+  if (!reports.length) {
+    sourceHealthEl.innerHTML = '<div class="muted">No enabled sources.</div>';
+    return;
+  }
+  for (const r of reports) {
+    const box = document.createElement('div');
+    box.className = 'health-card';
+    if (r.error) {
+      box.innerHTML = `<div class="mono">${escapeHtml(simplifyUrlLabel(r.url || r.sourceId))}</div><div class="error">${escapeHtml(r.error)}</div>`;
+      sourceHealthEl.appendChild(box);
+      continue;
+    }
+    const warn = (n) => (n ? ' class="warn"' : '');
+    box.innerHTML = `
+      <div class="health-head">
+        <span class="mono" title="${escapeHtml(r.url)}">${escapeHtml(simplifyUrlLabel(r.url))}</span>
+        <span class="muted">analyzed ${new Date(r.generatedAt).toLocaleString()}</span>
+      </div>
+      <div class="health-stats">
+        <span>${r.channelCount} channels</span>
+        <span>${r.programmeCount} programmes</span>
+        <span>${fmtSpan(r.from, r.to)}</span>
+        <span${warn(r.futureHours == null || r.futureHours < 24)}>reaches ${fmtHours(r.futureHours)} ahead</span>
+        <span${warn(r.channelsWithGaps)}>${r.channelsWithGaps} with gaps</span>
+        <span${warn(r.channelsWithOverlaps)}>${r.channelsWithOverlaps} with overlaps</span>
+        <span${warn(r.missingStop)}>${r.missingStop} missing stop</span>
+        <span${warn(r.badTimestamps)}>${r.badTimestamps} bad timestamps</span>
+        ${r.noOffset ? `<span class="warn" title="Read as UTC; set the source's time zone if the feed uses local time">${r.noOffset} times without offset</span>` : ''}
+        <span${warn(r.shortChannels)}>${r.shortChannels} under 24 h ahead</span>
+        <span${warn(r.emptyChannels?.length)}>${r.emptyChannels?.length || 0} without programmes</span>
+        <span${warn(r.undeclaredChannels?.length)}>${r.undeclaredChannels?.length || 0} undeclared</span>
+      </div>
+      ${r.badTimestampSamples?.length ? `<div class="mono muted">e.g. ${r.badTimestampSamples.map(b => escapeHtml(`${b.channel}: ${b.start} – ${b.stop}`)).join('; ')}</div>` : ''}
+      <button data-action="details">Channel details</button>
+      <div class="health-channels"></div>
+    `;
+    const btn = box.querySelector('[data-action="details"]');
+    btn.onclick = async () => {
+      btn.disabled = true;
+      try {
+        const res = await fetch(`/api/sources/${encodeURIComponent(r.sourceId)}/health`);
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || res.statusText);
+        renderHealthChannels(box.querySelector('.health-channels'), json.channels || []);
+        btn.remove();
+      } catch (e) {
+        btn.disabled = false;
+        box.querySelector('.health-channels').innerHTML = `<div class="error">${escapeHtml(e.message || String(e))}</div>`;
+      }
+    };
+    sourceHealthEl.appendChild(box);
+  }
+}
+
+// Per-channel rows, problem channels first
+function renderHealthChannels(el, channels) {
+  const problems = (c) => (c.gaps ? 1 : 0) + (c.overlaps ? 1 : 0) + (c.missingStop ? 1 : 0) + (c.badTimestamps ? 1 : 0) + (c.futureHours == null || c.futureHours < 24 ? 1 : 0);
+  const list = channels.slice().sort((a, b) => problems(b) - problems(a) || a.id.localeCompare(b.id));
+  const rows = list.slice(0, 500).map(c => {
+    const notes = [];
+    if (c.gaps) notes.push(`${c.gaps} gaps (${c.gapMinutes} min): ${c.gapSamples.map(g => new Date(g.from).toLocaleString()).join(', ')}`);
+    if (c.overlaps) notes.push(`${c.overlaps} overlaps: ${c.overlapSamples.map(o => `${new Date(o.at).toLocaleString()} (${o.minutes} min)`).join(', ')}`);
+    if (c.missingStop) notes.push(`${c.missingStop} missing stop`);
+    if (c.badTimestamps) notes.push(`${c.badTimestamps} bad timestamps`);
+    if (!c.declared) notes.push('no <channel> entry');
+    return `<tr${problems(c) ? ' class="warn"' : ''}>
+      <td class="mono">${escapeHtml(c.id)}</td><td>${escapeHtml(c.name)}</td><td>${c.programmes}</td>
+      <td>${fmtSpan(c.from, c.to)}</td><td>${fmtHours(c.futureHours)}</td><td>${escapeHtml(notes.join(' • '))}</td>
+    </tr>`;
+  }).join('');
+  el.innerHTML = `
+    <table class="health-table">
+      <thead><tr><th>Channel</th><th>Name</th><th>Programmes</th><th>Span</th><th>Ahead</th><th>Issues</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${list.length > 500 ? `<div class="muted">Showing 500 of ${list.length} channels.</div>` : ''}
+  `;
+}
+
+sourceHealthBtn && (sourceHealthBtn.onclick = loadSourceHealth);
+
 addSourceBtn && (addSourceBtn.onclick = async () => {
   const url = (newSourceUrl?.value || '').trim();
   if (!url) return;
-  await fetch('/api/sources', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url, enabled: true, priority: 100 }) });
+  const res = await fetch('/api/sources', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url, enabled: true, priority: 100 }) });
+  if (!res.ok) {
+    const json = await res.json().catch(() => ({}));
+    return alert(json.error || 'Could not add source');
+  }
   if (newSourceUrl) newSourceUrl.value = '';
   loadSources();
 });
 refreshSourcesBtn && (refreshSourcesBtn.onclick = loadSources);
+addPlaylistBtn && (addPlaylistBtn.onclick = addPlaylist);
 const rescanAllBtn = document.getElementById('rescanAllSources');
 rescanAllBtn && (rescanAllBtn.onclick = async () => {
   if (!sources.length) return;
@@ -367,6 +1293,21 @@ async function getSourceChannels(sourceId) {
   return list;
 }
 
+function fillEpgDatalist(dl, list) {
+  if (!dl) return;
+  const frag = document.createDocumentFragment();
+  // Include an empty option to allow clearing to auto
+  const optEmpty = document.createElement('option'); optEmpty.value = ''; frag.appendChild(optEmpty);
+  for (const it of list) {
+    const opt = document.createElement('option');
+    opt.value = it.id;
+    opt.label = it.name ? `${it.id} — ${it.name}` : it.id;
+    frag.appendChild(opt);
+  }
+  dl.innerHTML = '';
+  dl.appendChild(frag);
+}
+
 async function loadMappings() {
   try {
     const res = await fetch('/api/mappings');
@@ -375,6 +1316,8 @@ async function loadMappings() {
   } catch { mappings = {}; }
 }
 
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
 function renderMappings() {
   if (!mappingList) return;
   mappingList.innerHTML = '';
@@ -432,7 +1375,8 @@ function renderMappings() {
         ${ch.logo ? `<img src="${ch.logo}" alt="logo"/>` : ''}
         <div>
           <div class="name">${escapeHtml(ch.name || ch.id)}</div>
-          <div class="id mono">${escapeHtml(ch.id)}</div>
+          <div class="id mono">${escapeHtml(ch.id)}${originTag(ch)}</div>
+          ${variantLine(ch)}
         </div>
       </div>
       <div class="col-source">
@@ -443,7 +1387,7 @@ function renderMappings() {
         <datalist id="dl_${escapeHtml(ch.id)}"></datalist>
       </div>
       <div class="col-offset">
-        <input data-role="offset" type="number" class="small" placeholder="Offset (min)" value="${Number.isFinite(map.offsetMinutes)?map.offsetMinutes:''}" />
+        <input data-role="offset" type="number" class="small" placeholder="${ch.tvgShift ? `${Math.round(ch.tvgShift * 60)} (tvg-shift)` : 'Offset (min)'}" ${ch.tvgShift ? 'title="The playlist\'s tvg-shift applies while the channel has no mapping"' : ''} value="${Number.isFinite(map.offsetMinutes)?map.offsetMinutes:''}" />
       </div>
       <div class="col-mode">
         <select data-role="shiftmode" class="small">
@@ -465,20 +1409,7 @@ function renderMappings() {
       if (!sid) { epgInput.disabled = true; const dl = row.querySelector('datalist'); if (dl) dl.innerHTML = ''; epgInput.value = epgChannelId || ''; return; }
       epgInput.disabled = false;
       const list = await getSourceChannels(sid);
-      const dl = row.querySelector('datalist');
-      if (dl) {
-        const frag = document.createDocumentFragment();
-        // Include an empty option to allow clearing to auto
-        const optEmpty = document.createElement('option'); optEmpty.value = ''; frag.appendChild(optEmpty);
-        for (const it of list) {
-          const opt = document.createElement('option');
-          opt.value = it.id;
-          opt.label = it.name ? `${it.id} — ${it.name}` : it.id;
-          frag.appendChild(opt);
-        }
-        dl.innerHTML = '';
-        dl.appendChild(frag);
-      }
+      fillEpgDatalist(row.querySelector('datalist'), list);
 
       // Auto-select: try by exact id (case-insensitive), else by normalized name
       if (autopick) {
@@ -503,11 +1434,23 @@ function renderMappings() {
       const zoneInput = row.querySelector('[data-role="zoneid"]');
       const zoneId = zoneInput ? (zoneInput.value.trim() || undefined) : undefined;
       const shiftMode = modeSelect ? modeSelect.value : undefined;
+      const langInput = row.querySelector('[data-role="languages"]');
+      const languages = langInput ? langInput.value.trim() : '';
+      const phSelect = row.querySelector('[data-role="placeholder"]');
+      const placeholder = phSelect && phSelect.value ? phSelect.value === 'on' : undefined;
+      const curated = (role) => row.querySelector(`[data-role="${role}"]`)?.value.trim() || undefined;
+      const exclude = row.querySelector('[data-role="exclude"]')?.checked || undefined;
+      const fbs = fallbacks
+        .map(f => ({ sourceId: getValidSourceId(f.sourceId), epgChannelId: (f.epgChannelId || '').trim() || undefined }))
+        .filter(f => f.sourceId);
+      const segs = segments
+        .filter(sg => sg.from && sg.to && (sg.sourceId || sg.epgChannelId))
+        .map(sg => ({ sourceId: getValidSourceId(sg.sourceId) || undefined, epgChannelId: (sg.epgChannelId || '').trim() || undefined, from: sg.from, to: sg.to, days: sg.days }));
       try {
         await fetch('/api/mappings', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ playlistId: ch.id, sourceId: sid, epgChannelId: eid, offsetMinutes: off, zoneId, shiftMode })
+          body: JSON.stringify({ playlistId: ch.id, sourceId: sid, epgChannelId: eid, offsetMinutes: off, zoneId, shiftMode, fallbacks: fbs, segments: segs, languages, placeholder, name: curated('cur-name'), logo: curated('cur-logo'), group: curated('cur-group'), exclude, timeshiftOf: sid ? undefined : map.timeshiftOf })
         });
         await loadMappings();
         // If this row corresponds to the selected channel, refresh its EPG view automatically
@@ -517,6 +1460,136 @@ function renderMappings() {
       } catch {}
     }
 
+    // Fallback sources fill gaps in the primary source's schedule, in order
+    const fallbacks = Array.isArray(map.fallbacks) ? map.fallbacks.map(f => ({ ...f })) : [];
+    const fbWrap = document.createElement('div');
+    fbWrap.className = 'map-fallbacks';
+    function renderFallbacks() {
+      fbWrap.innerHTML = '';
+      fallbacks.forEach((f, idx) => {
+        const item = document.createElement('div');
+        item.className = 'fallback';
+        const dlId = `dl_fb_${escapeHtml(ch.id)}_${idx}`;
+        item.innerHTML = `
+          <span class="fb-label">Fallback ${idx + 1}</span>
+          <input data-role="fb-source" class="small" type="text" list="srcList" placeholder="EPG Source (pick)" value="${escapeHtml(f.sourceId || '')}" />
+          <input data-role="fb-epgid" class="small" type="text" list="${dlId}" placeholder="EPG Channel (default: same id)" value="${escapeHtml(f.epgChannelId || '')}" />
+          <datalist id="${dlId}"></datalist>
+          <button data-action="fb-remove">Remove</button>
+        `;
+        const fbSrc = item.querySelector('[data-role="fb-source"]');
+        const fbEpg = item.querySelector('[data-role="fb-epgid"]');
+        const fillList = async () => {
+          const sid = getValidSourceId(fbSrc.value);
+          if (sid) fillEpgDatalist(item.querySelector('datalist'), await getSourceChannels(sid));
+        };
+        fbSrc.onchange = async () => { f.sourceId = fbSrc.value.trim(); await fillList(); await saveMappingForRow(); };
+        fbEpg.onchange = () => { f.epgChannelId = fbEpg.value.trim(); saveMappingForRow(); };
+        item.querySelector('[data-action="fb-remove"]').onclick = () => { fallbacks.splice(idx, 1); renderFallbacks(); saveMappingForRow(); };
+        fillList();
+        fbWrap.appendChild(item);
+      });
+      const add = document.createElement('button');
+      add.className = 'fb-add';
+      add.textContent = '+ Fallback source';
+      add.onclick = () => { fallbacks.push({ sourceId: '', epgChannelId: '' }); renderFallbacks(); };
+      fbWrap.appendChild(add);
+    }
+    renderFallbacks();
+
+    // Time segments make a composite channel: each part of the day (in the row's zone)
+    // comes from its own Source/EPG Channel, replacing the Source/Fallbacks above
+    const segments = Array.isArray(map.segments) ? map.segments.map(sg => ({ ...sg, days: sg.days ? sg.days.slice() : [] })) : [];
+    const segWrap = document.createElement('div');
+    segWrap.className = 'map-fallbacks';
+    function renderSegments() {
+      segWrap.innerHTML = '';
+      segments.forEach((sg, idx) => {
+        const item = document.createElement('div');
+        item.className = 'segment';
+        const dlId = `dl_seg_${escapeHtml(ch.id)}_${idx}`;
+        item.innerHTML = `
+          <span class="fb-label">Segment ${idx + 1}</span>
+          <input data-role="seg-source" class="small" type="text" list="srcList" placeholder="Default EPG" value="${escapeHtml(sg.sourceId || '')}" />
+          <input data-role="seg-epgid" class="small" type="text" list="${dlId}" placeholder="EPG Channel" value="${escapeHtml(sg.epgChannelId || '')}" />
+          <datalist id="${dlId}"></datalist>
+          <input data-role="seg-from" class="small" type="time" value="${escapeHtml(sg.from || '')}" title="From (channel zone)" />
+          <input data-role="seg-to" class="small" type="time" value="${escapeHtml(sg.to || '')}" title="To; earlier than From runs past midnight" />
+          <span class="days">${WEEKDAYS.map((d, i) => `<label>${d}<input type="checkbox" data-day="${i + 1}" ${!sg.days.length || sg.days.includes(i + 1) ? 'checked' : ''} /></label>`).join('')}</span>
+          <button data-action="seg-remove">Remove</button>
+        `;
+        const segSrc = item.querySelector('[data-role="seg-source"]');
+        const fillList = async () => {
+          const sid = getValidSourceId(segSrc.value);
+          if (sid) fillEpgDatalist(item.querySelector('datalist'), await getSourceChannels(sid));
+        };
+        segSrc.onchange = async () => { sg.sourceId = segSrc.value.trim(); await fillList(); await saveMappingForRow(); };
+        item.querySelector('[data-role="seg-epgid"]').onchange = (e) => { sg.epgChannelId = e.target.value.trim(); saveMappingForRow(); };
+        item.querySelector('[data-role="seg-from"]').onchange = (e) => { sg.from = e.target.value; saveMappingForRow(); };
+        item.querySelector('[data-role="seg-to"]').onchange = (e) => { sg.to = e.target.value; saveMappingForRow(); };
+        item.querySelectorAll('[data-day]').forEach(cb => {
+          cb.onchange = () => {
+            sg.days = Array.from(item.querySelectorAll('[data-day]')).filter(x => x.checked).map(x => Number(x.dataset.day));
+            saveMappingForRow();
+          };
+        });
+        item.querySelector('[data-action="seg-remove"]').onclick = () => { segments.splice(idx, 1); renderSegments(); saveMappingForRow(); };
+        fillList();
+        segWrap.appendChild(item);
+      });
+      const add = document.createElement('button');
+      add.className = 'fb-add';
+      add.textContent = '+ Time segment';
+      add.onclick = () => { segments.push({ sourceId: '', epgChannelId: '', from: '', to: '', days: [] }); renderSegments(); };
+      segWrap.appendChild(add);
+    }
+    renderSegments();
+    const optsWrap = document.createElement('div');
+    optsWrap.className = 'map-opts';
+    optsWrap.innerHTML = `
+      <span class="fb-label">Languages</span>
+      <input data-role="languages" class="small" type="text" placeholder="Default (global preference)" value="${escapeHtml((map.languages || []).join(', '))}" />
+      <span class="fb-label">Placeholders</span>
+      <select data-role="placeholder" class="small">
+        <option value="">Default (by group)</option>
+        <option value="on" ${map.placeholder === true ? 'selected' : ''}>Fill missing guide data</option>
+        <option value="off" ${map.placeholder === false ? 'selected' : ''}>Never</option>
+      </select>
+      <span class="fb-label">Export as</span>
+      <div class="map-curation">
+        <input data-role="cur-name" class="small" type="text" placeholder="${escapeHtml(ch.name || 'Name')}" value="${escapeHtml(map.name || '')}" title="Name in the exported playlist and guide" />
+        <input data-role="cur-logo" class="small" type="text" placeholder="Logo URL" value="${escapeHtml(map.logo || '')}" />
+        <input data-role="cur-group" class="small" type="text" placeholder="${escapeHtml(ch.group || 'Group')}" value="${escapeHtml(map.group || '')}" />
+        <label><input data-role="exclude" type="checkbox" ${map.exclude ? 'checked' : ''}/> Leave out</label>
+      </div>
+    `;
+    optsWrap.querySelector('[data-role="languages"]').onchange = saveMappingForRow;
+    optsWrap.querySelector('[data-role="placeholder"]').onchange = saveMappingForRow;
+    optsWrap.querySelectorAll('.map-curation input').forEach(el => { el.onchange = saveMappingForRow; });
+    // Timeshift link: the row reads its base channel's EPG; the offset field is the link's own shift
+    const link = map.timeshiftOf ? { baseId: map.timeshiftOf, offsetMinutes: map.offsetMinutes || 0, how: 'linked' }
+      : (ch.timeshift && !mappings[ch.id] ? { ...ch.timeshift, how: 'from playlist' } : null);
+    if (link) {
+      const linkEl = document.createElement('div');
+      linkEl.className = 'map-link';
+      linkEl.innerHTML = `<span>Timeshift of <span class="mono">${escapeHtml(link.baseId)}</span> (${link.offsetMinutes >= 0 ? '+' : ''}${link.offsetMinutes} min, ${link.how})</span><button data-action="unlink">Unlink</button>`;
+      linkEl.querySelector('[data-action="unlink"]').onclick = () => saveTimeshifts([], [ch.id]);
+      row.appendChild(linkEl);
+    }
+    // No tvg-id in the playlist: the id is made from name and group until a real one is set here
+    if (ch.syntheticId) {
+      const idEl = document.createElement('div');
+      idEl.className = 'map-link';
+      idEl.innerHTML = ch.synthetic
+        ? `<span>No tvg-id in the playlist; id made from name and group</span><input data-role="promote-id" class="small" type="text" placeholder="tvg-id, e.g. LRT.lt" /><button data-action="promote">Set tvg-id</button>`
+        : `<span>tvg-id set here (the playlist has none; was <span class="mono">${escapeHtml(ch.syntheticId)}</span>)</span><button data-action="promote">Reset</button>`;
+      idEl.querySelector('[data-action="promote"]').onclick = () => promoteChannelId(ch.id, idEl.querySelector('[data-role="promote-id"]')?.value.trim() || '');
+      row.appendChild(idEl);
+    }
+    row.appendChild(optsWrap);
+    row.appendChild(fbWrap);
+    row.appendChild(segWrap);
+
     srcInput.onchange = async () => {
       await populateEpgOptions(true);
       await saveMappingForRow();
@@ -580,6 +1653,205 @@ function renderMappings() {
   applyAll && (applyAll.onclick = () => doApply('all'));
 }
 
+// Matching suggestions: fetch ranked candidates, review them, accept in bulk
+const AUTO_ACCEPT_SCORE = 0.85;
+async function loadSuggestions() {
+  if (!matchReview) return;
+  const playlist = playlistParam();
+  suggestBtn.disabled = true;
+  suggestStatus.textContent = 'Matching…';
+  try {
+    const all = suggestAllChk && suggestAllChk.checked ? '&all=1' : '';
+    const res = await fetch(`/api/mappings/suggestions?playlist=${encodeURIComponent(playlist)}${all}`);
+    const json = await res.json();
+    if (json.error) throw new Error(json.error);
+    const withCandidates = json.suggestions.filter(s => s.candidates.length).length;
+    const unscanned = (json.unscannedSources || []).length;
+    suggestStatus.textContent = `${withCandidates} of ${json.count} channels have suggestions` + (unscanned ? ` • ${unscanned} source(s) not scanned yet` : '');
+    renderSuggestions(json.suggestions);
+  } catch (e) {
+    suggestStatus.textContent = `Error: ${e.message || 'failed'}`;
+  }
+  suggestBtn.disabled = false;
+}
+
+function renderSuggestions(list) {
+  matchReview.innerHTML = '';
+  matchReview.classList.remove('hidden');
+  const bar = document.createElement('div');
+  bar.className = 'row';
+  bar.innerHTML = `
+    <label><input type="checkbox" data-role="match-all" /> Select all</label>
+    <button data-action="accept">Accept selected</button>
+    <button data-action="dismiss">Dismiss</button>
+  `;
+  matchReview.appendChild(bar);
+  const rows = [];
+  for (const s of list) {
+    const row = document.createElement('div');
+    row.className = 'match-row' + (s.candidates.length ? '' : ' none');
+    const best = s.candidates[0];
+    const options = s.candidates.map((c, i) => {
+      const src = sources.find(x => x.id === c.sourceId);
+      const label = `${c.epgChannelId} — ${c.name} (${simplifyUrlLabel(src?.url || c.sourceId)}) · ${Math.round(c.score * 100)}%`;
+      return `<option value="${i}">${escapeHtml(label)}</option>`;
+    }).join('');
+    row.innerHTML = `
+      <input type="checkbox" data-role="accept" ${best && best.score >= AUTO_ACCEPT_SCORE ? 'checked' : ''} ${best ? '' : 'disabled'} />
+      <div>
+        <div class="name">${escapeHtml(s.name || s.playlistId)}</div>
+        <div class="id mono">${escapeHtml(s.playlistId)}</div>
+      </div>
+      <div>${best ? `<select data-role="candidate" class="small">${options}</select>` : '<span class="muted">No match found</span>'}</div>
+      <div class="why">${best ? escapeHtml(best.reasons.join(', ')) : ''}</div>
+    `;
+    const sel = row.querySelector('[data-role="candidate"]');
+    if (sel) sel.onchange = () => { row.querySelector('.why').textContent = s.candidates[sel.value].reasons.join(', '); };
+    rows.push({ row, s });
+    matchReview.appendChild(row);
+  }
+  bar.querySelector('[data-role="match-all"]').onchange = (e) => {
+    rows.forEach(({ row }) => { const cb = row.querySelector('[data-role="accept"]'); if (!cb.disabled) cb.checked = e.target.checked; });
+  };
+  bar.querySelector('[data-action="dismiss"]').onclick = () => { matchReview.classList.add('hidden'); matchReview.innerHTML = ''; };
+  bar.querySelector('[data-action="accept"]').onclick = async () => {
+    const accepts = [];
+    for (const { row, s } of rows) {
+      const cb = row.querySelector('[data-role="accept"]');
+      const sel = row.querySelector('[data-role="candidate"]');
+      if (!cb.checked || !sel) continue;
+      const c = s.candidates[sel.value];
+      accepts.push({ playlistId: s.playlistId, sourceId: c.sourceId, epgChannelId: c.epgChannelId });
+    }
+    if (!accepts.length) return;
+    try {
+      await fetch('/api/mappings/accept', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ accepts }) });
+      suggestStatus.textContent = `Accepted ${accepts.length} mapping(s)`;
+      matchReview.classList.add('hidden');
+      matchReview.innerHTML = '';
+      await loadMappings();
+      renderMappings();
+    } catch {}
+  };
+}
+suggestBtn && (suggestBtn.onclick = loadSuggestions);
+
+// Timeshift channels: detect "+1"/"+2" variants, review their base and offset, link or unlink
+// Give a channel without a tvg-id a real id ('' for its synthetic one back); its settings move along
+async function promoteChannelId(playlistId, id) {
+  try {
+    const res = await fetch('/api/channels/promote', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playlistId, id, playlist: playlistParam() || undefined })
+    });
+    const json = await res.json();
+    if (json.error) throw new Error(json.error);
+    await loadAll();
+  } catch (e) {
+    alert(`Could not set the tvg-id: ${e.message || 'failed'}`);
+  }
+}
+
+async function saveTimeshifts(links, unlink) {
+  try {
+    const res = await fetch('/api/mappings/timeshifts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ links, unlink, playlist: playlistParam() || undefined })
+    });
+    const json = await res.json();
+    if (json.error) throw new Error(json.error);
+    if (timeshiftStatus) timeshiftStatus.textContent = `Saved ${json.count} timeshift link(s)`;
+    await loadMappings();
+    renderMappings();
+    return true;
+  } catch (e) {
+    if (timeshiftStatus) timeshiftStatus.textContent = `Error: ${e.message || 'failed'}`;
+    return false;
+  }
+}
+
+async function loadTimeshifts() {
+  if (!timeshiftReview) return;
+  const playlist = playlistParam();
+  timeshiftBtn.disabled = true;
+  timeshiftStatus.textContent = 'Detecting…';
+  try {
+    const res = await fetch(`/api/mappings/timeshifts?playlist=${encodeURIComponent(playlist)}`);
+    const json = await res.json();
+    if (json.error) throw new Error(json.error);
+    const open = json.timeshifts.filter(t => t.state === 'new' && t.baseId).length;
+    timeshiftStatus.textContent = `${json.count} timeshift channel(s) • ${open} not linked yet`;
+    renderTimeshifts(json.timeshifts);
+  } catch (e) {
+    timeshiftStatus.textContent = `Error: ${e.message || 'failed'}`;
+  }
+  timeshiftBtn.disabled = false;
+}
+
+const TIMESHIFT_STATES = { new: 'Not linked', linked: 'Linked', implied: 'Linked by playlist', unlinked: 'Marked as not a timeshift', mapped: 'Has its own source' };
+
+function renderTimeshifts(list) {
+  timeshiftReview.innerHTML = '';
+  timeshiftReview.classList.remove('hidden');
+  const bar = document.createElement('div');
+  bar.className = 'row';
+  bar.innerHTML = `
+    <label><input type="checkbox" data-role="ts-all" /> Select all</label>
+    <button data-action="link">Link selected</button>
+    <button data-action="unlink">Unlink selected</button>
+    <button data-action="dismiss">Dismiss</button>
+    <datalist id="tsBaseList">${channels.filter(c => c.id).map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name || c.id)}</option>`).join('')}</datalist>
+  `;
+  timeshiftReview.appendChild(bar);
+  if (!list.length) {
+    const none = document.createElement('div');
+    none.className = 'muted';
+    none.textContent = 'No "+1"/"+2" channels found in the playlist.';
+    timeshiftReview.appendChild(none);
+  }
+  const rows = [];
+  for (const t of list) {
+    const row = document.createElement('div');
+    row.className = 'match-row timeshift-row' + (t.baseId || t.linked ? '' : ' none');
+    const baseId = t.linked ? t.linked.baseId : (t.baseId || '');
+    const offset = t.linked ? t.linked.offsetMinutes : t.offsetMinutes;
+    row.innerHTML = `
+      <input type="checkbox" data-role="accept" ${t.state === 'new' && t.baseId ? 'checked' : ''} />
+      <div>
+        <div class="name">${escapeHtml(t.name)}</div>
+        <div class="id mono">${escapeHtml(t.playlistId)}</div>
+      </div>
+      <div><input data-role="base" class="small" type="text" list="tsBaseList" placeholder="Base channel id" value="${escapeHtml(baseId)}" /></div>
+      <div><input data-role="offset" class="small" type="number" step="15" value="${offset}" /></div>
+      <div class="state"><div>${escapeHtml(TIMESHIFT_STATES[t.state] || t.state)}</div><div class="why">${escapeHtml(t.reason)}</div></div>
+    `;
+    rows.push({ row, t });
+    timeshiftReview.appendChild(row);
+  }
+  const selected = () => rows.filter(({ row }) => row.querySelector('[data-role="accept"]').checked);
+  bar.querySelector('[data-role="ts-all"]').onchange = (e) => {
+    rows.forEach(({ row }) => { row.querySelector('[data-role="accept"]').checked = e.target.checked; });
+  };
+  const close = () => { timeshiftReview.classList.add('hidden'); timeshiftReview.innerHTML = ''; };
+  bar.querySelector('[data-action="dismiss"]').onclick = close;
+  bar.querySelector('[data-action="link"]').onclick = async () => {
+    const links = [];
+    for (const { row, t } of selected()) {
+      const baseId = row.querySelector('[data-role="base"]').value.trim();
+      if (!baseId || baseId === t.playlistId) continue;
+      links.push({ playlistId: t.playlistId, baseId, offsetMinutes: parseInt(row.querySelector('[data-role="offset"]').value, 10) || 0 });
+    }
+    if (links.length && await saveTimeshifts(links, [])) close();
+  };
+  bar.querySelector('[data-action="unlink"]').onclick = async () => {
+    const ids = selected().map(({ t }) => t.playlistId);
+    if (ids.length && await saveTimeshifts([], ids)) close();
+  };
+}
+timeshiftBtn && (timeshiftBtn.onclick = loadTimeshifts);
+
 // Build global IANA timezone datalist once
 function ensureTimezoneDatalist() {
   if (!tzListEl) return;
@@ -685,10 +1957,14 @@ function renderTimeline() {
   document.getElementById('todayBtn').onclick = () => { selectedDay = startOfDayLocal(new Date()); renderEpg(selectedId); };
 }
 
+// Repair counts from the last loaded channel day
+let dayRepairs = null;
+
 async function loadChannelDay(id, day) {
+  dayRepairs = null;
   const d0 = startOfDayLocal(day);
   const d1 = new Date(d0.getTime() + DAY_MS);
-  const playlist = settingsPlaylist.value.trim();
+  const playlist = playlistParam();
   const url = `/api/epg/channel?id=${encodeURIComponent(id)}&from=${encodeURIComponent(d0.toISOString())}&to=${encodeURIComponent(d1.toISOString())}&playlist=${encodeURIComponent(playlist)}`;
   try {
     const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
@@ -698,6 +1974,7 @@ async function loadChannelDay(id, day) {
     }
     const json = await res.json();
     if (json && Array.isArray(json.schedules)) {
+      dayRepairs = json.repairs || null;
       epg.schedules[id] = json.schedules;
       return json.schedules;
     }
@@ -719,13 +1996,13 @@ let prewarmPoll;
 async function prewarmNow() {
   const past = parseInt(pastDaysInput.value || '7', 10) || 0;
   const future = parseInt(futureDaysInput.value || '3', 10) || 0;
-  const playlist = settingsPlaylist.value.trim();
+  const playlist = playlistParam();
   prewarmBtn.disabled = true;
   prewarmStatus.textContent = 'Starting…';
   try {
     const res = await fetch('/api/export/prewarm', {
       method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ pastDays: past, futureDays: future, playlist, full: fullExportChk && fullExportChk.checked })
+      body: JSON.stringify({ pastDays: past, futureDays: future, playlist, full: fullExportChk && fullExportChk.checked, filter: exportFilterSelect?.value || undefined })
     });
     const json = await res.json();
     if (!json || !json.key) throw new Error('No key');
@@ -736,7 +2013,11 @@ async function prewarmNow() {
         const sres = await fetch(`/api/export/status?key=${encodeURIComponent(key)}`);
         const stat = await sres.json();
         if (stat.status === 'done') {
-          prewarmStatus.textContent = 'Complete';
+          const st = stat.stats;
+          const notes = [];
+          if (st && (st.filteredProgrammes || st.filteredChannels)) notes.push(`filtered out ${st.filteredProgrammes} programmes, ${st.filteredChannels} channels`);
+          if (st && st.repaired) notes.push(`${st.repaired} schedule repairs`);
+          prewarmStatus.textContent = notes.length ? `Complete — ${st.programmes} programmes; ${notes.join('; ')}` : 'Complete';
           clearInterval(prewarmPoll);
           prewarmBtn.disabled = false;
           // Clear the status after 15 seconds
@@ -3,33 +3,84 @@ import compression from 'compression';
 import fs from 'node:fs';
 import path from 'node:path';
 import zlib from 'zlib';
-import { parsePlaylist } from './src/parseM3U.js';
-import { findEpgUrlInHeader, parseXmlTv, xmltvTimeToIso, isoToXmltvTime } from './src/xmltv.js';
 import { streamParseXmltv } from './src/streamXmltv.js';
-import { mirrorFetch, listSnapshots } from './src/mirror.js';
-import { getCache, setCache } from './src/cache.js';
-import { stableStringify, sha1hex } from './src/hash.js';
-import { DateTime } from 'luxon';
+import { isValidZone } from './src/xmltv.js';
+import { mirrorFetch } from './src/mirror.js';
+import { readProgrammes } from './src/programmeIndex.js';
+import { parseLanguageList } from './src/lang.js';
+import { fetchText, loadPlaylists, playlistEpgUrls, playlistRefs } from './src/playlist.js';
+import { parsePlaylist } from './src/parseM3U.js';
+import { suggestMatches } from './src/matcher.js';
+import { detectTimeshifts, implicitLinks } from './src/timeshifts.js';
+import { placeholderEnabled } from './src/placeholders.js';
+import { normalizeOverride, shiftOverride } from './src/overrides.js';
+import { normalizeRule, compileRules, rulesFor, rewriteList, rewriteProgramme } from './src/rewrite.js';
+import { GENRES, BUILTIN_KEYWORDS, parseGenreMap } from './src/genres.js';
+import { normalizeFilter, resolveFilter } from './src/exportFilters.js';
+import { REPAIR_KINDS, repairTotal } from './src/repair.js';
+import { m3uHeader, m3uEntry } from './src/m3uWrite.js';
+import { SYNTHETIC_PREFIX, isSyntheticId } from './src/channelIds.js';
+import { primaryChannels, variantsOf } from './src/variants.js';
+import { refreshSource, rescheduleMirrors } from './src/scheduler.js';
+import { sourceHealth, healthSummary, deleteHealthReport } from './src/sourceHealth.js';
+import { safeFetch, checkUrl } from './src/fetchPolicy.js';
+import {
+  initAuth,
+  authEnabled,
+  authMiddleware,
+  isAdmin,
+  checkAdminPassword,
+  setAdminPassword,
+  checkSetupToken,
+  loginBlocked,
+  recordLoginFailure,
+  startSession,
+  endSession,
+  listTokens,
+  createToken,
+  revokeToken
+} from './src/auth.js';
+import { channelInputs, dayWindow, resolveChannels, singleChannel, resolveMappings, playlistImplied, byChannelNumber, prepareEpg, loadSchedules, channelList, viewSchedules, writeXmltv, exportEntries } from './src/pipeline.js';
 import {
   loadSettings,
   getDefaults,
   updateDefaults,
+  listPlaylists,
+  upsertPlaylist,
+  deletePlaylist,
+  writePlaylistFile,
   listSources,
   upsertSource,
   deleteSource,
   getMappings,
   setMapping,
   bulkSetMappings,
+  assignSources,
+  linkTimeshifts,
+  promoteChannel,
+  getOverrides,
+  saveOverride,
+  deleteOverride,
+  getRewriteRules,
+  setRewriteRules,
+  getExportFilters,
+  saveExportFilter,
+  deleteExportFilter,
   readSourceChannelCache,
   writeSourceChannelCache
 } from './src/store.js';
 
 const app = express();
 const PORT = process.env.PORT || 3333;
+// Forwarded host/proto/client address are only believed from proxies listed
+// here (Express "trust proxy": true, a hop count, or addresses/subnets)
+if (process.env.EPG_TRUST_PROXY) {
+  const v = process.env.EPG_TRUST_PROXY.trim();
+  app.set('trust proxy', v === 'true' ? true : /^\d+$/.test(v) ? Number(v) : v.split(',').map(s => s.trim()));
+}
 
 // Simple in-memory cache with TTL
 const TTL_MS = 10 * 60 * 1000; // 10 minutes
-const playlistCache = new Map(); // key: playlistUrl -> { at: Date.now(), text, parsed }
 const epgCache = new Map(); // key: epgUrl -> { at: Date.now(), text, parsed }
 // Background export prewarm jobs
 const prewarmJobs = new Map(); // key -> { status, percent, message, startedAt, finishedAt, exportUrl }
@@ -40,22 +91,89 @@ const RETAIN_DAYS_SCHEDULES = 10;
 
 // Load persisted settings
 loadSettings();
+initAuth();
 
 app.use(express.json());
 app.use(compression());
 app.use(express.static('public'));
+// Export URLs take a read token so IPTV clients can fetch them; the rest needs the admin login
+app.use(authMiddleware({
+  publicPaths: ['/healthz', '/api/auth/status', '/api/auth/login', '/api/auth/logout'],
+  readPaths: ['/epg.xml.gz', '/epg.xml', '/api/export/epg.xml.gz', '/api/export/epg.xml', '/playlist.m3u', '/api/export/playlist.m3u']
+}));
+
+app.get('/healthz', (req, res) => {
+  res.json({ ok: true });
+});
+
+// Auth
+app.get('/api/auth/status', (req, res) => {
+  res.json({ enabled: authEnabled(), admin: isAdmin(req), managedByEnv: !!process.env.EPG_ADMIN_PASSWORD });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  if (!authEnabled()) return res.json({ ok: true });
+  if (loginBlocked(req.ip)) return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+  const { password } = req.body || {};
+  if (!checkAdminPassword(password)) {
+    recordLoginFailure(req.ip);
+    return res.status(401).json({ error: 'Wrong password' });
+  }
+  startSession(req, res);
+  res.json({ ok: true });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.json({ ok: true });
+});
+
+// Set the admin password (first run: enables auth) or change it
+app.post('/api/auth/password', (req, res) => {
+  if (process.env.EPG_ADMIN_PASSWORD) return res.status(409).json({ error: 'The admin password is set by EPG_ADMIN_PASSWORD' });
+  const { current, setupToken, password } = req.body || {};
+  if (!authEnabled() && !checkSetupToken(setupToken)) return res.status(403).json({ error: 'Wrong setup token (it is printed in the server log at startup)' });
+  if (authEnabled() && !checkAdminPassword(current)) return res.status(403).json({ error: 'Current password is wrong' });
+  try {
+    setAdminPassword(password);
+    startSession(req, res);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/auth/tokens', (req, res) => {
+  res.json({ tokens: listTokens() });
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  res.json({ ok: true, token: createToken((req.body || {}).name) });
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  res.json({ ok: revokeToken(req.params.id) });
+});
+
+// 'epg.lan, 192.168.1.0/24' or ['epg.lan'] -> ['epg.lan', '192.168.1.0/24']
+function parseAllowlist(v) {
+  const arr = Array.isArray(v) ? v : String(v || '').split(/[\s,;]+/);
+  return Array.from(new Set(arr.map(x => String(x || '').trim().toLowerCase()).filter(Boolean)));
+}
 
-// Normalize all numeric offsets in XMLTV timestamps to +0000.
-// This helps IPTV apps that misinterpret or double-apply timezone offsets.
-const FORCE_ZERO_OFFSET = true;
+// Playlist group names: array or comma-separated string, case kept
+function parseNameList(v) {
+  const arr = Array.isArray(v) ? v : String(v || '').split(',');
+  return Array.from(new Set(arr.map(x => String(x || '').trim()).filter(Boolean)));
+}
 
-function normalizeXmltvOffsetZero(xmltv) {
-  if (!xmltv) return xmltv;
-  const m = /^(\d{14})(?:\s*(?:[+\-]\d{4}|Z))?$/.exec(xmltv);
-  if (m) return `${m[1]} +0000`;
-  return xmltv;
+// Fetch-policy rejections are the caller's fault, not a server error
+function errorStatus(err) {
+  return err && err.code === 'EBLOCKED' ? 403 : 500;
 }
 
+const NO_PLAYLIST = 'Missing `playlist` (no playlists configured and no server default set)';
+
 function logExportAccess(kind, details = {}) {
   // eslint-disable-next-line no-console
   console.log(`[export/${kind}]`, details);
@@ -76,28 +194,12 @@ function pruneOldFiles(dir, days = 10, pattern = /.*/) {
   } catch {}
 }
 
-async function parseGroups(groupArr, mirrors, opts, lowMem = false) {
-  if (!lowMem) {
-    return await Promise.allSettled(groupArr.map((g,i)=> streamParseXmltv(mirrors[i].path, g.allowed || null, opts)));
-  }
-  const out = [];
-  for (let i=0; i<groupArr.length; i++) {
-    try {
-      const val = await streamParseXmltv(mirrors[i].path, groupArr[i].allowed || null, opts);
-      out.push({ status: 'fulfilled', value: val });
-    } catch (e) {
-      out.push({ status: 'rejected', reason: e });
-    }
-  }
-  return out;
-}
-
 async function runAutoPrewarmOnce() {
   const d = getDefaults();
   if (d.autoPrewarmEnabled === false) return;
   try {
-    await prewarmExportJob({ pastDays: d.pastDays, futureDays: d.futureDays, playlistUrl: d.playlistUrl, epgUrl: d.epgUrl, full: false, key: 'AUTO_WIN' });
-    await prewarmExportJob({ pastDays: d.pastDays, futureDays: d.futureDays, playlistUrl: d.playlistUrl, epgUrl: d.epgUrl, full: true, key: 'AUTO_FULL' });
+    await prewarmExportJob({ pastDays: d.pastDays, futureDays: d.futureDays, full: false, key: 'AUTO_WIN' });
+    await prewarmExportJob({ pastDays: d.pastDays, futureDays: d.futureDays, full: true, key: 'AUTO_FULL' });
   } catch (e) {
     // eslint-disable-next-line no-console
     console.error('Auto-prewarm failed:', e.message || e);
@@ -114,76 +216,6 @@ function refreshAutoPrewarm() {
   runAutoPrewarmOnce();
 }
 
-// Merge historical programmes from source mirror snapshots to backfill past days
-async function backfillFromHistory(groups, windowFromMs, windowToMs, schedules, mappings) {
-  const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
-  const now = Date.now();
-  const pastTo = Math.min(windowToMs, now);
-  if (!(Number.isFinite(windowFromMs) && windowFromMs < pastTo)) return;
-  // Build de-dup sets for existing items per channel
-  const existingKeys = new Map(); // id -> Set(start)
-  for (const id of Object.keys(schedules)) {
-    const set = new Set();
-    for (const p of schedules[id]) if (p.start) set.add(p.start);
-    existingKeys.set(id, set);
-  }
-  for (const g of groups) {
-    const snaps = listSnapshots(g.url);
-    for (const s of snaps) {
-      // parse with window limited to past segment only
-      try {
-        const { schedules: raw } = await streamParseXmltv(s.path, g.allowed || null, { windowFromMs, windowToMs: pastTo });
-        if (g.allowed) {
-          for (const [epgId, list] of Object.entries(raw)) {
-            const plId = g.idMap.get(norm(epgId)); if (!plId) continue;
-            if (!schedules[plId]) schedules[plId] = [];
-            const set = existingKeys.get(plId) || new Set();
-            for (const p of list) {
-              if (p.start && set.has(p.start)) continue;
-              schedules[plId].push(p);
-              if (p.start) set.add(p.start);
-            }
-            existingKeys.set(plId, set);
-          }
-        } else {
-          for (const [epgId, list] of Object.entries(raw)) {
-            if (!schedules[epgId]) schedules[epgId] = [];
-            const set = existingKeys.get(epgId) || new Set();
-            for (const p of list) {
-              if (p.start && set.has(p.start)) continue;
-              schedules[epgId].push(p);
-              if (p.start) set.add(p.start);
-            }
-            existingKeys.set(epgId, set);
-          }
-        }
-      } catch {}
-    }
-  }
-  // Sort after backfill
-  for (const id of Object.keys(schedules)) schedules[id].sort((a,b)=>(a.start<b.start?-1:a.start>b.start?1:0));
-}
-
-async function fetchText(url) {
-  const res = await fetch(url, { headers: { 'User-Agent': 'epg-viewer/0.1' } });
-  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
-  const contentType = res.headers.get('content-type') || '';
-  const encoding = res.headers.get('content-encoding') || '';
-  const buf = Buffer.from(await res.arrayBuffer());
-
-  // If gzip encoded or looks like .gz, try to gunzip
-  const looksGz = encoding.includes('gzip') || contentType.includes('gzip') || url.endsWith('.gz');
-  if (looksGz) {
-    try {
-      const unzipped = zlib.gunzipSync(buf);
-      return unzipped.toString('utf8');
-    } catch {
-      // fall through to return as text
-    }
-  }
-  return buf.toString('utf8');
-}
-
 function getCached(map, key) {
   const v = map.get(key);
   if (!v) return null;
@@ -194,456 +226,203 @@ function getCached(map, key) {
   return v;
 }
 
-function applyOffset(list, offsetMinutes) {
-  const delta = (offsetMinutes|0) * 60 * 1000;
-  if (!delta) return list;
-  return list.map(p => ({
-    ...p,
-    start: p.start ? new Date(new Date(p.start).getTime() + delta).toISOString() : p.start,
-    stop: p.stop ? new Date(new Date(p.stop).getTime() + delta).toISOString() : p.stop
-  }));
+// Export window from query params. `pastDays`/`futureDays` fall back to the
+// saved defaults; ?full=1 (or no window params when fullByDefault) drops the window.
+function exportRequest(query, d, fullByDefault) {
+  const pastDays = Math.max(0, parseInt(query.pastDays || `${d.pastDays}`, 10));
+  const futureDays = Math.max(0, parseInt(query.futureDays || `${d.futureDays}`, 10));
+  const hasWindowParams = Object.prototype.hasOwnProperty.call(query, 'pastDays') || Object.prototype.hasOwnProperty.call(query, 'futureDays');
+  const full = query.full === '1' || query.full === 'true' || (fullByDefault && !hasWindowParams);
+  return { pastDays, futureDays, full };
 }
 
-function formatXmltvWithZone(utcIso, originalXmltv, zoneId, offsetMinutes, shiftMode = 'wall') {
-  // Helper to parse XMLTV timestamp
-  const parseXmltvParts = (xml) => {
-    const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*([+\-]\d{4}|Z)?$/.exec(xml || '');
-    if (!m) return null;
-    const [, Y, Mo, D, H, Mi, S, Z] = m;
-    let offMin = 0;
-    if (Z && Z !== 'Z') {
-      const sign = Z.startsWith('-') ? -1 : 1;
-      offMin = sign * ((parseInt(Z.slice(1,3),10)||0)*60 + (parseInt(Z.slice(3,5),10)||0));
-    }
-    return { Y, Mo, D, H, Mi, S, offMin };
-  };
-  const fmtXmltv = (Y, Mo, D, H, Mi, S, offMin) => {
-    const sign = offMin >= 0 ? '+' : '-';
-    const abs = Math.abs(offMin);
-    const oh = String(Math.floor(abs/60)).padStart(2,'0');
-    const om = String(abs%60).padStart(2,'0');
-    return `${Y}${Mo}${D}${H}${Mi}${S} ${sign}${oh}${om}`;
-  };
+function exportPathFor(cacheKey, ext) {
+  const exportDir = process.cwd() + '/epg-viewer/data/cache/exports';
+  try { fs.mkdirSync(exportDir, { recursive: true }); } catch {}
+  pruneOldFiles(exportDir, RETAIN_DAYS_EXPORTS, ext === 'xml' ? /\.xml$/ : /\.xml\.gz$/);
+  return exportDir + `/${cacheKey}.${ext}`;
+}
 
-  const addOff = offsetMinutes|0;
-
-  // Shift modes:
-  // - 'wall': shift the wall-clock time by offsetMinutes in the given zone (DST-aware);
-  //           write the correct numeric offset for the shifted instant. If zoneId is missing,
-  //           shift the absolute time and keep the original numeric offset if available.
-  // - 'offset': keep wall-clock digits and only adjust the numeric offset by offsetMinutes.
-
-  // Helper: format from a Luxon DateTime using its current zone/offset
-  const fmtFromDt = (dt) => {
-    const Y = dt.toFormat('yyyy');
-    const Mo = dt.toFormat('LL');
-    const D = dt.toFormat('dd');
-    const H = dt.toFormat('HH');
-    const Mi = dt.toFormat('mm');
-    const S = dt.toFormat('ss');
-    const offMin = dt.offset|0; // minutes
-    return fmtXmltv(Y, Mo, D, H, Mi, S, offMin);
-  };
+// writeXmltv stats of the last build per export key, for /api/export/status
+const exportStats = new Map();
+
+// The export URL that serves what a prewarm job builds: same window (or full),
+// playlist, guide and filter
+function prewarmExportUrl({ pastDays, futureDays, full, playlistUrl, epgUrl, filter }) {
+  const q = new URLSearchParams(full ? { full: '1' } : { pastDays: String(pastDays), futureDays: String(futureDays) });
+  if (playlistUrl) q.set('playlist', playlistUrl);
+  if (epgUrl) q.set('epg', epgUrl);
+  if (filter) q.set('filter', filter);
+  return `/epg.xml.gz?${q}`;
+}
 
-  if (shiftMode === 'offset') {
-    // Keep wall time digits; adjust numeric offset
-    if (zoneId) {
-      // If zone is specified, derive digits from UTC in that zone (to be consistent per mapping),
-      // then adjust numeric offset only.
-      if (!utcIso && originalXmltv) {
-        const p = parseXmltvParts(originalXmltv);
-        if (!p) return originalXmltv;
-        const finalOff = Math.max(-14*60, Math.min(14*60, p.offMin + addOff));
-        return fmtXmltv(p.Y, p.Mo, p.D, p.H, p.Mi, p.S, finalOff);
-      }
-      if (!utcIso) return originalXmltv || null;
-      const base = DateTime.fromISO(utcIso, { zone: 'utc' }).setZone(zoneId);
-      const Y = base.toFormat('yyyy');
-      const Mo = base.toFormat('LL');
-      const D = base.toFormat('dd');
-      const H = base.toFormat('HH');
-      const Mi = base.toFormat('mm');
-      const S = base.toFormat('ss');
-      const finalOff = Math.max(-14*60, Math.min(14*60, (base.offset|0) + addOff));
-      return fmtXmltv(Y, Mo, D, H, Mi, S, finalOff);
-    }
-    // No zoneId: use original xmltv digits if present
-    if (originalXmltv) {
-      const p = parseXmltvParts(originalXmltv);
-      if (!p) return originalXmltv;
-      const finalOff = Math.max(-14*60, Math.min(14*60, p.offMin + addOff));
-      return fmtXmltv(p.Y, p.Mo, p.D, p.H, p.Mi, p.S, finalOff);
-    }
-    // Fallback: format from UTC ISO, with +0000 and no digit change relative to UTC
-    const shiftedIso = utcIso ? new Date(new Date(utcIso).getTime()).toISOString() : null;
-    return isoToXmltvTime(shiftedIso);
-  }
+// This server's URL: EPG_PUBLIC_URL if set, else as the client reached it
+// (forwarded host/proto only from a trusted proxy, see EPG_TRUST_PROXY)
+function publicBase(req) {
+  if (process.env.EPG_PUBLIC_URL) return process.env.EPG_PUBLIC_URL.trim().replace(/\/+$/, '');
+  const trusted = app.get('trust proxy fn')(req.socket.remoteAddress, 0);
+  const forwardedHost = trusted ? String(req.get('x-forwarded-host') || '').split(',')[0].trim() : '';
+  return `${req.protocol}://${forwardedHost || req.get('host')}`;
+}
 
-  // Default: 'wall' mode
-  if (zoneId) {
-    // Zone-aware wall shift
-    let iso = utcIso;
-    if (!iso && originalXmltv) iso = xmltvTimeToIso(originalXmltv);
-    if (!iso) return originalXmltv || null;
-    const dt = DateTime.fromISO(iso, { zone: 'utc' }).setZone(zoneId).plus({ minutes: addOff });
-    return fmtFromDt(dt);
-  }
-  // No zoneId: try to preserve original numeric offset and shift absolute time
-  if (originalXmltv) {
-    const p = parseXmltvParts(originalXmltv);
-    const iso = xmltvTimeToIso(originalXmltv);
-    if (!p || !iso) return originalXmltv;
-    const shifted = DateTime.fromISO(iso, { zone: 'utc' }).plus({ minutes: addOff });
-    // Render wall digits in the original fixed offset
-    const dtLocal = shifted.setZone(`UTC${p.offMin>=0?'+':'-'}${String(Math.floor(Math.abs(p.offMin)/60)).padStart(2,'0')}:${String(Math.abs(p.offMin)%60).padStart(2,'0')}`);
-    return fmtXmltv(dtLocal.toFormat('yyyy'), dtLocal.toFormat('LL'), dtLocal.toFormat('dd'), dtLocal.toFormat('HH'), dtLocal.toFormat('mm'), dtLocal.toFormat('ss'), p.offMin);
+// Previously built export file, if it looks complete
+function builtExport(exportPath) {
+  try {
+    const st = fs.statSync(exportPath);
+    return st.size > 100 ? st : null;
+  } catch {
+    return null;
   }
-  // Last resort: UTC wall shift
-  const shiftedIso = utcIso ? new Date(new Date(utcIso).getTime() + addOff*60*1000).toISOString() : null;
-  return isoToXmltvTime(shiftedIso);
 }
 
 // Build export in background and cache to file
 async function prewarmExportJob(params) {
   const { pastDays, futureDays, playlistUrl, epgUrl, full = false } = params;
   const d = getDefaults();
-  const pl = playlistUrl || d.playlistUrl || null;
-  let epg = epgUrl || d.epgUrl || null;
-  const DAY = 24 * 60 * 60 * 1000;
-  const todayUTC = new Date(); todayUTC.setUTCHours(0,0,0,0);
-  const windowFromMs = todayUTC.getTime() - pastDays * DAY;
-  const windowToMs = todayUTC.getTime() + (futureDays + 1) * DAY;
-
-  // Load playlist
-  const channelIds = new Set();
-  const channelMeta = new Map();
-  if (pl) {
-    let playlistText; let parsed;
-    const cache = getCached(playlistCache, pl);
-    if (cache) { playlistText = cache.text; parsed = cache.parsed; }
-    else { playlistText = await fetchText(pl); parsed = parsePlaylist(playlistText); playlistCache.set(pl, { at: Date.now(), text: playlistText, parsed }); }
-    if (epg == null) {
-      const fromPl = findEpgUrlInHeader(parsed.headerAttrs) || null;
-      epg = d.usePlaylistEpg === false ? null : fromPl;
-    }
-    parsed.channels.forEach(c => { if (c.id) { channelIds.add(c.id); channelMeta.set(c.id, { name: c.name, logo: c.logo || null }); }});
-  }
-  const mappings = getMappings();
-  const sources = listSources().filter(s => s.enabled);
-  const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
-  const groups = new Map();
-  const ensureGroup = (url) => { if (!groups.has(url)) groups.set(url, { allowed: new Set(), idMap: new Map(), url }); return groups.get(url); };
-  if (channelIds.size) {
-    for (const plId of channelIds) {
-      const map = mappings[plId];
-      if (map && map.sourceId) {
-        const src = sources.find(s => s.id === map.sourceId);
-        if (src && src.url) { const egId = map.epgChannelId || plId; const g = ensureGroup(src.url); g.allowed.add(egId); g.idMap.set(norm(egId), plId); continue; }
-      }
-      if (epg) { const g = ensureGroup(epg); g.allowed.add(plId); g.idMap.set(norm(plId), plId); }
-    }
-  } else {
-    if (epg) { const g = ensureGroup(epg); g.allowed = null; }
-    for (const s of sources) { const g = ensureGroup(s.url); g.allowed = null; }
-  }
-
-  // Mirror
   const job = prewarmJobs.get(params.key);
   if (job) { job.status = 'running'; job.message = 'Mirroring sources'; job.percent = 5; }
-  const groupArr = Array.from(groups.values());
-  const mirrors = await Promise.all(groupArr.map(g => mirrorFetch(g.url)));
-  // Signatures
-  const sigs = {};
-  const hist = {};
-  mirrors.forEach((m,i)=>{ const st = fs.existsSync(m.path)?fs.statSync(m.path):null; const url = groupArr[i].url; sigs[url] = { etag: m.etag||null, lastModified: m.lastModified||null, size: st?st.size:null, mtimeMs: st?st.mtimeMs:null }; const snaps = listSnapshots(url).slice(0, 12).map(s=>s.savedAt); hist[url] = snaps; });
-  const keyObj = { v:1, type:'export-gz', full: !!full, urls:sigs, history: hist, ids: channelIds.size?Array.from(channelIds).sort():[], maps: channelIds.size?Array.from(channelIds).reduce((a,id)=>{const m=mappings[id]; if(m) a[id]={sourceId:m.sourceId||null, epgChannelId:m.epgChannelId||null, offsetMinutes:Number.isFinite(m.offsetMinutes)?(m.offsetMinutes|0):0, zoneId: m.zoneId || null, shiftMode: (m.shiftMode==='offset'?'offset':'wall')}; return a;},{}):{}, windowFromMs, windowToMs };
-  const cacheKey = 'EPG_' + sha1hex(stableStringify(keyObj));
+  const filter = resolveFilter(getExportFilters(), d.defaultExportFilter, params.filter);
+  if (filter === undefined) throw new Error(`Unknown export filter: ${params.filter}`);
+  const plan = await prepareEpg({
+    type: 'export',
+    playlistUrl,
+    epgUrl: epgUrl || d.epgUrl || null,
+    window: full ? null : dayWindow(pastDays, futureDays),
+    history: true,
+    filter
+  });
+  const cacheKey = plan.cacheKey;
   params.key = cacheKey;
-  const exportDir = process.cwd() + '/epg-viewer/data/cache/exports';
-  try { fs.mkdirSync(exportDir, { recursive: true }); } catch {}
-  pruneOldFiles(exportDir, RETAIN_DAYS_EXPORTS, /\.xml\.gz$/);
-  const exportPath = exportDir + `/${cacheKey}.xml.gz`;
-  if (fs.existsSync(exportPath)) {
-    if (job) { job.message = 'Ready (cached)'; job.percent = 100; job.status = 'done'; job.exportUrl = `/epg.xml.gz?pastDays=${pastDays}&futureDays=${futureDays}`; job.finishedAt = new Date().toISOString(); }
+  const exportPath = exportPathFor(cacheKey, 'xml.gz');
+  const exportUrl = prewarmExportUrl(params);
+  if (builtExport(exportPath)) {
+    if (job) { job.message = 'Ready (cached)'; job.percent = 100; job.status = 'done'; job.exportUrl = exportUrl; job.stats = exportStats.get(cacheKey) || null; job.finishedAt = new Date().toISOString(); }
     return { cacheKey, exportPath };
   }
 
-  // Parse concurrently
   if (job) { job.message = 'Parsing sources'; job.percent = 25; }
-  const parsedResults = await parseGroups(groupArr, mirrors, full ? { noWindow: true } : { windowFromMs, windowToMs }, d.lowMemMode === true);
-  if (job) { job.message = 'Merging'; job.percent = 70; }
-  // Merge with offsets
-  const schedules = {}; const epgChMeta = new Map();
-  for (let i=0;i<parsedResults.length;i++){
-    const g = groupArr[i];
-    if (parsedResults[i].status !== 'fulfilled') { continue; }
-    const { channels: chMap, schedules: raw } = parsedResults[i].value;
-    for (const [id, meta] of chMap.entries()) epgChMeta.set(id, meta);
-    if (g.allowed) {
-      for (const [epgId, list] of Object.entries(raw)) {
-        const plId = g.idMap.get(norm(epgId)); if (!plId) continue;
-        if (!schedules[plId]) schedules[plId] = [];
-        const off = Number.isFinite(mappings[plId]?.offsetMinutes) ? (mappings[plId].offsetMinutes|0) : 0;
-        if (off) schedules[plId].push(...applyOffset(list, off)); else schedules[plId].push(...list);
-      }
-    } else {
-      for (const [epgId, list] of Object.entries(raw)) { if (!schedules[epgId]) schedules[epgId] = []; schedules[epgId].push(...list); }
-    }
-  }
-  for (const id of Object.keys(schedules)) schedules[id].sort((a,b)=>(a.start<b.start?-1:a.start>b.start?1:0));
-  // Backfill from history if enabled and window includes the past
-  if (d.historyBackfill !== false && !full) {
-    await backfillFromHistory(groupArr, windowFromMs, windowToMs, schedules, mappings);
-  }
+  const data = await loadSchedules(plan);
 
   // Write gz to disk (same format as /epg.xml.gz)
   if (job) { job.message = 'Writing export'; job.percent = 85; }
-  const { PassThrough } = await import('node:stream');
   const gzip = zlib.createGzip({ level: 6 });
-  const tee = new PassThrough();
-  gzip.pipe(tee);
-  const ws = fs.createWriteStream(exportPath);
-  tee.pipe(ws);
-  const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-  const escAttr = (s) => esc(s).replace(/"/g, '&quot;');
-  const write = (s) => gzip.write(s);
-  write('<?xml version="1.0" encoding="UTF-8"?>\n');
-  write('<!DOCTYPE tv SYSTEM "xmltv.dtd">\n');
-  write('<tv generator-info-name="epg-viewer export">\n');
-  const orderedIds = channelIds.size ? Array.from(channelIds) : Array.from(epgChMeta.keys());
-  for (const id of orderedIds) {
-    const fromPlaylist = channelMeta.get(id) || {};
-    const epgId = (mappings[id]?.epgChannelId) || id;
-    const fromEpg = epgChMeta.get(epgId) || {};
-    const name = fromPlaylist.name || fromEpg.name || id;
-    const icon = fromPlaylist.logo || fromEpg.icon || null;
-    write(`  <channel id="${escAttr(id)}">\n`);
-    write(`    <display-name>${esc(name)}</display-name>\n`);
-    if (icon) write(`    <icon src="${escAttr(icon)}"/>\n`);
-    write('  </channel>\n');
-  }
-  for (const id of orderedIds) {
-    const list = schedules[id] || [];
-    const map = mappings[id] || {};
-    const offForId = Number.isFinite(map.offsetMinutes) ? (map.offsetMinutes|0) : 0;
-    const mustRewrite = offForId !== 0 || (!!map.zoneId && (map.shiftMode || 'wall') === 'wall');
-    for (const p of list) {
-      let start = (!mustRewrite && p.startXmltv) ? p.startXmltv : formatXmltvWithZone(p.start, p.startXmltv, map.zoneId, offForId, map.shiftMode || 'wall');
-      let stop = (!mustRewrite && p.stopXmltv) ? p.stopXmltv : formatXmltvWithZone(p.stop, p.stopXmltv, map.zoneId, offForId, map.shiftMode || 'wall');
-      if (FORCE_ZERO_OFFSET) { start = normalizeXmltvOffsetZero(start); if (stop) stop = normalizeXmltvOffsetZero(stop); }
-      const attrs = [`start="${escAttr(start || '')}"`, `channel="${escAttr(id)}"`];
-      if (stop) attrs.push(`stop="${escAttr(stop)}"`);
-      write(`  <programme ${attrs.join(' ')}>\n`);
-      if (p.title) write(`    <title>${esc(p.title)}</title>\n`);
-      if (p.desc) write(`    <desc>${esc(p.desc)}</desc>\n`);
-      if (p.category) write(`    <category>${esc(p.category)}</category>\n`);
-      if (p.icon) write(`    <icon src="${escAttr(p.icon)}"/>\n`);
-      write('  </programme>\n');
-    }
-  }
-  write('</tv>\n');
+  const tmpPath = exportPath + '.tmp';
+  const ws = fs.createWriteStream(tmpPath);
+  gzip.pipe(ws);
+  const stats = writeXmltv((s) => gzip.write(s), plan, data);
+  exportStats.set(cacheKey, stats);
   gzip.end();
-  await new Promise((resolve)=> ws.on('finish', resolve));
-  if (job) { job.message = 'Ready'; job.percent = 100; job.status = 'done'; job.finishedAt = new Date().toISOString(); job.exportUrl = `/epg.xml.gz?pastDays=${pastDays}&futureDays=${futureDays}`; }
+  await new Promise((resolve, reject) => { ws.on('finish', resolve); ws.on('error', reject); });
+  fs.renameSync(tmpPath, exportPath);
+  if (job) { job.message = 'Ready'; job.percent = 100; job.status = 'done'; job.finishedAt = new Date().toISOString(); job.exportUrl = exportUrl; job.stats = stats; }
   return { cacheKey, exportPath };
 }
 
 app.get('/api/channels', async (req, res) => {
   try {
     const defaults = getDefaults();
-    const playlistUrl = req.query.playlist || defaults.playlistUrl;
-    if (!playlistUrl) return res.status(400).json({ error: 'Missing `playlist` (no server default set)' });
-
-    let playlistText;
-    let parsed;
-    const cache = getCached(playlistCache, playlistUrl);
-    if (cache) {
-      playlistText = cache.text;
-      parsed = cache.parsed;
-    } else {
-      playlistText = await fetchText(playlistUrl);
-      parsed = parsePlaylist(playlistText);
-      playlistCache.set(playlistUrl, { at: Date.now(), text: playlistText, parsed });
-    }
-
-    let epgUrl = findEpgUrlInHeader(parsed.headerAttrs) || null;
-    if (defaults.usePlaylistEpg === false) epgUrl = null;
-
+    const playlistUrl = req.query.playlist || null;
+    const parsed = await loadPlaylists(playlistUrl);
+    if (!parsed) return res.status(400).json({ error: NO_PLAYLIST });
+    const epgUrls = defaults.usePlaylistEpg === false ? [] : playlistEpgUrls(parsed);
+
+    // One per channel (variants sharing its id listed with it), in channel
+    // number order, as the viewer lists them and the exports write them
+    const channels = primaryChannels(parsed.channels);
     res.json({
-      playlistUrl,
-      epgUrl,
-      channelCount: parsed.channels.length,
-      channels: parsed.channels.map(c => ({
+      playlistUrl: playlistUrl || (parsed.playlists.length === 1 ? parsed.playlists[0].url : null),
+      playlists: parsed.playlists,
+      epgUrl: epgUrls[0] || null,
+      epgUrls,
+      channelCount: channels.length,
+      entryCount: parsed.channels.length,
+      channels: byChannelNumber(channels).map(c => ({
         id: c.id,
         name: c.name,
         group: c.group || null,
         logo: c.logo || null,
-        url: c.url
+        url: c.url,
+        origin: c.origin,
+        timeshift: c.timeshift || null,
+        synthetic: !!c.synthetic,
+        syntheticId: c.syntheticId || null,
+        chno: c.chno,
+        tvgShift: c.tvgShift,
+        tvgRec: c.tvgRec,
+        catchup: c.catchup,
+        catchupDays: c.catchupDays,
+        catchupSource: c.catchupSource,
+        archiveDays: c.archiveDays,
+        epgUrls: c.epgUrls || null,
+        vlcOpts: c.vlcOpts || [],
+        kodiProps: c.kodiProps || [],
+        variants: c.variants ? variantsOf(c).map(v => ({ name: v.name, label: v.variantLabel, origin: v.origin, group: v.group || null, logo: v.logo || null, url: v.url, chno: v.chno })) : []
       }))
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
+// Give a playlist entry without a tvg-id a real id: { playlistId, id }. An
+// empty id gives it its synthetic id back. Its mapping and overrides move along.
+app.post('/api/channels/promote', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const parsed = await loadPlaylists(body.playlist || null);
+    if (!parsed) return res.status(400).json({ error: NO_PLAYLIST });
+    const ch = parsed.channels.find(c => c.id === String(body.playlistId || ''));
+    if (!ch) return res.status(404).json({ error: `Unknown playlist channel: ${body.playlistId}` });
+    if (!ch.syntheticId) return res.status(400).json({ error: `${ch.id} has a tvg-id in the playlist` });
+    const to = String(body.id || '').trim() || null;
+    if (to && isSyntheticId(to)) return res.status(400).json({ error: `Ids starting with ${SYNTHETIC_PREFIX} are reserved for channels without one` });
+    if (to && parsed.channels.some(c => c.syntheticId !== ch.syntheticId && c.id === to)) return res.status(400).json({ error: `${to} is already used by another playlist channel` });
+    const id = promoteChannel(ch.syntheticId, ch.id, to);
+    res.json({ ok: true, id, syntheticId: ch.syntheticId, mapping: getMappings()[id] || null });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// A feed read from its mirror (and its index once built), like the pipeline
+// does, rather than fetched and parsed again
+async function readMirrored(url, allowedIds, opts = {}) {
+  const mirror = await mirrorFetch(url, { assumeZone: opts.assumeZone });
+  return readProgrammes(mirror.path, allowedIds, opts);
+}
+
 app.get('/api/epg', async (req, res) => {
   try {
     const defaults = getDefaults();
-    const playlistUrl = req.query.playlist || defaults.playlistUrl;
-    let epgUrl = req.query.epg || defaults.epgUrl || null;
+    const playlistUrl = req.query.playlist || null;
     const debug = req.query.debug === '1';
     // Time window: last 7 days to next 3 days (quantized to UTC midnight for better cache reuse)
-    const DAY = 24 * 60 * 60 * 1000;
-    const todayUTC = new Date();
-    todayUTC.setUTCHours(0, 0, 0, 0);
-    const windowFromMs = todayUTC.getTime() - 7 * DAY;
-    const windowToMs = todayUTC.getTime() + (3 + 1) * DAY; // inclusive end-of-day
-
-    let channelIds = new Set();
-    let channelMeta = new Map(); // id -> { name, logo }
-
-    if (playlistUrl) {
-      let playlistText;
-      let parsed;
-      const cache = getCached(playlistCache, playlistUrl);
-      if (cache) {
-        playlistText = cache.text;
-        parsed = cache.parsed;
-      } else {
-        playlistText = await fetchText(playlistUrl);
-        parsed = parsePlaylist(playlistText);
-        playlistCache.set(playlistUrl, { at: Date.now(), text: playlistText, parsed });
-      }
-      if (epgUrl == null) {
-        const fromPl = findEpgUrlInHeader(parsed.headerAttrs) || null;
-        console.log('[epg-detect]/api/epg', {
-          playlistUrl,
-          headerEpg: fromPl,
-          defaultsEpg: defaults.epgUrl,
-          defaultsUsePlaylist: defaults.usePlaylistEpg,
-          epgBefore: epgUrl,
-          epgFinal: defaults.usePlaylistEpg === false ? null : fromPl
-        });
-        epgUrl = defaults.usePlaylistEpg === false ? null : fromPl;
-      }
-      parsed.channels.forEach(c => {
-        if (c.id) {
-          channelIds.add(c.id);
-          channelMeta.set(c.id, { name: c.name, logo: c.logo || null });
-        }
-      });
-    }
+    const window = dayWindow(7, 3);
+    const ctx = await resolveChannels({ playlistUrl, epgUrl: req.query.epg || defaults.epgUrl || null });
+    const { epgUrl, channelIds } = ctx;
 
     if (!epgUrl && listSources().length === 0) return res.status(400).json({ error: 'No EPG source. Provide ?epg=..., set default via /api/settings, add sources, or use a playlist with url-tvg.' });
 
-    const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
     let base;
     if (channelIds.size) {
-      // Build groups by source
-      const mappings = getMappings();
-      const sources = listSources().filter(s => s.enabled);
-      const groups = new Map(); // key: url -> { url, idMap: Map(epgIdNorm -> playlistId), allowed:Set(epgId) }
-      const ensureGroup = (url) => {
-        if (!groups.has(url)) groups.set(url, { url, idMap: new Map(), allowed: new Set() });
-        return groups.get(url);
-      };
-      for (const plId of channelIds) {
-        const map = mappings[plId];
-        if (map && map.sourceId) {
-          const src = sources.find(s => s.id === map.sourceId);
-          if (src && src.url) {
-            const egId = map.epgChannelId || plId;
-            const g = ensureGroup(src.url);
-            g.allowed.add(egId);
-            g.idMap.set(norm(egId), plId);
-            continue;
-          }
-        }
-        if (epgUrl) { const g = ensureGroup(epgUrl); g.allowed.add(plId); g.idMap.set(norm(plId), plId); }
-      }
-
-      // Mirror sources and build cache key
-      const groupArr = Array.from(groups.values());
-      const mirrors = await Promise.all(groupArr.map(g => mirrorFetch(g.url)));
-      const sigs = {};
-      mirrors.forEach((m, i) => {
-        const st = fs.existsSync(m.path) ? fs.statSync(m.path) : null;
-        sigs[groupArr[i].url] = {
-          etag: m.etag || null,
-          lastModified: m.lastModified || null,
-          size: st ? st.size : null,
-          mtimeMs: st ? st.mtimeMs : null
-        };
-      });
-      const keyObj = {
-        v: 1,
-        urls: sigs,
-        ids: Array.from(channelIds).sort(),
-        maps: Array.from(channelIds).reduce((acc, id) => { const m = mappings[id]; if (m) acc[id] = { sourceId: m.sourceId, epgChannelId: m.epgChannelId || null }; return acc; }, {}),
-        windowFromMs, windowToMs
-      };
-      const cacheKey = 'EPG_' + sha1hex(stableStringify(keyObj));
-      const cached = getCache(cacheKey);
-      if (cached) {
-        const channels = [];
-        for (const id of channelIds) {
-          const fromPlaylist = channelMeta.get(id) || {};
-          const map = mappings[id];
-          const epgId = (map?.epgChannelId) || id;
-          const fromEpg = (cached.epgMeta && cached.epgMeta[epgId]) || {};
-          channels.push({ id, name: fromPlaylist.name || fromEpg.name || id, logo: fromPlaylist.logo || fromEpg.icon || null });
-        }
-        base = {
-          epgUrl: epgUrl || null,
-          channelCount: channels.length,
-          programmeCount: cached.programmeCount || Object.values(cached.schedules).reduce((n,arr)=>n+arr.length,0),
-          channels,
-          schedules: cached.schedules
-        };
-      } else {
-        // Parse groups concurrently from mirror files
-        const parseResults = await Promise.all(groupArr.map((g, idx) => streamParseXmltv(mirrors[idx].path, g.allowed, { windowFromMs, windowToMs })));
-        const mergedSchedules = {};
-        const epgMetaById = new Map();
-        for (let i = 0; i < parseResults.length; i++) {
-          const g = groupArr[i];
-          const { channels: epgChMap, schedules: rawSchedules } = parseResults[i];
-          for (const [eid, meta] of epgChMap.entries()) epgMetaById.set(eid, meta);
-          for (const [epgId, list] of Object.entries(rawSchedules)) {
-            const plId = g.idMap.get(norm(epgId)); if (!plId) continue;
-            if (!mergedSchedules[plId]) mergedSchedules[plId] = [];
-            const off = Number.isFinite(mappings[plId]?.offsetMinutes) ? (mappings[plId].offsetMinutes|0) : 0;
-            if (off) mergedSchedules[plId].push(...applyOffset(list, off)); else mergedSchedules[plId].push(...list);
-          }
-        }
-        for (const id of Object.keys(mergedSchedules)) mergedSchedules[id].sort((a,b)=>(a.start<b.start?-1:a.start>b.start?1:0));
-        const channels = [];
-        for (const id of channelIds) {
-          const fromPlaylist = channelMeta.get(id) || {};
-          const map = mappings[id];
-          const epgId = (map?.epgChannelId) || id;
-          const fromEpg = epgMetaById.get(epgId) || {};
-          channels.push({ id, name: fromPlaylist.name || fromEpg.name || id, logo: fromPlaylist.logo || fromEpg.icon || null });
-        }
-        const programmeCount = Object.values(mergedSchedules).reduce((n,arr)=>n+arr.length,0);
-        // Save cache
-        const epgMetaObj = {};
-        for (const [id, meta] of epgMetaById.entries()) epgMetaObj[id] = meta;
-        setCache(cacheKey, { schedules: mergedSchedules, epgMeta: epgMetaObj, programmeCount }, 10*60*1000);
-        base = { epgUrl: epgUrl || null, channelCount: channels.length, programmeCount, channels, schedules: mergedSchedules };
-      }
+      const plan = await prepareEpg({ type: 'preview', channels: ctx, window });
+      const { schedules, epgMeta, repairs } = await loadSchedules(plan);
+      const channels = channelList(plan, epgMeta);
+      const programmeCount = Object.values(schedules).reduce((n,arr)=>n+arr.length,0);
+      base = { epgUrl: epgUrl || null, channelCount: channels.length, programmeCount, channels, schedules: viewSchedules(plan, schedules), repairs };
     } else {
       // No playlist — report channels from all enabled sources (channels-only) and default epgUrl
       const sources = listSources().filter(s => s.enabled);
       const channels = [];
       let programmeCount = 0;
+      const parseOpts = { windowFromMs: window.fromMs, windowToMs: window.toMs };
       if (epgUrl) {
-        const { channels: epgChMap, totalProgrammes } = await streamParseXmltv(epgUrl, null, { windowFromMs, windowToMs });
+        const { channels: epgChMap, totalProgrammes } = await readMirrored(epgUrl, null, parseOpts);
         for (const [id, meta] of epgChMap.entries()) channels.push({ id, name: meta.name || id, logo: meta.icon || null });
         programmeCount += totalProgrammes || 0;
       }
       for (const s of sources) {
-        const { channels: epgChMap, totalProgrammes } = await streamParseXmltv(s.url, null, { windowFromMs, windowToMs });
+        const { channels: epgChMap, totalProgrammes } = await readMirrored(s.url, null, { ...parseOpts, assumeZone: s.assumeZone });
         for (const [id, meta] of epgChMap.entries()) channels.push({ id, name: meta.name || id, logo: meta.icon || null });
         programmeCount += totalProgrammes || 0;
       }
@@ -653,11 +432,11 @@ app.get('/api/epg', async (req, res) => {
       // For debug, we need EPG IDs; use a shallow pass to list EPG channels
       let epgIds = [];
       if (epgUrl) {
-        const { channels: epgChMap } = await streamParseXmltv(epgUrl, null, { limitProgrammes: 0 });
+        const { channels: epgChMap } = await readMirrored(epgUrl, null, { limitProgrammes: 0 });
         epgIds = epgIds.concat(Array.from(epgChMap.keys()));
       }
       for (const s of listSources().filter(s=>s.enabled)) {
-        const { channels: epgChMap } = await streamParseXmltv(s.url, null, { limitProgrammes: 0 });
+        const { channels: epgChMap } = await readMirrored(s.url, null, { limitProgrammes: 0, assumeZone: s.assumeZone });
         epgIds = epgIds.concat(Array.from(epgChMap.keys()));
       }
       const plIds = Array.from(channelIds);
@@ -694,7 +473,7 @@ app.get('/api/_diag/epg-stats', async (req, res) => {
     const programTagCount = count('<program');
     res.json({ epgUrl, length: len, channelTagCount, programmeTagCount, programTagCount, head: sample });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
@@ -703,12 +482,13 @@ app.get('/api/_diag/headers', async (req, res) => {
   try {
     const url = req.query.url;
     if (!url) return res.status(400).json({ error: 'Provide ?url=...' });
-    const r = await fetch(url, { method: 'GET', headers: { 'User-Agent': 'epg-viewer/0.1' } });
+    const r = await safeFetch(url, { method: 'GET', headers: { 'User-Agent': 'epg-viewer/0.1' } });
+    try { r.body?.cancel?.(); } catch {}
     const headers = {};
     r.headers.forEach((v, k) => { headers[k] = v; });
     res.json({ url, status: r.status, headers });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
@@ -725,14 +505,29 @@ app.get('/api/settings', (req, res) => {
     historyRetentionDays: d.historyRetentionDays,
     autoPrewarmEnabled: d.autoPrewarmEnabled !== false,
     autoPrewarmIntervalMinutes: d.autoPrewarmIntervalMinutes,
+    mirrorSchedulerEnabled: d.mirrorSchedulerEnabled !== false,
+    mirrorIntervalMinutes: d.mirrorIntervalMinutes,
     liveGenerationEnabled: d.liveGenerationEnabled !== false,
-    lowMemMode: d.lowMemMode === true
+    lowMemMode: d.lowMemMode === true,
+    preferredLanguages: parseLanguageList(d.preferredLanguages),
+    fetchAllowlist: Array.isArray(d.fetchAllowlist) ? d.fetchAllowlist : [],
+    fetchTimeoutSeconds: d.fetchTimeoutSeconds,
+    fetchMaxMegabytes: d.fetchMaxMegabytes,
+    placeholderGroups: Array.isArray(d.placeholderGroups) ? d.placeholderGroups : [],
+    placeholderBlockMinutes: d.placeholderBlockMinutes,
+    placeholderTitle: d.placeholderTitle,
+    placeholderDesc: d.placeholderDesc,
+    genreNormalize: d.genreNormalize === true,
+    genreKeepOriginal: d.genreKeepOriginal === true,
+    genreMap: d.genreMap || {},
+    defaultExportFilter: d.defaultExportFilter || null
   });
 });
 
 app.post('/api/settings', (req, res) => {
   try {
-    const { playlistUrl, epgUrl, usePlaylistEpg, pastDays, futureDays, historyBackfill, historyRetentionDays, autoPrewarmEnabled, autoPrewarmIntervalMinutes, liveGenerationEnabled, lowMemMode } = req.body || {};
+    const { playlistUrl, epgUrl, usePlaylistEpg, pastDays, futureDays, historyBackfill, historyRetentionDays, autoPrewarmEnabled, autoPrewarmIntervalMinutes, mirrorSchedulerEnabled, mirrorIntervalMinutes, liveGenerationEnabled, lowMemMode, preferredLanguages, fetchAllowlist, fetchTimeoutSeconds, fetchMaxMegabytes, placeholderGroups, placeholderBlockMinutes, placeholderTitle, placeholderDesc, genreNormalize, genreKeepOriginal, genreMap, defaultExportFilter } = req.body || {};
+    if (defaultExportFilter && !getExportFilters().some(f => f.id === defaultExportFilter)) return res.status(400).json({ error: `Unknown export filter: ${defaultExportFilter}` });
     const updated = updateDefaults({
       ...(typeof playlistUrl === 'string' && playlistUrl.trim() ? { playlistUrl: playlistUrl.trim() } : {}),
       ...(typeof epgUrl === 'string' && epgUrl.trim() ? { epgUrl: epgUrl.trim() } : {}),
@@ -743,40 +538,190 @@ app.post('/api/settings', (req, res) => {
       ...(Number.isFinite(historyRetentionDays) ? { historyRetentionDays: Math.max(1, historyRetentionDays|0) } : {}),
       ...(typeof autoPrewarmEnabled === 'boolean' ? { autoPrewarmEnabled } : {}),
       ...(Number.isFinite(autoPrewarmIntervalMinutes) ? { autoPrewarmIntervalMinutes: Math.max(5, autoPrewarmIntervalMinutes|0) } : {}),
+      ...(typeof mirrorSchedulerEnabled === 'boolean' ? { mirrorSchedulerEnabled } : {}),
+      ...(Number.isFinite(mirrorIntervalMinutes) ? { mirrorIntervalMinutes: Math.max(5, mirrorIntervalMinutes|0) } : {}),
       ...(typeof liveGenerationEnabled === 'boolean' ? { liveGenerationEnabled } : {}),
-      ...(typeof lowMemMode === 'boolean' ? { lowMemMode } : {})
+      ...(typeof lowMemMode === 'boolean' ? { lowMemMode } : {}),
+      ...(preferredLanguages !== undefined ? { preferredLanguages: parseLanguageList(preferredLanguages) } : {}),
+      ...(fetchAllowlist !== undefined ? { fetchAllowlist: parseAllowlist(fetchAllowlist) } : {}),
+      ...(Number.isFinite(fetchTimeoutSeconds) ? { fetchTimeoutSeconds: Math.max(5, fetchTimeoutSeconds|0) } : {}),
+      ...(Number.isFinite(fetchMaxMegabytes) ? { fetchMaxMegabytes: Math.max(1, fetchMaxMegabytes|0) } : {}),
+      ...(placeholderGroups !== undefined ? { placeholderGroups: parseNameList(placeholderGroups) } : {}),
+      ...(Number.isFinite(placeholderBlockMinutes) ? { placeholderBlockMinutes: Math.max(15, Math.min(1440, placeholderBlockMinutes|0)) } : {}),
+      ...(typeof placeholderTitle === 'string' ? { placeholderTitle: placeholderTitle.trim() || '{name}' } : {}),
+      ...(typeof placeholderDesc === 'string' ? { placeholderDesc: placeholderDesc.trim() } : {}),
+      ...(typeof genreNormalize === 'boolean' ? { genreNormalize } : {}),
+      ...(typeof genreKeepOriginal === 'boolean' ? { genreKeepOriginal } : {}),
+      ...(genreMap !== undefined ? { genreMap: parseGenreMap(genreMap) } : {}),
+      ...(defaultExportFilter !== undefined ? { defaultExportFilter: defaultExportFilter || null } : {})
     });
     res.json({ ok: true, settings: updated });
     refreshAutoPrewarm();
+    rescheduleMirrors();
   } catch (e) {
     res.status(400).json({ error: 'Invalid settings payload' });
   }
 });
 
+// Playlists merged into the channel list (see loadPlaylists). Without any,
+// defaults.playlistUrl is the playlist; adding the first one keeps it as "main".
+const PLAYLIST_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PLAYLIST_PREFIX = /^[A-Za-z0-9._:-]{0,16}$/;
+
+// A playlist entry from a request body, over the stored one when it exists
+function playlistEntry(body, existing) {
+  const id = String(body.id || '').trim().toLowerCase();
+  if (!PLAYLIST_ID.test(id)) throw new Error('id must be 1-32 letters, digits, - or _');
+  const idPrefix = body.idPrefix !== undefined ? String(body.idPrefix || '').trim() : (existing?.idPrefix || '');
+  if (!PLAYLIST_PREFIX.test(idPrefix)) throw new Error('idPrefix must be up to 16 letters, digits, ".", ":", - or _');
+  if (isSyntheticId(idPrefix)) throw new Error(`idPrefix can't start with ${SYNTHETIC_PREFIX}`);
+  return {
+    id,
+    name: body.name !== undefined ? String(body.name || '').trim() : existing?.name,
+    enabled: typeof body.enabled === 'boolean' ? body.enabled : existing?.enabled !== false,
+    idPrefix
+  };
+}
+
+function seedMainPlaylist() {
+  const url = getDefaults().playlistUrl;
+  if (!listPlaylists().length && url) upsertPlaylist({ id: 'main', name: 'Main', url });
+}
+
+app.get('/api/playlists', (req, res) => {
+  res.json({ playlists: listPlaylists(), defaultPlaylistUrl: getDefaults().playlistUrl || null });
+});
+
+// Add or replace a playlist: { id, name?, url, enabled?, idPrefix? }. An
+// uploaded one (see PUT .../file) can be updated without url.
+app.post('/api/playlists', async (req, res) => {
+  const body = req.body || {};
+  let entry;
+  try {
+    entry = playlistEntry(body, listPlaylists().find(p => p.id === String(body.id || '').trim().toLowerCase()));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const existing = listPlaylists().find(p => p.id === entry.id);
+  if (body.url) {
+    try {
+      await checkUrl(body.url);
+    } catch (e) {
+      return res.status(400).json({ error: /internal address/.test(e.message) ? `${e.message} (add the host to the fetch allowlist to use it)` : e.message });
+    }
+    entry.url = String(body.url).trim();
+  } else if (existing?.file) {
+    entry.file = true;
+  } else if (existing?.url) {
+    entry.url = existing.url;
+  } else {
+    return res.status(400).json({ error: 'Missing url' });
+  }
+  if (entry.id !== 'main') seedMainPlaylist();
+  res.json({ ok: true, playlist: upsertPlaylist(entry) });
+});
+
+// Upload a local playlist (the request body is the M3U text); ?name= and
+// ?idPrefix= as for POST
+app.put('/api/playlists/:id/file', express.text({ type: () => true, limit: '50mb' }), (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : '';
+  let entry;
+  try {
+    entry = playlistEntry({ ...req.query, id: req.params.id, enabled: req.query.enabled === undefined ? undefined : req.query.enabled !== 'false' }, listPlaylists().find(p => p.id === req.params.id));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const count = parsePlaylist(text).channels.length;
+  if (!count) return res.status(400).json({ error: 'No channels found in the uploaded playlist' });
+  if (entry.id !== 'main') seedMainPlaylist();
+  writePlaylistFile(entry.id, text);
+  res.json({ ok: true, playlist: upsertPlaylist({ ...entry, file: true }), channelCount: count });
+});
+
+// Removing the last one makes defaults.playlistUrl the playlist again
+app.delete('/api/playlists/:id', (req, res) => {
+  if (!PLAYLIST_ID.test(req.params.id) || !deletePlaylist(req.params.id)) return res.status(404).json({ error: 'Playlist not found' });
+  res.json({ ok: true });
+});
+
 // Sources management
 app.get('/api/sources', (req, res) => {
   res.json({ sources: listSources() });
 });
 
-app.post('/api/sources', (req, res) => {
+app.post('/api/sources', async (req, res) => {
   const body = req.body || {};
   if (!body.url) return res.status(400).json({ error: 'Missing url' });
-  const src = upsertSource({ id: body.id, url: body.url, enabled: body.enabled, priority: body.priority });
+  // The id names the source's health report file
+  if (body.id != null && /[/\\]|^\.\.?$/.test(String(body.id))) return res.status(400).json({ error: 'id must not contain / or \\' });
+  try {
+    await checkUrl(body.url);
+  } catch (e) {
+    return res.status(400).json({ error: /internal address/.test(e.message) ? `${e.message} (add the host to the fetch allowlist to use it)` : e.message });
+  }
+  if (typeof body.assumeZone === 'string' && body.assumeZone.trim() && !isValidZone(body.assumeZone.trim())) {
+    return res.status(400).json({ error: `Unknown time zone: ${body.assumeZone}` });
+  }
+  const src = upsertSource({ id: body.id, url: body.url, enabled: body.enabled, priority: body.priority, refreshMinutes: body.refreshMinutes, assumeZone: body.assumeZone });
+  rescheduleMirrors();
   res.json({ ok: true, source: src });
 });
 
 app.delete('/api/sources/:id', (req, res) => {
   const ok = deleteSource(req.params.id);
+  if (ok) deleteHealthReport(req.params.id);
+  rescheduleMirrors();
   res.json({ ok });
 });
 
+// Mirror a source now instead of waiting for its next scheduled refresh
+app.post('/api/sources/:id/refresh', async (req, res) => {
+  const src = listSources().find(s => s.id === req.params.id);
+  if (!src) return res.status(404).json({ error: 'Source not found' });
+  try {
+    const mirror = await refreshSource(src.id);
+    res.json({ ok: !mirror?.lastError, mirror });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Feed quality report for every enabled source (totals only), built one source at a time
+app.get('/api/sources/health', async (req, res) => {
+  try {
+    const refresh = req.query.refresh === '1';
+    const reports = [];
+    for (const src of listSources().filter(s => s.enabled !== false)) {
+      try {
+        reports.push(healthSummary(await sourceHealth(src, { refresh })));
+      } catch (e) {
+        reports.push({ sourceId: src.id, url: src.url, error: e.message });
+      }
+    }
+    res.json({ reports });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Full report for one source, including per-channel coverage, gaps and overlaps
+app.get('/api/sources/:id/health', async (req, res) => {
+  const src = listSources().find(s => s.id === req.params.id);
+  if (!src) return res.status(404).json({ error: 'Source not found' });
+  try {
+    res.json(await sourceHealth(src, { refresh: req.query.refresh === '1' }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Rescan channels for a source
 app.post('/api/sources/:id/rescan', async (req, res) => {
   const id = req.params.id;
   const src = listSources().find(s => s.id === id);
   if (!src) return res.status(404).json({ error: 'Source not found' });
   try {
-    const { channels: chMap } = await streamParseXmltv(src.url, null, { limitProgrammes: 0 });
+    const { channels: chMap } = await readMirrored(src.url, null, { limitProgrammes: 0, assumeZone: src.assumeZone });
     const chList = Array.from(chMap.entries()).map(([id, meta]) => ({ id, name: meta.name || id, icon: meta.icon || null }));
     const payload = writeSourceChannelCache(id, chList);
     res.json({ ok: true, ...payload });
@@ -803,25 +748,249 @@ app.post('/api/mappings', (req, res) => {
     res.json({ ok: true, mappings: out });
     return;
   }
-  const { playlistId, sourceId, epgChannelId, offsetMinutes, zoneId, shiftMode } = body;
+  const { playlistId, sourceId, epgChannelId, offsetMinutes, zoneId, shiftMode, fallbacks, segments, languages, timeshiftOf, placeholder, name, logo, group, exclude } = body;
   if (!playlistId) return res.status(400).json({ error: 'Missing playlistId' });
-  const hasAny = (sourceId != null && String(sourceId).trim() !== '') || (epgChannelId != null && String(epgChannelId).trim() !== '') || Number.isFinite(offsetMinutes) || (typeof zoneId === 'string' && zoneId.trim() !== '') || (shiftMode === 'wall' || shiftMode === 'offset');
-  const payload = hasAny ? { sourceId, epgChannelId, offsetMinutes, zoneId, shiftMode } : null;
+  const curated = [name, logo, group].some(v => typeof v === 'string' && v.trim() !== '') || exclude === true;
+  const hasAny = (sourceId != null && String(sourceId).trim() !== '') || (typeof timeshiftOf === 'string' && timeshiftOf.trim() !== '') || timeshiftOf === false || (epgChannelId != null && String(epgChannelId).trim() !== '') || Number.isFinite(offsetMinutes) || (typeof zoneId === 'string' && zoneId.trim() !== '') || (shiftMode === 'wall' || shiftMode === 'offset') || (Array.isArray(fallbacks) && fallbacks.length > 0) || (Array.isArray(segments) && segments.length > 0) || typeof placeholder === 'boolean' || parseLanguageList(languages).length > 0 || curated;
+  const payload = hasAny ? { sourceId, epgChannelId, offsetMinutes, zoneId, shiftMode, fallbacks, segments, languages, timeshiftOf, placeholder, name, logo, group, exclude } : null;
   const saved = setMapping(playlistId, payload);
   res.json({ ok: true, mapping: saved });
 });
 
+// Ranked EPG channel suggestions for playlist channels, from the sources' scanned channel lists.
+// Unmapped channels only unless ?all=1; ?sourceId= limits to one source.
+app.get('/api/mappings/suggestions', async (req, res) => {
+  try {
+    const parsed = await loadPlaylists(req.query.playlist || null);
+    if (!parsed) return res.status(400).json({ error: NO_PLAYLIST });
+    const mappings = getMappings();
+    const all = req.query.all === '1' || req.query.all === 'true';
+    const seen = new Set();
+    const playlist = parsed.channels.filter(c => {
+      if (!c.id || seen.has(c.id)) return false;
+      seen.add(c.id);
+      const own = mappings[c.id];
+      // Timeshift channels linked to a base (explicitly or by the playlist) aren't "unmapped"
+      return all || (!own?.sourceId && !own?.timeshiftOf && !(c.timeshift && !own));
+    });
+    const srcs = listSources()
+      .filter(s => s.enabled && (!req.query.sourceId || s.id === req.query.sourceId))
+      .map(s => ({ id: s.id, priority: s.priority, channels: readSourceChannelCache(s.id).channels }));
+    const unscanned = srcs.filter(s => !s.channels.length).map(s => s.id);
+    const limit = parseInt(req.query.limit || '3', 10);
+    const minScore = req.query.minScore != null ? parseFloat(req.query.minScore) : undefined;
+    const suggestions = suggestMatches(playlist, srcs, { limit, minScore });
+    res.json({ count: suggestions.length, unscannedSources: unscanned, suggestions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accept reviewed suggestions: { accepts: [{ playlistId, sourceId, epgChannelId }] }
+app.post('/api/mappings/accept', (req, res) => {
+  const accepts = Array.isArray(req.body?.accepts) ? req.body.accepts : null;
+  if (!accepts) return res.status(400).json({ error: 'Missing accepts[]' });
+  const known = new Set(listSources().map(s => s.id));
+  const bad = accepts.find(a => !a || !a.playlistId || !known.has(a.sourceId));
+  if (bad) return res.status(400).json({ error: `Unknown source for ${bad?.playlistId || '(missing playlistId)'}` });
+  const saved = assignSources(accepts);
+  res.json({ ok: true, count: Object.keys(saved).length, mappings: saved });
+});
+
+// Manual programme overrides. The API speaks the channel's shifted time (what
+// the viewer shows); storage is in source time, so the channel offset is
+// taken off on the way in and added back on the way out.
+async function channelOffsetMinutes(playlistId, playlistUrl) {
+  const parsed = await loadPlaylists(playlistUrl || null);
+  const links = parsed ? playlistImplied(parsed.channels) : new Map();
+  const map = resolveMappings(getMappings(), links)[playlistId];
+  return Number.isFinite(map?.offsetMinutes) ? (map.offsetMinutes|0) : 0;
+}
+
+app.get('/api/overrides/:playlistId', async (req, res) => {
+  try {
+    const off = await channelOffsetMinutes(req.params.playlistId, req.query.playlist);
+    res.json({ overrides: (getOverrides()[req.params.playlistId] || []).map(o => shiftOverride(o, off)) });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Add or (with id) replace an override: { type: 'add'|'edit'|'hide', match?: { start, title? }, start?, stop?, title?, subTitle?, desc?, category? }
+app.post('/api/overrides/:playlistId', async (req, res) => {
+  let entry;
+  try {
+    entry = normalizeOverride(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const off = await channelOffsetMinutes(req.params.playlistId, req.body?.playlist);
+    const saved = saveOverride(req.params.playlistId, shiftOverride(entry, -off));
+    res.json({ ok: true, override: shiftOverride(saved, off) });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+app.delete('/api/overrides/:playlistId/:id', (req, res) => {
+  const ok = deleteOverride(req.params.playlistId, req.params.id);
+  if (!ok) return res.status(404).json({ error: 'Override not found' });
+  res.json({ ok: true });
+});
+
+// DVB genre taxonomy and built-in keywords, for the translation table editor
+app.get('/api/genres', (req, res) => {
+  res.json({ genres: GENRES, keywords: BUILTIN_KEYWORDS, table: getDefaults().genreMap || {} });
+});
+
+// Programme text rewrite rules, as one ordered list
+app.get('/api/rewrite/rules', (req, res) => {
+  res.json({ rules: getRewriteRules() });
+});
+
+app.post('/api/rewrite/rules', (req, res) => {
+  const list = Array.isArray(req.body?.rules) ? req.body.rules : null;
+  if (!list) return res.status(400).json({ error: 'Expected { rules: [...] }' });
+  let rules;
+  try {
+    rules = normalizeRules(list);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.json({ ok: true, rules: setRewriteRules(rules) });
+});
+
+function normalizeRules(list) {
+  return list.map((r, i) => {
+    try {
+      return normalizeRule(r);
+    } catch (e) {
+      throw new Error(`Rule ${i + 1}: ${e.message}`);
+    }
+  });
+}
+
+function previewFields(p) {
+  const ep = (p.episodeNums || []).find(x => x.system === 'xmltv_ns');
+  return {
+    title: p.title || null,
+    subTitle: p.subTitle || null,
+    desc: p.desc || null,
+    categories: (p.categories || (p.category ? [{ value: p.category }] : [])).map(c => c.value),
+    episode: ep ? ep.value : null
+  };
+}
+
+// Before/after for draft rules (not saved): { rules?, sample?: { title, subTitle, desc, category } }
+// rewrites just the sample; otherwise { sourceId?, epgChannelId?, playlistId?, limit? } rewrites
+// today's programmes of a source (the first enabled one by default) and returns the changed ones.
+// playlistId decides which channel rules apply.
+app.post('/api/rewrite/preview', async (req, res) => {
+  const body = req.body || {};
+  let compiled;
+  try {
+    compiled = compileRules(normalizeRules(Array.isArray(body.rules) ? body.rules : getRewriteRules()));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    if (body.sample) {
+      const { title, subTitle, desc, category } = body.sample;
+      const p = { title: title || null, desc: desc || null, category: category || null };
+      if (subTitle) p.subTitle = subTitle;
+      const rules = rulesFor(compiled, { sourceId: body.sourceId || null, channelId: body.playlistId || null });
+      return res.json({ total: 1, changed: 1, samples: [{ channel: null, start: null, before: previewFields(p), after: previewFields(rewriteProgramme(p, rules)) }] });
+    }
+    const sources = listSources().filter(s => s.enabled && s.url);
+    const src = body.sourceId ? sources.find(s => s.id === body.sourceId) : sources[0];
+    if (!src) return res.status(404).json({ error: 'No enabled source to preview' });
+    const limit = Math.min(200, Math.max(1, Number(body.limit) || 50));
+    const mirror = await mirrorFetch(src.url, { assumeZone: src.assumeZone });
+    const from = dayWindow(0, 0);
+    const opts = { windowFromMs: from.fromMs, windowToMs: from.toMs, assumeZone: src.assumeZone || null };
+    let { channels, schedules } = await readProgrammes(mirror.path, body.epgChannelId ? new Set([String(body.epgChannelId)]) : null, opts);
+    // The index only serves listed channels: ask again for all of them
+    if (!body.epgChannelId && !Object.keys(schedules).length && channels.size) {
+      ({ schedules } = await readProgrammes(mirror.path, new Set(channels.keys()), opts));
+    }
+    const rules = rulesFor(compiled, { sourceId: src.id, channelId: body.playlistId || null });
+    let total = 0, changed = 0;
+    const samples = [];
+    for (const [channel, list] of Object.entries(schedules)) {
+      const after = rewriteList(list, rules);
+      list.forEach((p, i) => {
+        total++;
+        if (after[i] === p) return;
+        changed++;
+        if (samples.length < limit) samples.push({ channel, start: p.start, before: previewFields(p), after: previewFields(after[i]) });
+      });
+    }
+    res.json({ sourceId: src.id, total, changed, samples });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Timeshift ("+1", "+2") channels in the playlist with their likely base channel
+// and current link state: linked (mapping links it), implied (the playlist's
+// shared tvg-id links it), unlinked (marked as not a timeshift), mapped (has
+// its own source) or new.
+app.get('/api/mappings/timeshifts', async (req, res) => {
+  try {
+    const parsed = await loadPlaylists(req.query.playlist || null);
+    if (!parsed) return res.status(400).json({ error: NO_PLAYLIST });
+    const mappings = getMappings();
+    const timeshifts = detectTimeshifts(parsed.channels).map(t => {
+      const own = mappings[t.playlistId];
+      let state = 'new';
+      if (own?.timeshiftOf) state = 'linked';
+      else if (own?.timeshiftOf === false) state = 'unlinked';
+      else if (own?.sourceId) state = 'mapped';
+      else if (t.implicit && !own) state = 'implied';
+      const linked = own?.timeshiftOf ? { baseId: own.timeshiftOf, offsetMinutes: Number.isFinite(own.offsetMinutes) ? own.offsetMinutes : 0 } : null;
+      return { ...t, state, linked };
+    });
+    res.json({ count: timeshifts.length, timeshifts });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Confirm or override timeshift links:
+// { links: [{ playlistId, baseId, offsetMinutes }], unlink: [playlistId] }
+// Unlinking a channel the playlist links implicitly records it as "not a timeshift".
+app.post('/api/mappings/timeshifts', async (req, res) => {
+  try {
+    const links = Array.isArray(req.body?.links) ? req.body.links : [];
+    const unlink = Array.isArray(req.body?.unlink) ? req.body.unlink.map(String) : [];
+    const bad = links.find(l => !l || !l.playlistId || !l.baseId || l.baseId === l.playlistId);
+    if (bad) return res.status(400).json({ error: `Invalid link for ${bad?.playlistId || '(missing playlistId)'}` });
+    const saved = linkTimeshifts(links);
+    if (unlink.length) {
+      const parsed = await loadPlaylists(req.body?.playlist || null);
+      const implied = parsed ? implicitLinks(parsed.channels) : new Map();
+      for (const id of unlink) setMapping(id, implied.has(id) ? { timeshiftOf: false } : null);
+    }
+    res.json({ ok: true, count: Object.keys(saved).length + unlink.length, mappings: getMappings() });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
 // Diagnostic: list first N EPG channel IDs via streaming parser
 app.get('/api/_diag/epg-channels', async (req, res) => {
   try {
     const epgUrl = req.query.epg;
     const n = Math.max(1, Math.min(1000, parseInt(req.query.n || '50', 10)));
     if (!epgUrl) return res.status(400).json({ error: 'Provide ?epg=URL' });
+    // An http(s) URL only; streamParseXmltv would also read a local mirror file
+    await checkUrl(epgUrl);
     const { channels: epgChMap } = await streamParseXmltv(epgUrl, null, { limitProgrammes: 0 });
     const ids = Array.from(epgChMap.keys());
     res.json({ epgUrl, count: ids.length, sample: ids.slice(0, n) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
@@ -841,7 +1010,7 @@ app.get('/api/_diag/epg-channels-simple', async (req, res) => {
     }
     res.json({ epgUrl, count: ids.length, sample: ids.slice(0, n) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
@@ -851,7 +1020,7 @@ app.get('/api/_diag/stream-head', async (req, res) => {
     const epgUrl = req.query.epg;
     const n = Math.max(128, Math.min(8192, parseInt(req.query.n || '1024', 10)));
     if (!epgUrl) return res.status(400).json({ error: 'Provide ?epg=URL' });
-    const r = await fetch(epgUrl, { headers: { 'User-Agent': 'epg-viewer/0.1' } });
+    const r = await safeFetch(epgUrl, { headers: { 'User-Agent': 'epg-viewer/0.1' } });
     if (!r.ok) return res.status(r.status).json({ error: `Fetch failed: ${r.status} ${r.statusText}` });
     let stream = (await import('node:stream')).Readable.fromWeb(r.body);
     const contentType = r.headers.get('content-type') || '';
@@ -871,7 +1040,7 @@ app.get('/api/_diag/stream-head', async (req, res) => {
     }
     res.json({ epgUrl, bytes: out.length, head: out });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
@@ -879,7 +1048,6 @@ app.get('/api/_diag/stream-head', async (req, res) => {
 app.get('/api/epg/channel', async (req, res) => {
   try {
     const defaults = getDefaults();
-    const playlistUrl = req.query.playlist || defaults.playlistUrl;
     const chId = String(req.query.id || '').trim();
     if (!chId) return res.status(400).json({ error: 'Missing ?id=playlistChannelId' });
     const fromIso = req.query.from;
@@ -890,284 +1058,144 @@ app.get('/api/epg/channel', async (req, res) => {
     let toMs = toIso ? Date.parse(toIso) : (fromMs + DAY);
     if (!Number.isFinite(fromMs) || !Number.isFinite(toMs)) return res.status(400).json({ error: 'Invalid from/to' });
 
-    // Load playlist meta and default EPG URL if available and allowed
-    let channelMeta = { name: chId, logo: null };
-    let epgUrl = req.query.epg || defaults.epgUrl || null;
-    if (playlistUrl) {
-      let playlistText;
-      let parsed;
-      const cache = getCached(playlistCache, playlistUrl);
-      if (cache) { playlistText = cache.text; parsed = cache.parsed; }
-      else { playlistText = await fetchText(playlistUrl); parsed = parsePlaylist(playlistText); playlistCache.set(playlistUrl, { at: Date.now(), text: playlistText, parsed }); }
-      const plCh = parsed.channels.find(c => c.id === chId);
-      if (plCh) channelMeta = { name: plCh.name || chId, logo: plCh.logo || null };
-      if (epgUrl == null) {
-        const fromPl = findEpgUrlInHeader(parsed.headerAttrs) || findEpgUrlInHeader(parsed.guessedHeaderAttrs) || null;
-        epgUrl = defaults.usePlaylistEpg === false ? null : fromPl;
-      }
-    }
-
-    // Resolve mapping
-    const mappings = getMappings();
-    const map = mappings[chId];
-    const sources = listSources().filter(s => s.enabled);
-    let sourceUrl = epgUrl || null;
-    let epgChannelId = chId;
-    if (map && map.sourceId) {
-      const src = sources.find(s => s.id === map.sourceId);
-      if (src && src.url) { sourceUrl = src.url; epgChannelId = map.epgChannelId || chId; }
-    }
-    if (!sourceUrl) return res.status(400).json({ error: 'No source EPG available for this channel. Add a source or enable playlist EPG.' });
-
-    // Mirror source and build cache key
-    const mirror = await mirrorFetch(sourceUrl);
-    const st = fs.existsSync(mirror.path) ? fs.statSync(mirror.path) : null;
-    const sig = { etag: mirror.etag || null, lastModified: mirror.lastModified || null, size: st?st.size:null, mtimeMs: st?st.mtimeMs:null };
-    const off = Number.isFinite(map?.offsetMinutes) ? (map.offsetMinutes|0) : 0;
-    const keyObj = { v:1, type:'channel', url: sourceUrl, sig, chId, epgChannelId, offsetMinutes: off, fromMs, toMs };
-    const cacheKey = 'CH_' + sha1hex(stableStringify(keyObj));
+    // The same pipeline as the preview and exports, for this channel and window
+    const ctx = singleChannel(await resolveChannels({ playlistUrl: req.query.playlist || null, epgUrl: req.query.epg || defaults.epgUrl || null }), chId);
+    const map = ctx.mappings[chId];
+    const meta = ctx.channelMeta.get(chId);
+    const inputs = channelInputs(chId, map, ctx.sources, meta.epgUrls || ctx.epgUrls);
+    // Placeholder channels and added programmes show even without any source
+    if (!inputs.length && !placeholderEnabled(map, meta.group, defaults) && !ctx.overrides[chId]?.length) return res.status(400).json({ error: 'No source EPG available for this channel. Add a source or enable playlist EPG.' });
+    const plan = await prepareEpg({ type: 'channel', channels: ctx, window: { fromMs, toMs }, history: true });
     const inm = req.headers['if-none-match'];
-    if (inm && inm === cacheKey) { res.status(304).end(); return; }
-    const cached = getCache(cacheKey);
-    if (cached) {
-      res.setHeader('ETag', cacheKey);
-      return res.json(cached);
-    }
+    if (inm && inm === plan.cacheKey) { res.status(304).end(); return; }
 
-    // Parse from mirror for only this channel
-    const { channels: chMap, schedules } = await streamParseXmltv(mirror.path, new Set([epgChannelId]), { windowFromMs: fromMs, windowToMs: toMs });
-    const meta = chMap.get(epgChannelId) || {};
-    const listRaw = schedules[epgChannelId] || [];
-    const list = off ? applyOffset(listRaw, off) : listRaw;
-    const payload = {
+    const { schedules, epgMeta, repairs } = await loadSchedules(plan);
+    const list = viewSchedules(plan, { [chId]: schedules[chId] || [] })[chId];
+    const [info] = channelList(plan, epgMeta);
+    res.setHeader('ETag', plan.cacheKey);
+    res.json({
       id: chId,
-      sourceUrl,
-      epgChannelId,
-      name: channelMeta.name || meta.name || chId,
-      logo: channelMeta.logo || meta.icon || null,
+      sourceUrl: inputs[0]?.url || null,
+      epgChannelId: inputs[0]?.epgId || null,
+      name: info.name,
+      logo: info.logo,
       from: new Date(fromMs).toISOString(),
       to: new Date(toMs).toISOString(),
       count: list.length,
+      repairs: repairs[chId] || null,
       schedules: list
-    };
-    setCache(cacheKey, payload, 10*60*1000);
-    res.setHeader('ETag', cacheKey);
-    res.json(payload);
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
-// Export filtered EPG as XMLTV (gzipped)
-app.get(['/api/export/epg.xml.gz', '/epg.xml.gz'], async (req, res) => {
-  try {
-    const d = getDefaults();
-    const playlistUrl = req.query.playlist || d.playlistUrl || null;
-    let epgUrl = req.query.epg || d.epgUrl || null;
-    const pastDays = Math.max(0, parseInt(req.query.pastDays || `${d.pastDays}`, 10));
-    const futureDays = Math.max(0, parseInt(req.query.futureDays || `${d.futureDays}`, 10));
-    const filename = (req.query.filename && String(req.query.filename).trim()) || 'filtered_epg.xml.gz';
-
-    if (!playlistUrl && !epgUrl && listSources().length === 0) return res.status(400).json({ error: 'No playlist/epg. Set defaults via POST /api/settings, add sources, or pass query params.' });
-
-    // Collect allowed channel IDs from playlist (if provided)
-    let channelIds = new Set();
-    let channelMeta = new Map(); // id -> { name, logo }
-    if (playlistUrl) {
-      let playlistText;
-      let parsed;
-      const cache = getCached(playlistCache, playlistUrl);
-      if (cache) {
-        playlistText = cache.text;
-        parsed = cache.parsed;
-      } else {
-        playlistText = await fetchText(playlistUrl);
-        parsed = parsePlaylist(playlistText);
-        playlistCache.set(playlistUrl, { at: Date.now(), text: playlistText, parsed });
-      }
-      if (epgUrl == null) {
-        const fromPl = findEpgUrlInHeader(parsed.headerAttrs) || null;
-        epgUrl = d.usePlaylistEpg === false ? null : fromPl;
-      }
-      parsed.channels.forEach(c => {
-        if (c.id) {
-          channelIds.add(c.id);
-          channelMeta.set(c.id, { name: c.name, logo: c.logo || null });
-        }
-      });
-    }
+// Resolve the export plan for a request; null (after replying 400/404) when there
+// is nothing to read or the requested content filter doesn't exist
+async function exportPlan(req, res, d, fullByDefault) {
+  const filter = resolveFilter(getExportFilters(), d.defaultExportFilter, req.query.filter);
+  if (filter === undefined) {
+    res.status(404).json({ error: `Unknown export filter: ${req.query.filter}` });
+    return null;
+  }
+  const playlistUrl = req.query.playlist || null;
+  const epgUrl = req.query.epg || d.epgUrl || null;
+  const { pastDays, futureDays, full } = exportRequest(req.query, d, fullByDefault);
+  if (!playlistRefs(playlistUrl).length && !epgUrl && listSources().length === 0) {
+    res.status(400).json({ error: 'No playlist/epg. Set defaults via POST /api/settings, add sources, or pass query params.' });
+    return null;
+  }
+  const channels = await resolveChannels({ playlistUrl, epgUrl });
+  if (!channels.epgUrl && listSources().length === 0) {
+    res.status(400).json({ error: 'No EPG URL found. Provide ?epg=..., set default via /api/settings, add sources, or use a playlist with url-tvg.' });
+    return null;
+  }
+  const plan = await prepareEpg({ type: 'export', channels, window: full ? null : dayWindow(pastDays, futureDays), history: true, filter });
+  return { plan, pastDays, futureDays, full, filter: filter ? filter.id : null };
+}
 
-    if (!epgUrl && listSources().length === 0) return res.status(400).json({ error: 'No EPG URL found. Provide ?epg=..., set default via /api/settings, add sources, or use a playlist with url-tvg.' });
+// What the repair stage fixed per channel in the export's schedules (same
+// query as the exports; shares their cache)
+app.get('/api/export/repairs', async (req, res) => {
+  try {
+    const ep = await exportPlan(req, res, getDefaults(), false);
+    if (!ep) return;
+    const { repairs } = await loadSchedules(ep.plan);
+    const channels = Object.entries(repairs).map(([id, fixes]) => ({ id, name: ep.plan.channelMeta.get(id)?.name || id, fixes, total: repairTotal(fixes) }));
+    channels.sort((a, b) => b.total - a.total || a.id.localeCompare(b.id));
+    res.json({ kinds: REPAIR_KINDS, total: channels.reduce((n, c) => n + c.total, 0), channels });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
 
-    // Time window (quantized to UTC midnight for cache reuse), allow full export without limits via ?full=1
-    const hasWindowParams = Object.prototype.hasOwnProperty.call(req.query, 'pastDays') || Object.prototype.hasOwnProperty.call(req.query, 'futureDays');
-    const isFull = req.query.full === '1' || req.query.full === 'true' || !hasWindowParams;
-    const DAY = 24 * 60 * 60 * 1000;
-    const todayUTC = new Date();
-    todayUTC.setUTCHours(0, 0, 0, 0);
-    const windowFromMs = isFull ? null : (todayUTC.getTime() - pastDays * DAY);
-    const windowToMs = isFull ? null : (todayUTC.getTime() + (futureDays + 1) * DAY); // inclusive end-of-day
+// Named content filters for exports (?filter=<id>)
+app.get('/api/export/filters', (req, res) => {
+  res.json({ filters: getExportFilters(), defaultFilter: getDefaults().defaultExportFilter || null });
+});
 
-    // Build groups by source (like /api/epg)
-    const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
-    const mappings = getMappings();
-    const sources = listSources().filter(s => s.enabled);
-    const groups = new Map(); // url -> { allowed:Set, idMap: Map(normEpgId->playlistId) }
-    const ensureGroup = (url) => { if (!groups.has(url)) groups.set(url, { allowed: new Set(), idMap: new Map(), url }); return groups.get(url); };
-    if (channelIds.size) {
-      for (const plId of channelIds) {
-        const map = mappings[plId];
-        if (map && map.sourceId) {
-          const src = sources.find(s => s.id === map.sourceId);
-          if (src && src.url) {
-            const egId = map.epgChannelId || plId;
-            const g = ensureGroup(src.url); g.allowed.add(egId); g.idMap.set(norm(egId), plId); continue;
-          }
-        }
-        if (epgUrl) { const g = ensureGroup(epgUrl); g.allowed.add(plId); g.idMap.set(norm(plId), plId); }
-      }
-    } else {
-      // No playlist: export whole default epgUrl (if any) + all enabled sources
-      if (epgUrl) { const g = ensureGroup(epgUrl); g.allowed = null; }
-      for (const s of sources) { const g = ensureGroup(s.url); g.allowed = null; }
-    }
+// Add or replace a filter by id
+app.post('/api/export/filters', (req, res) => {
+  let filter;
+  try {
+    filter = normalizeFilter(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.json({ ok: true, filter: saveExportFilter(filter) });
+});
 
-    // Mirror and parse concurrently, with schedule cache
-    const groupArr = Array.from(groups.values());
-    const mirrors = await Promise.all(groupArr.map(g => mirrorFetch(g.url)));
-    const sigs = {};
-    const hist = {};
-    mirrors.forEach((m,i)=>{ const st = fs.existsSync(m.path)?fs.statSync(m.path):null; const url = groupArr[i].url; sigs[url] = { etag: m.etag||null, lastModified: m.lastModified||null, size: st?st.size:null, mtimeMs: st?st.mtimeMs:null }; const snaps = listSnapshots(url).slice(0, 12).map(s=>s.savedAt); hist[url] = snaps; });
-    const keyObj = { v:1, type:'export-gz', full: !!isFull, urls:sigs, history: hist, ids: channelIds.size?Array.from(channelIds).sort():[], maps: channelIds.size?Array.from(channelIds).reduce((a,id)=>{const m=getMappings()[id]; if(m) a[id]={sourceId:m.sourceId||null, epgChannelId:m.epgChannelId||null, offsetMinutes:Number.isFinite(m.offsetMinutes)?(m.offsetMinutes|0):0, zoneId:m.zoneId||null, shiftMode:(m.shiftMode==='offset'?'offset':'wall')}; return a;},{}):{}, windowFromMs, windowToMs };
-    const cacheKey = 'EPG_' + sha1hex(stableStringify(keyObj));
-    let schedules = {};
-    const epgChMeta = new Map();
-    const cached = getCache(cacheKey);
-    if (cached) {
-      schedules = cached.schedules || {};
-      const meta = cached.epgMeta || {};
-      for (const id of Object.keys(meta)) epgChMeta.set(id, meta[id]);
-    } else {
-      const parsedResults = await parseGroups(groupArr, mirrors, isFull ? { noWindow: true } : { windowFromMs, windowToMs }, d.lowMemMode === true);
-      for (let i=0;i<parsedResults.length;i++){
-        const g = groupArr[i];
-        if (parsedResults[i].status !== 'fulfilled') { continue; }
-        const { channels: chMap, schedules: raw } = parsedResults[i].value;
-        for (const [id, meta] of chMap.entries()) epgChMeta.set(id, meta);
-        if (g.allowed) {
-          for (const [epgId, list] of Object.entries(raw)) {
-            const plId = g.idMap.get(norm(epgId)); if (!plId) continue;
-            if (!schedules[plId]) schedules[plId] = [];
-            const off = Number.isFinite(mappings[plId]?.offsetMinutes) ? (mappings[plId].offsetMinutes|0) : 0;
-            if (off) schedules[plId].push(...applyOffset(list, off)); else schedules[plId].push(...list);
-          }
-        } else {
-          for (const [epgId, list] of Object.entries(raw)) { if (!schedules[epgId]) schedules[epgId] = []; schedules[epgId].push(...list); }
-        }
-      }
-      for (const id of Object.keys(schedules)) schedules[id].sort((a,b)=>(a.start<b.start?-1:a.start>b.start?1:0));
-      if (d.historyBackfill !== false && !isFull) {
-        await backfillFromHistory(groupArr, windowFromMs, windowToMs, schedules, getMappings());
-      }
-      const epgMetaObj = {}; for (const [id, meta] of epgChMeta.entries()) epgMetaObj[id] = meta;
-      setCache(cacheKey, { schedules, epgMeta: epgMetaObj }, 10*60*1000);
-    }
+app.delete('/api/export/filters/:id', (req, res) => {
+  if (!deleteExportFilter(req.params.id)) return res.status(404).json({ error: 'Filter not found' });
+  res.json({ ok: true });
+});
 
-    const orderedIds = channelIds.size ? Array.from(channelIds) : Array.from(epgChMeta.keys());
-    const plToEpgId = {};
-    if (channelIds.size) {
-      const maps = getMappings();
-      for (const id of orderedIds) plToEpgId[id] = (maps[id]?.epgChannelId) || id;
+// Export filtered EPG as XMLTV (gzipped). Without pastDays/futureDays the export is full (no window).
+app.get(['/api/export/epg.xml.gz', '/epg.xml.gz'], async (req, res) => {
+  try {
+    const d = getDefaults();
+    const filename = (req.query.filename && String(req.query.filename).trim()) || 'filtered_epg.xml.gz';
+    const out = await exportPlan(req, res, d, true);
+    if (!out) return;
+    const { plan, pastDays, futureDays, full, filter } = out;
+    const cacheKey = plan.cacheKey;
+    const exportPath = exportPathFor(cacheKey, 'xml.gz');
+    const st = builtExport(exportPath);
+    if (!st && d.liveGenerationEnabled === false) {
+      return res.status(503).json({ error: 'Live export generation disabled. Enable live generation or wait for auto-prewarm.' });
     }
-    
 
-    // Prepare response headers and gzip stream (send as XML with gzip encoding for max compatibility)
     // Serve a pre-compressed GZ file; do NOT set Content-Encoding
     res.setHeader('Content-Type', 'application/gzip');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Cache-Control', 'no-cache');
-    const gzip = zlib.createGzip({ level: 6 });
-    // Serve from prebuilt export cache if available; else tee to cache file while streaming to client
-    const exportDir = process.cwd() + '/epg-viewer/data/cache/exports';
-    try { fs.mkdirSync(exportDir, { recursive: true }); } catch {}
-    const exportKey = cacheKey; // reuse key signature
-    const exportPath = exportDir + `/${exportKey}.xml.gz`;
-    const st = fs.existsSync(exportPath) ? (() => { try { return fs.statSync(exportPath); } catch { return null; }})() : null;
-    const existingGood = !!(st && st.size > 100);
-    if (existingGood) {
-      res.once('finish', () => logExportAccess('gz', { cacheKey: exportKey, fromCache: true, path: exportPath, size: st?.size, pastDays, futureDays, full: isFull }));
+    if (st) {
+      res.once('finish', () => logExportAccess('gz', { cacheKey, fromCache: true, path: exportPath, size: st.size, pastDays, futureDays, full, filter }));
       // Fast path: stream file
       const rs = fs.createReadStream(exportPath);
       rs.on('error', () => res.status(500).end());
       rs.pipe(res);
       return;
     }
-    if (d.liveGenerationEnabled === false) {
-      return res.status(503).json({ error: 'Live export generation disabled. Enable live generation or wait for auto-prewarm.' });
-    }
-    const { PassThrough } = await import('node:stream');
-    const tee = new PassThrough();
-    gzip.pipe(tee);
-    tee.pipe(res);
+
+    // Build live, teeing to the export cache file while streaming to the client
+    const data = await loadSchedules(plan);
+    const gzip = zlib.createGzip({ level: 6 });
     const tmpPath = exportPath + '.tmp';
     try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch {}
     const ws = fs.createWriteStream(tmpPath);
-    tee.pipe(ws);
-
+    gzip.pipe(res);
+    gzip.pipe(ws);
+    ws.on('finish', () => {
+      try { fs.renameSync(tmpPath, exportPath); } catch {}
+    });
     res.once('finish', () => {
       let sz = null;
-      try { const st2 = fs.statSync(exportPath); sz = st2.size; } catch {}
-      logExportAccess('gz', { cacheKey: exportKey, fromCache: false, path: exportPath, size: sz, pastDays, futureDays, full: isFull });
+      try { sz = fs.statSync(exportPath).size; } catch {}
+      logExportAccess('gz', { cacheKey, fromCache: false, path: exportPath, size: sz, pastDays, futureDays, full, filter, ...exportStats.get(cacheKey) });
     });
-
-    // XML helpers
-    const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-    const escAttr = (s) => esc(s).replace(/"/g, '&quot;');
-    const write = (s) => gzip.write(s);
-
-    // Write XMLTV
-    write('<?xml version="1.0" encoding="UTF-8"?>\n');
-    write('<!DOCTYPE tv SYSTEM "xmltv.dtd">\n');
-    write('<tv generator-info-name="epg-viewer export">\n');
-
-    // Channels
-    for (const id of orderedIds) {
-      const fromPlaylist = channelMeta.get(id) || {};
-      const epgId = plToEpgId[id] || id;
-      const fromEpg = epgChMeta.get(epgId) || {};
-      const name = fromPlaylist.name || fromEpg.name || id;
-      const icon = fromPlaylist.logo || fromEpg.icon || null;
-      write(`  <channel id="${escAttr(id)}">\n`);
-      write(`    <display-name>${esc(name)}</display-name>\n`);
-      if (icon) write(`    <icon src="${escAttr(icon)}"/>\n`);
-      write('  </channel>\n');
-    }
-
-    // Programmes
-    for (const id of orderedIds) {
-      const list = schedules[id] || [];
-      const map = mappings[id] || {};
-      const offForId = Number.isFinite(map.offsetMinutes) ? (map.offsetMinutes|0) : 0;
-      const mustRewrite = offForId !== 0 || (!!map.zoneId && (map.shiftMode || 'wall') === 'wall');
-      for (const p of list) {
-        const start = (!mustRewrite && p.startXmltv) ? p.startXmltv : formatXmltvWithZone(p.start, p.startXmltv, map.zoneId, offForId, map.shiftMode || 'wall');
-        const stop = (!mustRewrite && p.stopXmltv) ? p.stopXmltv : formatXmltvWithZone(p.stop, p.stopXmltv, map.zoneId, offForId, map.shiftMode || 'wall');
-        const attrs = [`start="${escAttr(start || '')}"`, `channel="${escAttr(id)}"`];
-        if (stop) attrs.push(`stop="${escAttr(stop)}"`);
-        write(`  <programme ${attrs.join(' ')}>\n`);
-        if (p.title) write(`    <title>${esc(p.title)}</title>\n`);
-        if (p.desc) write(`    <desc>${esc(p.desc)}</desc>\n`);
-        if (p.category) write(`    <category>${esc(p.category)}</category>\n`);
-        if (p.icon) write(`    <icon src="${escAttr(p.icon)}"/>\n`);
-        write('  </programme>\n');
-      }
-    }
-
-    write('</tv>\n');
+    exportStats.set(cacheKey, writeXmltv((s) => gzip.write(s), plan, data));
     gzip.end();
-    ws.on('finish', () => {
-      try { fs.renameSync(tmpPath, exportPath); } catch {}
-    });
   } catch (err) {
     // If headers not sent, return JSON error; else end the stream
     if (!res.headersSent) res.status(500).json({ error: err.message });
@@ -1175,193 +1203,81 @@ app.get(['/api/export/epg.xml.gz', '/epg.xml.gz'], async (req, res) => {
   }
 });
 
-// Optional: uncompressed XML export for clients that don't support gzip
+// Optional: uncompressed XML export for clients that don't support gzip. Windowed unless ?full=1.
 app.get(['/api/export/epg.xml', '/epg.xml'], async (req, res) => {
   try {
     const d = getDefaults();
-    const playlistUrl = req.query.playlist || d.playlistUrl || null;
-    let epgUrl = req.query.epg || d.epgUrl || null;
-    const pastDays = Math.max(0, parseInt(req.query.pastDays || `${d.pastDays}`, 10));
-    const futureDays = Math.max(0, parseInt(req.query.futureDays || `${d.futureDays}`, 10));
-
-    if (!playlistUrl && !epgUrl && listSources().length === 0) return res.status(400).json({ error: 'No playlist/epg. Set defaults via POST /api/settings, add sources, or pass query params.' });
-
-    // Collect allowed channel IDs from playlist (if provided)
-    let channelIds = new Set();
-    let channelMeta = new Map(); // id -> { name, logo }
-    if (playlistUrl) {
-      let playlistText;
-      let parsed;
-      const cache = getCached(playlistCache, playlistUrl);
-      if (cache) {
-        playlistText = cache.text;
-        parsed = cache.parsed;
-      } else {
-        playlistText = await fetchText(playlistUrl);
-        parsed = parsePlaylist(playlistText);
-        playlistCache.set(playlistUrl, { at: Date.now(), text: playlistText, parsed });
-      }
-      if (epgUrl == null) {
-        const fromPl = findEpgUrlInHeader(parsed.headerAttrs) || null;
-        epgUrl = d.usePlaylistEpg === false ? null : fromPl;
-      }
-      parsed.channels.forEach(c => {
-        if (c.id) {
-          channelIds.add(c.id);
-          channelMeta.set(c.id, { name: c.name, logo: c.logo || null });
-        }
-      });
-    }
-
-    if (!epgUrl && listSources().length === 0) return res.status(400).json({ error: 'No EPG URL found. Provide ?epg=..., set default via /api/settings, add sources, or use a playlist with url-tvg.' });
-
-    // Time window (quantized to UTC midnight for cache reuse)
-    const DAY = 24 * 60 * 60 * 1000;
-    const todayUTC = new Date();
-    todayUTC.setUTCHours(0, 0, 0, 0);
-    const windowFromMs = todayUTC.getTime() - pastDays * DAY;
-    const windowToMs = todayUTC.getTime() + (futureDays + 1) * DAY; // inclusive end-of-day
-
-    // Group by source (same as gz)
-    const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
-    const mappings = getMappings();
-    const sources = listSources().filter(s => s.enabled);
-    const groups = new Map();
-    const ensureGroup = (url) => { if (!groups.has(url)) groups.set(url, { allowed: new Set(), idMap: new Map(), url }); return groups.get(url); };
-    if (channelIds.size) {
-      for (const plId of channelIds) {
-        const map = mappings[plId];
-        if (map && map.sourceId) {
-          const src = sources.find(s => s.id === map.sourceId);
-          if (src && src.url) { const egId = map.epgChannelId || plId; const g=ensureGroup(src.url); g.allowed.add(egId); g.idMap.set(norm(egId), plId); continue; }
-        }
-        if (epgUrl) { const g=ensureGroup(epgUrl); g.allowed.add(plId); g.idMap.set(norm(plId), plId); }
-      }
-    } else {
-      if (epgUrl) { const g=ensureGroup(epgUrl); g.allowed=null; }
-      for (const s of sources) { const g=ensureGroup(s.url); g.allowed=null; }
-    }
-    const groupArr = Array.from(groups.values());
-    const mirrors = await Promise.all(groupArr.map(g => mirrorFetch(g.url)));
-    const sigs = {};
-    const hist = {};
-    mirrors.forEach((m,i)=>{ const st = fs.existsSync(m.path)?fs.statSync(m.path):null; const url = groupArr[i].url; sigs[url] = { etag: m.etag||null, lastModified: m.lastModified||null, size: st?st.size:null, mtimeMs: st?st.mtimeMs:null }; const snaps = listSnapshots(url).slice(0, 12).map(s=>s.savedAt); hist[url] = snaps; });
-    const keyObj = { v:1, type:'export-xml', urls:sigs, history: hist, ids: channelIds.size?Array.from(channelIds).sort():[], maps: channelIds.size?Array.from(channelIds).reduce((a,id)=>{const m=getMappings()[id]; if(m) a[id]={sourceId:m.sourceId, epgChannelId:m.epgChannelId||null, offsetMinutes:Number.isFinite(m.offsetMinutes)?(m.offsetMinutes|0):0, zoneId:m.zoneId||null, shiftMode:(m.shiftMode==='offset'?'offset':'wall')}; return a;},{}):{}, windowFromMs, windowToMs };
-    const cacheKey = 'EPG_' + sha1hex(stableStringify(keyObj));
-    let schedules = {};
-    const epgChMeta = new Map();
-    const cached = getCache(cacheKey);
-    if (cached) {
-      schedules = cached.schedules || {};
-      const meta = cached.epgMeta || {};
-      for (const id of Object.keys(meta)) epgChMeta.set(id, meta[id]);
-    } else {
-      pruneOldFiles(process.cwd() + '/epg-viewer/data/cache/exports', RETAIN_DAYS_EXPORTS, /\.xml$/);
-      if (d.liveGenerationEnabled === false) {
-        return res.status(503).json({ error: 'Live export generation disabled. Enable live generation or wait for auto-prewarm.' });
-      }
-      const parsedResults = await parseGroups(groupArr, mirrors, { windowFromMs, windowToMs }, d.lowMemMode === true);
-      for (let i=0;i<parsedResults.length;i++){
-        const g = groupArr[i];
-        if (parsedResults[i].status !== 'fulfilled') { continue; }
-        const { channels: chMap, schedules: raw } = parsedResults[i].value;
-        for (const [id, meta] of chMap.entries()) epgChMeta.set(id, meta);
-        if (g.allowed) {
-          for (const [epgId, list] of Object.entries(raw)) {
-            const plId = g.idMap.get(norm(epgId)); if (!plId) continue;
-            if (!schedules[plId]) schedules[plId] = []; schedules[plId].push(...list);
-          }
-        } else {
-          for (const [epgId, list] of Object.entries(raw)) { if (!schedules[epgId]) schedules[epgId] = []; schedules[epgId].push(...list); }
-        }
-      }
-      for (const id of Object.keys(schedules)) schedules[id].sort((a,b)=>(a.start<b.start?-1:a.start>b.start?1:0));
-      if (d.historyBackfill !== false) {
-        await backfillFromHistory(groupArr, windowFromMs, windowToMs, schedules, getMappings());
-      }
-      const epgMetaObj = {}; for (const [id, meta] of epgChMeta.entries()) epgMetaObj[id] = meta;
-      setCache(cacheKey, { schedules, epgMeta: epgMetaObj }, 10*60*1000);
-    }
-    const orderedIds = channelIds.size ? Array.from(channelIds) : Array.from(epgChMeta.keys());
-    const plToEpgId = {};
-    if (channelIds.size) {
-      const maps = getMappings();
-      for (const id of orderedIds) plToEpgId[id] = (maps[id]?.epgChannelId) || id;
+    const out = await exportPlan(req, res, d, false);
+    if (!out) return;
+    const { plan, pastDays, futureDays, full, filter } = out;
+    const cacheKey = plan.cacheKey;
+    const exportPath = exportPathFor(cacheKey, 'xml');
+    const st = builtExport(exportPath);
+    if (!st && d.liveGenerationEnabled === false) {
+      return res.status(503).json({ error: 'Live export generation disabled. Enable live generation or wait for auto-prewarm.' });
     }
 
-    // Headers
     res.setHeader('Content-Type', 'application/xml; charset=utf-8');
     res.setHeader('Cache-Control', 'no-cache');
-    const exportDir = process.cwd() + '/epg-viewer/data/cache/exports';
-    try { fs.mkdirSync(exportDir, { recursive: true }); } catch {}
-    const exportPath = exportDir + `/${cacheKey}.xml`;
-    const st = fs.existsSync(exportPath) ? (() => { try { return fs.statSync(exportPath); } catch { return null; }})() : null;
-    const existingGood = !!(st && st.size > 100);
-    if (existingGood) {
-      res.once('finish', () => logExportAccess('xml', { cacheKey, fromCache: true, path: exportPath, size: st?.size, pastDays, futureDays }));
+    if (st) {
+      res.once('finish', () => logExportAccess('xml', { cacheKey, fromCache: true, path: exportPath, size: st.size, pastDays, futureDays, full, filter }));
       const rs = fs.createReadStream(exportPath);
       rs.on('error', () => res.status(500).end());
       rs.pipe(res);
       return;
     }
-    pruneOldFiles(exportDir, RETAIN_DAYS_EXPORTS, /\.xml$/);
-
-    // XML helpers
-    const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-    const escAttr = (s) => esc(s).replace(/\"/g, '&quot;');
-    const write = (s) => res.write(s);
-
-    // Write XMLTV
-    write('<?xml version="1.0" encoding="UTF-8"?>\n');
-    write('<!DOCTYPE tv SYSTEM "xmltv.dtd">\n');
-    write('<tv generator-info-name="epg-viewer export">\n');
-
-    // Channels
-    for (const id of orderedIds) {
-      const fromPlaylist = channelMeta.get(id) || {};
-      const fromEpg = epgChMeta.get(plToEpgId[id] || id) || {};
-      const name = fromPlaylist.name || fromEpg.name || id;
-      const icon = fromPlaylist.logo || fromEpg.icon || null;
-      write(`  <channel id=\"${escAttr(id)}\">\n`);
-      write(`    <display-name>${esc(name)}</display-name>\n`);
-      if (icon) write(`    <icon src=\"${escAttr(icon)}\"/>\n`);
-      write('  </channel>\n');
-    }
-
-    // Programmes
-    for (const id of orderedIds) {
-      const list = schedules[id] || [];
-      const map = mappings[id] || {};
-      const offForId = Number.isFinite(map.offsetMinutes) ? (map.offsetMinutes|0) : 0;
-      const mustRewrite = offForId !== 0 || (!!map.zoneId && (map.shiftMode || 'wall') === 'wall');
-      for (const p of list) {
-        let start = (!mustRewrite && p.startXmltv) ? p.startXmltv : formatXmltvWithZone(p.start, p.startXmltv, map.zoneId, offForId, map.shiftMode || 'wall');
-        let stop = (!mustRewrite && p.stopXmltv) ? p.stopXmltv : formatXmltvWithZone(p.stop, p.stopXmltv, map.zoneId, offForId, map.shiftMode || 'wall');
-        if (FORCE_ZERO_OFFSET) { start = normalizeXmltvOffsetZero(start); if (stop) stop = normalizeXmltvOffsetZero(stop); }
-        const attrs = [`start=\"${escAttr(start || '')}\"`, `channel=\"${escAttr(id)}\"`];
-        if (stop) attrs.push(`stop=\"${escAttr(stop)}\"`);
-        write(`  <programme ${attrs.join(' ')}>\n`);
-        if (p.title) write(`    <title>${esc(p.title)}</title>\n`);
-        if (p.desc) write(`    <desc>${esc(p.desc)}</desc>\n`);
-        if (p.category) write(`    <category>${esc(p.category)}</category>\n`);
-        if (p.icon) write(`    <icon src=\"${escAttr(p.icon)}\"/>\n`);
-        write('  </programme>\n');
-      }
-    }
 
-    write('</tv>\n');
-    res.end();
+    const data = await loadSchedules(plan);
+    const tmpPath = exportPath + '.tmp';
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch {}
+    const ws = fs.createWriteStream(tmpPath);
+    ws.on('finish', () => {
+      try { fs.renameSync(tmpPath, exportPath); } catch {}
+    });
     res.once('finish', () => {
       let sz = null;
-      try { const st2 = fs.statSync(exportPath); sz = st2.size; } catch {}
-      logExportAccess('xml', { cacheKey, fromCache: false, path: exportPath, size: sz, pastDays, futureDays });
+      try { sz = fs.statSync(exportPath).size; } catch {}
+      logExportAccess('xml', { cacheKey, fromCache: false, path: exportPath, size: sz, pastDays, futureDays, full, filter, ...exportStats.get(cacheKey) });
     });
+    exportStats.set(cacheKey, writeXmltv((s) => { res.write(s); ws.write(s); }, plan, data));
+    ws.end();
+    res.end();
   } catch (err) {
     if (!res.headersSent) res.status(500).json({ error: err.message });
     else try { res.end(); } catch {}
   }
 });
 
+// The playlist for IPTV apps: its channels with the tvg-ids the XMLTV export
+// uses, curated (mapping name/logo/group, excluded channels left out) and
+// content-filtered like the guide, with url-tvg pointing at /epg.xml.gz
+// (same playlist, window, filter and token)
+app.get(['/api/export/playlist.m3u', '/playlist.m3u'], async (req, res) => {
+  try {
+    const d = getDefaults();
+    const filter = resolveFilter(getExportFilters(), d.defaultExportFilter, req.query.filter);
+    if (filter === undefined) return res.status(404).json({ error: `Unknown export filter: ${req.query.filter}` });
+    const playlistUrl = req.query.playlist || null;
+    const ctx = await resolveChannels({ playlistUrl });
+    const parsed = ctx.playlists;
+    if (!parsed) return res.status(400).json({ error: 'No playlist. Add playlists or a default via POST /api/settings, or pass ?playlist=...' });
+    const { entries, stats } = exportEntries(parsed.channels, { ...ctx, filter }, { firstOnly: req.query.variants === 'first' });
+    const q = new URLSearchParams();
+    for (const k of ['playlist', 'epg', 'pastDays', 'futureDays', 'full', 'filter', 'token']) {
+      if (typeof req.query[k] === 'string' && req.query[k]) q.set(k, req.query[k]);
+    }
+    const query = q.toString();
+    const guideUrl = `${publicBase(req)}/epg.xml.gz${query ? `?${query}` : ''}`;
+    res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="playlist.m3u"');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(m3uHeader(guideUrl) + entries.map(m3uEntry).join(''));
+    logExportAccess('m3u', { playlistUrl: playlistUrl || parsed.playlists.map(p => p.id || p.url).join(','), filter: filter ? filter.id : null, ...stats });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
 // Trigger prewarm of export in background
 app.post('/api/export/prewarm', async (req, res) => {
   try {
@@ -1369,17 +1285,21 @@ app.post('/api/export/prewarm', async (req, res) => {
     const d = getDefaults();
     const pastDays = Math.max(0, parseInt(body.pastDays ?? d.pastDays, 10));
     const futureDays = Math.max(0, parseInt(body.futureDays ?? d.futureDays, 10));
-    const playlistUrl = body.playlist || d.playlistUrl || null;
-    const epgUrl = body.epg || d.epgUrl || null;
+    const playlistUrl = body.playlist || null;
+    // prewarmExportJob falls back to the default guide, like the export routes
+    const epgUrl = body.epg || null;
     const full = !!(body.full === true || body.full === '1' || body.full === 'true');
-    const job = { status: 'starting', percent: 0, message: 'Queued', startedAt: new Date().toISOString(), exportUrl: `/epg.xml.gz?pastDays=${pastDays}&futureDays=${futureDays}${full?'&full=1':''}` };
+    const filter = body.filter ? String(body.filter) : undefined;
+    if (resolveFilter(getExportFilters(), d.defaultExportFilter, filter) === undefined) return res.status(404).json({ error: `Unknown export filter: ${filter}` });
+    const params = { pastDays, futureDays, playlistUrl, epgUrl, full, filter };
+    const job = { status: 'starting', percent: 0, message: 'Queued', startedAt: new Date().toISOString(), exportUrl: prewarmExportUrl(params) };
     // Temporary key until we compute the actual signature inside the job
     const tempKey = 'PRE_' + Math.random().toString(36).slice(2,8);
     prewarmJobs.set(tempKey, job);
     // Run in background, compute real key, and move job
     (async () => {
       try {
-        const out = await prewarmExportJob({ pastDays, futureDays, playlistUrl, epgUrl, full, key: tempKey });
+        const out = await prewarmExportJob({ ...params, key: tempKey });
         const finalKey = out.cacheKey || out.key || tempKey;
         // Keep the temporary key alive so clients polling with tempKey still see 'done'
         // Also expose the final signature key for direct access.
@@ -1404,7 +1324,7 @@ app.get('/api/export/status', async (req, res) => {
     const exportDir = process.cwd() + '/epg-viewer/data/cache/exports';
     const exportPath = exportDir + `/${key}.xml.gz`;
     if (job) return res.json({ key, ...job });
-    if (fs.existsSync(exportPath)) return res.json({ key, status: 'done', percent: 100, message: 'Ready', exportUrl: '/epg.xml.gz' });
+    if (fs.existsSync(exportPath)) return res.json({ key, status: 'done', percent: 100, message: 'Ready', exportUrl: '/epg.xml.gz', stats: exportStats.get(key) || null });
     return res.json({ key, status: 'idle', percent: 0, message: 'No job' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1418,3 +1338,5 @@ app.listen(PORT, () => {
 
 // Start auto-prewarm scheduler
 refreshAutoPrewarm();
+// Start background mirroring of sources
+rescheduleMirrors();
@@ -0,0 +1,234 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// Admin login (session cookie) for the UI and every mutating/diagnostic API,
+// plus named read-only tokens that IPTV clients pass as ?token= on export URLs.
+// Auth is off until an admin password exists (set in the UI on first run or via
+// EPG_ADMIN_PASSWORD). Secrets are stored hashed in data/auth.json, not in
+// settings.json, so they never show up in /api/settings.
+
+const authPath = path.join(process.cwd(), 'epg-viewer', 'data', 'auth.json');
+const COOKIE = 'epg_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const FAIL_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILS = 10;
+
+let state = null; // { admin: { salt, hash } | null, sessions: [{ hash, expiresAt }], tokens: [{ id, name, hash, createdAt, lastUsedAt }] }
+const failures = new Map(); // ip -> { count, first }
+let setupToken = null; // while no admin password exists, see initAuth
+
+function load() {
+  if (state) return state;
+  try {
+    const obj = JSON.parse(fs.readFileSync(authPath, 'utf8'));
+    state = { admin: obj.admin || null, sessions: Array.isArray(obj.sessions) ? obj.sessions : [], tokens: Array.isArray(obj.tokens) ? obj.tokens : [] };
+  } catch {
+    state = { admin: null, sessions: [], tokens: [] };
+  }
+  return state;
+}
+
+function save() {
+  const dir = path.dirname(authPath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(authPath + '.tmp', JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(authPath + '.tmp', authPath);
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(String(password), salt, 64).toString('hex') };
+}
+
+function verifyPassword(password, stored) {
+  if (!stored?.salt || !stored?.hash) return false;
+  const a = Buffer.from(hashPassword(password, stored.salt).hash, 'hex');
+  const b = Buffer.from(stored.hash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function authEnabled() {
+  return !!load().admin;
+}
+
+// EPG_ADMIN_PASSWORD wins over a password set in the UI. Without either, a
+// one-time setup token goes to the log: the first password needs it, so only
+// whoever can read the server's output claims the instance (client addresses
+// prove nothing behind a reverse proxy)
+export function initAuth() {
+  load();
+  const envPassword = process.env.EPG_ADMIN_PASSWORD;
+  if (envPassword && !verifyPassword(envPassword, state.admin)) {
+    state.admin = hashPassword(envPassword);
+    state.sessions = [];
+    save();
+  }
+  if (!state.admin) {
+    setupToken = crypto.randomBytes(16).toString('hex');
+    // eslint-disable-next-line no-console
+    console.log(`[auth] No admin password set. Setup token for the first one: ${setupToken}`);
+  }
+}
+
+export function checkSetupToken(value) {
+  if (!setupToken || typeof value !== 'string') return false;
+  const a = Buffer.from(sha256(value.trim()), 'hex');
+  const b = Buffer.from(sha256(setupToken), 'hex');
+  return crypto.timingSafeEqual(a, b);
+}
+
+export function setAdminPassword(password) {
+  if (typeof password !== 'string' || password.length < 8) throw new Error('Password must be at least 8 characters');
+  load();
+  state.admin = hashPassword(password);
+  setupToken = null;
+  // Changing the password signs everyone out
+  state.sessions = [];
+  save();
+}
+
+export function checkAdminPassword(password) {
+  return verifyPassword(password, load().admin);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (k) {
+      try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { out[k] = part.slice(i + 1).trim(); }
+    }
+  }
+  return out;
+}
+
+export function isAdmin(req) {
+  if (!authEnabled()) return true;
+  const id = parseCookies(req.headers.cookie)[COOKIE];
+  if (!id) return false;
+  const h = sha256(id);
+  const now = Date.now();
+  return state.sessions.some(s => s.hash === h && s.expiresAt > now);
+}
+
+// req.secure follows X-Forwarded-Proto only from a trusted proxy (EPG_TRUST_PROXY)
+function cookieFor(req, value, maxAgeMs) {
+  return `${COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}${req.secure ? '; Secure' : ''}`;
+}
+
+// Too many wrong passwords from one address locks it out for a while
+export function loginBlocked(ip) {
+  const f = failures.get(ip);
+  if (!f) return false;
+  if (Date.now() - f.first > FAIL_WINDOW_MS) { failures.delete(ip); return false; }
+  return f.count >= MAX_FAILS;
+}
+
+export function recordLoginFailure(ip) {
+  const f = failures.get(ip);
+  if (!f || Date.now() - f.first > FAIL_WINDOW_MS) failures.set(ip, { count: 1, first: Date.now() });
+  else f.count++;
+}
+
+export function startSession(req, res) {
+  load();
+  failures.delete(req.ip);
+  const id = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  state.sessions = state.sessions.filter(s => s.expiresAt > now);
+  state.sessions.push({ hash: sha256(id), expiresAt: now + SESSION_TTL_MS });
+  save();
+  res.setHeader('Set-Cookie', cookieFor(req, id, SESSION_TTL_MS));
+}
+
+export function endSession(req, res) {
+  load();
+  const id = parseCookies(req.headers.cookie)[COOKIE];
+  if (id) {
+    const h = sha256(id);
+    state.sessions = state.sessions.filter(s => s.hash !== h);
+    save();
+  }
+  res.setHeader('Set-Cookie', cookieFor(req, '', 0));
+}
+
+// Read tokens: the plain value is returned once on creation, only its hash is kept
+export function listTokens() {
+  return load().tokens.map(({ hash, ...t }) => t);
+}
+
+export function createToken(name) {
+  load();
+  const value = crypto.randomBytes(24).toString('base64url');
+  const token = {
+    id: `tok_${crypto.randomBytes(4).toString('hex')}`,
+    name: String(name || '').trim().slice(0, 80) || 'Read token',
+    hash: sha256(value),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  state.tokens.push(token);
+  save();
+  const { hash, ...pub } = token;
+  return { ...pub, token: value };
+}
+
+export function revokeToken(id) {
+  load();
+  const before = state.tokens.length;
+  state.tokens = state.tokens.filter(t => t.id !== id);
+  if (state.tokens.length !== before) save();
+  return state.tokens.length !== before;
+}
+
+function tokenFrom(req) {
+  if (typeof req.query?.token === 'string' && req.query.token) return req.query.token;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1].trim() : null;
+}
+
+function hasReadToken(req) {
+  const value = tokenFrom(req);
+  if (!value) return false;
+  const h = sha256(value);
+  const tok = load().tokens.find(t => t.hash === h);
+  if (!tok) return false;
+  // Record use at most once a minute so busy clients don't rewrite auth.json constantly
+  const last = Date.parse(tok.lastUsedAt || '');
+  if (!Number.isFinite(last) || Date.now() - last > 60 * 1000) {
+    tok.lastUsedAt = new Date().toISOString();
+    try { save(); } catch {}
+  }
+  return true;
+}
+
+// Gate every request by path: publicPaths are open, readPaths accept an admin
+// session or a read token, anything else under /api needs an admin session.
+// Static UI files stay open so the login form can load.
+// Express routes "/API/settings/" to "/api/settings" (case-insensitive, optional
+// trailing slash), so paths are compared the same way
+function gatePath(p) {
+  let out = p;
+  try { out = decodeURIComponent(p); } catch {}
+  return out.toLowerCase().replace(/\/{2,}/g, '/').replace(/\/+$/, '') || '/';
+}
+
+export function authMiddleware({ publicPaths = [], readPaths = [] } = {}) {
+  const open = new Set(publicPaths.map(gatePath));
+  const read = new Set(readPaths.map(gatePath));
+  return (req, res, next) => {
+    const p = gatePath(req.path);
+    if (!authEnabled() || open.has(p)) return next();
+    if (read.has(p)) {
+      if (isAdmin(req) || hasReadToken(req)) return next();
+      return res.status(401).json({ error: 'Valid token required' });
+    }
+    if (p !== '/api' && !p.startsWith('/api/')) return next();
+    if (isAdmin(req)) return next();
+    return res.status(401).json({ error: 'Authentication required' });
+  };
+}
@@ -0,0 +1,40 @@
+// Ids for playlist entries without a tvg-id, so they can be viewed, mapped
+// and exported like the rest: "noid:<group>/<name>" from the normalized group
+// and name (after the playlist's id prefix, if it has one), which stays the
+// same across playlist refreshes. Entries sharing both share the id, as
+// variants of one channel (see variants.js). A promoted entry (see
+// promoteChannel in store.js) takes the real id the user gave it instead.
+
+export const SYNTHETIC_PREFIX = 'noid:';
+
+function slug(s) {
+  return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+// The id as the playlist gave it, without the playlist's id prefix
+export function unprefixedId(ch) {
+  const id = ch.id || '';
+  return ch.idPrefix && id.startsWith(ch.idPrefix) ? id.slice(ch.idPrefix.length) : id;
+}
+
+export function isSyntheticId(id) {
+  return String(id || '').startsWith(SYNTHETIC_PREFIX);
+}
+
+// Give id-less entries their synthetic id (syntheticId) and, through aliases
+// { syntheticId: realId }, their promoted one (id). Safe to rerun on the same
+// channels when the aliases change. Mutates channels.
+export function assignSyntheticIds(channels, aliases = {}, prefix = '') {
+  for (const c of channels) {
+    if (c.id && !c.syntheticId) continue;
+    if (!c.syntheticId) {
+      const name = slug(c.tvgName || c.displayName || c.name) || 'channel';
+      const group = slug(c.group);
+      c.syntheticId = `${SYNTHETIC_PREFIX}${prefix}${group ? `${group}/` : ''}${name}`;
+    }
+    c.id = aliases[c.syntheticId] || c.syntheticId;
+    c.synthetic = c.id === c.syntheticId;
+  }
+  return channels;
+}
@@ -0,0 +1,93 @@
+import { genreMatcher, genreName } from './genres.js';
+
+// Named content filters for exports (e.g. a "family" profile for a shared
+// box): drop whole playlist groups or channels, and programmes by category,
+// keyword or rating. An export names its filter with ?filter=<id>; without
+// one the default filter from settings applies, and ?filter=none turns it off.
+//
+// Terms match case-insensitively as substrings. Categories also match the
+// programme's DVB genre (id or name, see genres.js); keywords look at title,
+// sub-title and description in every language.
+
+const termList = (v) => {
+  const arr = Array.isArray(v) ? v : (typeof v === 'string' ? v.split(/[,;\n]+/) : []);
+  const out = [];
+  for (const x of arr) {
+    const s = String(x || '').trim();
+    if (s && !out.some(o => o.toLowerCase() === s.toLowerCase())) out.push(s);
+  }
+  return out;
+};
+
+// Validated copy of a filter from the API; throws with a message for the client
+export function normalizeFilter(f) {
+  const id = String(f?.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(id) || id === 'none') throw new Error('id must be 1-32 letters, digits, - or _ (and not "none")');
+  const minAge = f.minAge == null || f.minAge === '' ? null : Number(f.minAge);
+  if (minAge != null && !(Number.isInteger(minAge) && minAge >= 1 && minAge <= 21)) throw new Error('minAge must be a whole number from 1 to 21');
+  return {
+    id,
+    name: String(f.name || '').trim() || id,
+    excludeGroups: termList(f.excludeGroups),
+    excludeChannels: termList(f.excludeChannels),
+    categories: termList(f.categories),
+    keywords: termList(f.keywords),
+    ratings: termList(f.ratings),
+    minAge
+  };
+}
+
+// The filter an export uses: the requested id, else the default; null for
+// 'none' (or a default that no longer exists), undefined for an unknown id
+export function resolveFilter(filters, defaultId, requested) {
+  const asked = requested != null && requested !== '';
+  const id = asked ? String(requested).trim().toLowerCase() : defaultId;
+  if (!id || id === 'none') return null;
+  const f = (filters || []).find(x => x.id === id);
+  return f || (asked ? undefined : null);
+}
+
+const lower = (s) => String(s || '').toLowerCase();
+const hasAny = (text, terms) => terms.some(t => text.includes(t));
+
+// "18+", "N-18", "R18", "16" -> 18/16; null when there's no age in the value
+export function ratingAge(value) {
+  const m = /(?:^|\D)(\d{1,2})(?!\d)/.exec(String(value || ''));
+  const n = m ? Number(m[1]) : NaN;
+  return n >= 1 && n <= 21 ? n : null;
+}
+
+// Compiled filter: { channel({ id, group }), programme(p) } returning true to drop
+export function compileFilter(f, genreTable) {
+  const groups = new Set(f.excludeGroups.map(lower));
+  const ids = new Set(f.excludeChannels);
+  const cats = f.categories.map(lower);
+  const words = f.keywords.map(lower);
+  const ratings = new Set(f.ratings.map(lower));
+  const match = cats.length ? genreMatcher(genreTable) : null;
+  const texts = (p, listKey, key) => (p[listKey] || (p[key] ? [{ value: p[key] }] : [])).map(v => lower(v.value));
+  return {
+    channel: (ch) => ids.has(ch.id) || (!!ch.group && groups.has(lower(ch.group))),
+    programme: (p) => {
+      if (cats.length) {
+        for (const c of p.categories || (p.category ? [{ value: p.category }] : [])) {
+          const genre = match(c.value);
+          if (hasAny(lower(c.value), cats) || (genre && (cats.includes(genre) || hasAny(lower(genreName(genre)), cats)))) return true;
+        }
+      }
+      if (words.length) {
+        for (const [listKey, key] of [['titles', 'title'], ['subTitles', 'subTitle'], ['descs', 'desc']]) {
+          if (texts(p, listKey, key).some(t => hasAny(t, words))) return true;
+        }
+      }
+      if (ratings.size || f.minAge) {
+        for (const r of p.ratings || []) {
+          if (ratings.has(lower(r.value))) return true;
+          const age = f.minAge ? ratingAge(r.value) : null;
+          if (age != null && age >= f.minAge) return true;
+        }
+      }
+      return false;
+    }
+  };
+}
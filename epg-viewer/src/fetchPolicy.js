@@ -0,0 +1,177 @@
+import dns from 'node:dns/promises';
+import net from 'node:net';
+import { getDefaults } from './store.js';
+
+// Outbound fetch policy for every URL the app downloads (playlists, feeds,
+// mirrors, diagnostics). Only http(s); hosts resolving to loopback, private,
+// link-local or other internal ranges are refused unless allowlisted;
+// redirects are followed by hand so each hop is checked; responses are capped
+// in size and time.
+//
+// Allowlist entries (settings fetchAllowlist or EPG_FETCH_ALLOWLIST, comma
+// separated): a host name ("epg.lan", "*.lan"), an IP or a CIDR ("192.168.1.0/24").
+
+const MAX_REDIRECTS = 5;
+
+const blocked = new net.BlockList();
+for (const [addr, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) blocked.addSubnet(addr, bits, 'ipv4');
+for (const [addr, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) blocked.addSubnet(addr, bits, 'ipv6');
+
+function blockedError(url, reason) {
+  // eslint-disable-next-line no-console
+  console.warn('[fetch] blocked', { url: String(url), reason });
+  const err = new Error(`Blocked by fetch policy: ${reason}`);
+  err.code = 'EBLOCKED';
+  return err;
+}
+
+function policy() {
+  const d = getDefaults();
+  const list = [...(Array.isArray(d.fetchAllowlist) ? d.fetchAllowlist : []), ...String(process.env.EPG_FETCH_ALLOWLIST || '').split(',')]
+    .map(s => String(s || '').trim().toLowerCase())
+    .filter(Boolean);
+  const hosts = [];
+  const nets = new net.BlockList();
+  for (const entry of list) {
+    const [addr, bits] = entry.split('/');
+    const type = net.isIP(addr);
+    if (type) {
+      const family = type === 4 ? 'ipv4' : 'ipv6';
+      try {
+        if (bits !== undefined) nets.addSubnet(addr, parseInt(bits, 10), family);
+        else nets.addAddress(addr, family);
+      } catch {
+        // eslint-disable-next-line no-console
+        console.warn('[fetch] ignoring invalid allowlist entry', entry);
+      }
+    } else {
+      hosts.push(entry);
+    }
+  }
+  return {
+    hosts,
+    nets,
+    timeoutMs: Math.max(5, Number(d.fetchTimeoutSeconds) || 300) * 1000,
+    maxBytes: Math.max(1, Number(d.fetchMaxMegabytes) || 512) * 1024 * 1024
+  };
+}
+
+function hostAllowed(host, hosts) {
+  return hosts.some(h => h === host || (h.startsWith('*.') && host.endsWith(h.slice(1))));
+}
+
+// IPv6 address -> its eight 16-bit groups (null if it isn't one)
+function ipv6Groups(address) {
+  let a = String(address).toLowerCase().replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(a);
+  if (dotted) {
+    const [o1, o2, o3, o4] = dotted.slice(1).map(Number);
+    a = a.slice(0, dotted.index) + `${((o1 << 8) | o2).toString(16)}:${((o3 << 8) | o4).toString(16)}`;
+  }
+  const halves = a.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+  if (fill < 0) return null;
+  const groups = [...head, ...Array(fill).fill('0'), ...tail].map(g => parseInt(g, 16));
+  return groups.length === 8 && groups.every(g => g >= 0 && g <= 0xffff) ? groups : null;
+}
+
+// IPv6 forms that carry an IPv4 address are checked as that address:
+// IPv4-mapped ::ffff:0:0/96 (also written ::ffff:7f00:1 by URL parsing) and
+// NAT64 64:ff9b::/96 and 64:ff9b:1::/48, which a NAT64 gateway forwards to
+// the embedded IPv4 address
+function unmap(address) {
+  if (net.isIP(address) !== 6) return address;
+  const g = ipv6Groups(address);
+  if (!g) return address;
+  const zeros = (from, to) => g.slice(from, to).every(x => x === 0);
+  const mapped = zeros(0, 5) && g[5] === 0xffff;
+  const nat64 = g[0] === 0x64 && g[1] === 0xff9b && (zeros(2, 6) || g[2] === 1);
+  if (!mapped && !nat64) return address;
+  return [g[6] >> 8, g[6] & 255, g[7] >> 8, g[7] & 255].join('.');
+}
+
+function isInternal(address, nets) {
+  const addr = unmap(address);
+  const family = net.isIP(addr) === 6 ? 'ipv6' : 'ipv4';
+  if (nets.check(addr, family)) return false;
+  return blocked.check(addr, family);
+}
+
+// Throws unless the URL may be fetched. The name is resolved here and the
+// connection resolves it again, so this does not stop DNS rebinding by a
+// hostile resolver; it stops the plain "fetch http://127.0.0.1/..." cases.
+export async function checkUrl(url, p = policy()) {
+  let u;
+  try { u = new URL(String(url)); } catch { throw blockedError(url, 'not a valid URL'); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw blockedError(url, `scheme ${u.protocol} not allowed`);
+  const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostAllowed(host, p.hosts)) return u;
+  let addresses;
+  if (net.isIP(host)) addresses = [host];
+  else {
+    try { addresses = (await dns.lookup(host, { all: true })).map(a => a.address); } catch (e) { throw new Error(`Cannot resolve ${host}: ${e.code || e.message}`); }
+  }
+  const internal = addresses.find(a => isInternal(a, p.nets));
+  if (internal) throw blockedError(url, internal === host ? `${host} is an internal address` : `${host} resolves to internal address ${internal}`);
+  return u;
+}
+
+// Body that errors once more than maxBytes have been read
+function capBody(body, maxBytes, url) {
+  let seen = 0;
+  return body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      seen += chunk.byteLength;
+      if (seen > maxBytes) {
+        // eslint-disable-next-line no-console
+        console.warn('[fetch] response too large', { url, maxBytes });
+        controller.error(new Error(`Response from ${url} exceeds ${Math.round(maxBytes / 1048576)} MB`));
+        return;
+      }
+      controller.enqueue(chunk);
+    }
+  }));
+}
+
+// AbortSignal.any (Node 20.3+), by hand on older Node
+function anySignal(signals) {
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(signals);
+  const controller = new AbortController();
+  const abort = s => controller.abort(s.reason);
+  for (const s of signals) {
+    if (s.aborted) { abort(s); break; }
+    s.addEventListener('abort', () => abort(s), { once: true });
+  }
+  return controller.signal;
+}
+
+// Drop-in replacement for fetch(url, init) that applies the policy.
+export async function safeFetch(url, init = {}) {
+  const p = policy();
+  const signal = init.signal ? anySignal([init.signal, AbortSignal.timeout(p.timeoutMs)]) : AbortSignal.timeout(p.timeoutMs);
+  let current = String(url);
+  for (let hop = 0; ; hop++) {
+    await checkUrl(current, p);
+    const res = await fetch(current, { ...init, redirect: 'manual', signal });
+    const location = res.headers.get('location');
+    if (res.status >= 300 && res.status < 400 && location) {
+      try { res.body?.cancel?.(); } catch {}
+      if (hop >= MAX_REDIRECTS) throw blockedError(url, `more than ${MAX_REDIRECTS} redirects`);
+      current = new URL(location, current).toString();
+      continue;
+    }
+    const declared = Number(res.headers.get('content-length'));
+    if (Number.isFinite(declared) && declared > p.maxBytes) {
+      try { res.body?.cancel?.(); } catch {}
+      throw blockedError(current, `response of ${declared} bytes exceeds the size limit`);
+    }
+    if (!res.body || [101, 204, 205, 304].includes(res.status)) return res;
+    return new Response(capBody(res.body, p.maxBytes, current), { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+}
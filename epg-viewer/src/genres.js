@@ -0,0 +1,118 @@
+// Category normalization to the DVB content genres (ETSI EN 300 468, content
+// nibble level 1), so exports carry one vocabulary that IPTV apps colour-code.
+// A category maps through the editable table first (exact, case-insensitive;
+// '' keeps it as-is), then the built-in keywords below. Keywords match at the
+// start of a word after lowercasing and dropping diacritics ("Sportas",
+// "Sports event" -> sport); the keyword found earliest in the category wins.
+
+export const GENRES = [
+  { id: 'movie', nibble: 0x1, name: 'Movie / Drama' },
+  { id: 'news', nibble: 0x2, name: 'News / Current affairs' },
+  { id: 'show', nibble: 0x3, name: 'Show / Game show' },
+  { id: 'sports', nibble: 0x4, name: 'Sports' },
+  { id: 'children', nibble: 0x5, name: "Children's / Youth programs" },
+  { id: 'music', nibble: 0x6, name: 'Music / Ballet / Dance' },
+  { id: 'arts', nibble: 0x7, name: 'Arts / Culture (without music)' },
+  { id: 'social', nibble: 0x8, name: 'Social / Political issues / Economics' },
+  { id: 'education', nibble: 0x9, name: 'Education / Science / Factual topics' },
+  { id: 'leisure', nibble: 0xA, name: 'Leisure hobbies' }
+];
+
+const BY_ID = new Map(GENRES.map(g => [g.id, g]));
+
+// English, Lithuanian, Latvian, Russian and German word starts
+export const BUILTIN_KEYWORDS = {
+  movie: ['movie', 'film', 'drama', 'cinema', 'thriller', 'comedy', 'romance', 'western', 'horror', 'crime', 'detective', 'sci-fi', 'science fiction', 'fantasy', 'adventure', 'action', 'series', 'serial', 'soap', 'sitcom', 'melodrama',
+    'komedij', 'detektyv', 'trileris', 'veiksmo', 'kriminal', 'serials', 'komedija', 'фильм', 'кино', 'сериал', 'драма', 'комеди', 'детектив', 'боевик', 'триллер', 'ужас', 'мелодрам', 'spielfilm', 'krimi', 'komodie', 'serie'],
+  news: ['news', 'current affairs', 'weather', 'journal', 'bulletin', 'zinios', 'naujienos', 'orai', 'zinas', 'новост', 'погода', 'nachrichten', 'wetter'],
+  show: ['show', 'game show', 'quiz', 'talk', 'entertainment', 'variety', 'reality', 'contest', 'pramog', 'realyb', 'viktorin', 'izklaid', 'sovs', 'шоу', 'развлекат', 'викторин', 'unterhaltung', 'spielshow'],
+  sports: ['sport', 'football', 'soccer', 'basketball', 'tennis', 'hockey', 'formula', 'racing', 'motorsport', 'olympic', 'athletics', 'boxing', 'golf', 'cycling', 'volleyball', 'handball', 'rugby',
+    'futbol', 'krepsin', 'tenis', 'ledo ritul', 'basketbol', 'hokej', 'спорт', 'футбол', 'хоккей', 'баскетбол', 'теннис', 'fussball'],
+  children: ['children', 'child', 'kids', 'cartoon', 'animation', 'animated', 'youth', 'vaik', 'animacin', 'multfilm', 'bern', 'детск', 'мульт', 'анимац', 'kinder', 'zeichentrick'],
+  music: ['music', 'concert', 'ballet', 'dance', 'opera', 'muzik', 'koncert', 'balet', 'музык', 'концерт', 'балет', 'опера', 'musik', 'konzert'],
+  arts: ['arts', 'art', 'culture', 'literature', 'theatre', 'theater', 'religion', 'kultur', 'teatr', 'maksl', 'культур', 'искусств', 'театр', 'kunst'],
+  social: ['social', 'politic', 'economics', 'economy', 'business', 'finance', 'society', 'politik', 'ekonomik', 'visuomen', 'versl', 'sabiedr', 'политик', 'экономик', 'бизнес', 'обществ', 'wirtschaft', 'gesellschaft'],
+  education: ['documentar', 'education', 'science', 'nature', 'history', 'technology', 'factual', 'wildlife', 'dokument', 'moksl', 'gamt', 'istorij', 'svietim', 'zinatn', 'vestur', 'документ', 'наук', 'науч', 'природ', 'истори', 'познават', 'wissenschaft', 'natur', 'geschichte'],
+  leisure: ['leisure', 'hobby', 'hobbies', 'travel', 'cooking', 'food', 'lifestyle', 'home', 'garden', 'fashion', 'health', 'fitness', 'motoring', 'shopping', 'tourism', 'kelion', 'kulinar', 'maist', 'sveikat', 'celojum', 'veselib', 'путешеств', 'кулинар', 'здоров', 'хобби', 'мода', 'reise', 'kochen', 'freizeit', 'gesundheit']
+};
+
+function fold(s) {
+  return String(s || '').toLowerCase().replace(/ß/g, 'ss').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+const KEYWORDS = Object.entries(BUILTIN_KEYWORDS)
+  .flatMap(([id, words]) => words.map(w => ({ id, word: fold(w) })))
+  .sort((a, b) => b.word.length - a.word.length);
+
+// Earliest keyword at a word start; longer keywords win at the same position
+function builtinGenre(folded) {
+  let best = null, bestAt = Infinity;
+  for (const { id, word } of KEYWORDS) {
+    let at = folded.indexOf(word);
+    while (at >= 0 && at > 0 && /[\p{L}\p{N}]/u.test(folded[at - 1])) at = folded.indexOf(word, at + 1);
+    if (at >= 0 && at < bestAt) { best = id; bestAt = at; }
+  }
+  return best;
+}
+
+// Settings table { category: genreId | '' } with keys folded; unknown genre ids dropped
+export function parseGenreMap(v) {
+  const out = {};
+  if (!v || typeof v !== 'object') return out;
+  for (const [k, id] of Object.entries(v)) {
+    const key = fold(k);
+    if (key && (id === '' || BY_ID.has(id))) out[key] = id;
+  }
+  return out;
+}
+
+export function genreName(id) {
+  return BY_ID.get(id)?.name || null;
+}
+
+// (category) -> genre id or null, with the table applied and lookups memoized
+export function genreMatcher(table) {
+  const map = parseGenreMap(table);
+  const memo = new Map();
+  return (category) => {
+    const key = fold(category);
+    if (!key) return null;
+    if (!memo.has(key)) memo.set(key, key in map ? (map[key] || null) : builtinGenre(key));
+    return memo.get(key);
+  };
+}
+
+export function genreOptions(defaults) {
+  return { normalize: defaults.genreNormalize === true, keepOriginal: defaults.genreKeepOriginal === true, table: defaults.genreMap || {} };
+}
+
+function categoriesOf(p) {
+  return p.categories || (p.category ? [{ value: p.category, lang: null }] : []);
+}
+
+// Programme with its genre id (for the viewer filter) and, when normalizing,
+// categories replaced by genre names. Unmapped categories stay; mapped ones
+// stay too (after the genres) with keepOriginal.
+export function withGenre(p, match, opts) {
+  const cats = categoriesOf(p);
+  const ids = [];
+  for (const c of cats) {
+    const id = match(c.value);
+    if (id && !ids.includes(id)) ids.push(id);
+  }
+  if (!opts.normalize || !ids.length) return { ...p, genre: ids[0] || null };
+  const next = ids.map(id => ({ value: genreName(id), lang: 'en' }));
+  const seen = new Set(next.map(c => c.value.toLowerCase()));
+  for (const c of cats) {
+    if (!opts.keepOriginal && match(c.value)) continue;
+    const k = String(c.value || '').toLowerCase();
+    if (!k || seen.has(k)) continue;
+    seen.add(k);
+    next.push(c);
+  }
+  return { ...p, genre: ids[0], categories: next, category: next[0].value };
+}
+
+export function withGenres(list, match, opts) {
+  return Array.isArray(list) ? list.map(p => withGenre(p, match, opts)) : list;
+}
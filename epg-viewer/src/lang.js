@@ -0,0 +1,58 @@
+// Preferred-language selection for lang-tagged XMLTV text (title, sub-title, desc).
+
+// Accepts ['lt', 'en'] or 'lt, en' and returns lowercased codes.
+export function parseLanguageList(v) {
+  const arr = Array.isArray(v) ? v : (typeof v === 'string' ? v.split(/[\s,;]+/) : []);
+  const out = [];
+  for (const x of arr) {
+    const code = String(x || '').trim().toLowerCase();
+    if (code && !out.includes(code)) out.push(code);
+  }
+  return out;
+}
+
+// 'en' matches 'en-GB' and vice versa; exact matches win over prefix ones.
+function langScore(lang, pref) {
+  const l = String(lang || '').toLowerCase();
+  if (!l) return 0;
+  if (l === pref) return 2;
+  if (l.split(/[-_]/)[0] === pref.split(/[-_]/)[0]) return 1;
+  return 0;
+}
+
+// Index of the variant to use: first preferred language found, else an
+// untagged variant, else the feed's first one.
+function pickIndex(list, prefs) {
+  for (const pref of prefs) {
+    let best = -1, bestScore = 0;
+    list.forEach((v, i) => { const sc = langScore(v.lang, pref); if (sc > bestScore) { best = i; bestScore = sc; } });
+    if (best >= 0) return best;
+  }
+  const untagged = list.findIndex(v => !v.lang);
+  return untagged >= 0 ? untagged : 0;
+}
+
+function reorder(list, prefs) {
+  if (!Array.isArray(list) || list.length < 2) return list;
+  const i = pickIndex(list, prefs);
+  return i === 0 ? list : [list[i], ...list.slice(0, i), ...list.slice(i + 1)];
+}
+
+// Put the preferred variant first in titles/subTitles/descs and mirror it into
+// title/subTitle/desc. Other variants are kept so exports still carry them.
+export function localizeProgramme(p, prefs) {
+  if (!prefs || !prefs.length) return p;
+  if (!(p.titles?.length > 1 || p.subTitles?.length > 1 || p.descs?.length > 1)) return p;
+  const out = { ...p };
+  for (const [listKey, key] of [['titles', 'title'], ['subTitles', 'subTitle'], ['descs', 'desc']]) {
+    if (!(p[listKey]?.length > 1)) continue;
+    out[listKey] = reorder(p[listKey], prefs);
+    out[key] = out[listKey][0].value;
+  }
+  return out;
+}
+
+export function localizeList(list, prefs) {
+  if (!prefs || !prefs.length || !Array.isArray(list)) return list;
+  return list.map(p => localizeProgramme(p, prefs));
+}
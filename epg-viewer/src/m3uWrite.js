@@ -0,0 +1,33 @@
+// M3U serialisation for the playlist export.
+
+// M3U has no escaping: quotes would end the attribute and line breaks the entry
+const lineValue = (s) => String(s ?? '').replace(/[\r\n]+/g, ' ').trim();
+const attrValue = (s) => lineValue(s).replace(/"/g, "'");
+
+function attrs(pairs) {
+  return pairs.filter(([, v]) => v != null && v !== '').map(([k, v]) => ` ${k}="${attrValue(v)}"`).join('');
+}
+
+// The #EXTM3U header, pointing IPTV apps at the guide URL (url-tvg and its
+// x-tvg-url alias)
+export function m3uHeader(epgUrl) {
+  return `#EXTM3U${attrs([['url-tvg', epgUrl], ['x-tvg-url', epgUrl]])}\n`;
+}
+
+// One channel: { id, name, logo, group, title, url } plus the player
+// attributes parsePlaylist keeps (chno, catch-up, VLC/Kodi options). title is
+// the text after the comma (defaults to name). tvg-shift and per-entry guide
+// URLs are left out: the guide this playlist points at is already shifted.
+export function m3uEntry(ch) {
+  const info = attrs([
+    ['tvg-id', ch.id], ['tvg-name', ch.name], ['tvg-logo', ch.logo], ['group-title', ch.group],
+    ['tvg-chno', ch.chno], ['tvg-rec', ch.tvgRec], ['catchup', ch.catchup], ['catchup-days', ch.catchupDays],
+    ['catchup-source', ch.catchupSource], ['timeshift', ch.archiveDays]
+  ]);
+  const title = attrValue(ch.title || ch.name || ch.id || '');
+  const opts = [
+    ...(ch.kodiProps || []).map(v => `#KODIPROP:${lineValue(v)}\n`),
+    ...(ch.vlcOpts || []).map(v => `#EXTVLCOPT:${lineValue(v)}\n`)
+  ].join('');
+  return `#EXTINF:-1${info},${title}\n${opts}${lineValue(ch.url)}\n`;
+}
@@ -0,0 +1,160 @@
+import { unprefixedId } from './channelIds.js';
+
+// Suggest EPG channels for playlist channels by comparing ids, names and logos
+// against each source's scanned channel list.
+
+// Tokens that say nothing about which channel it is
+const QUALITY = new Set(['hd', 'fhd', 'uhd', 'sd', '4k', '8k', 'hevc', 'h264', 'h265', '720p', '1080p', '1080i', '2160p', '50fps', 'backup', 'orig', 'raw']);
+const FILLER = new Set(['tv', 'channel', 'the']);
+const COUNTRY_SEP = /^\s*\[?([a-z]{2,3})\]?\s*[:|\-]\s*/i;
+
+function fold(s) {
+  return String(s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Leading "LT:", "UK | ", "[PL] -" style country tag
+function countryPrefix(name) {
+  const m = COUNTRY_SEP.exec(String(name || ''));
+  return m ? m[1].toLowerCase() : null;
+}
+
+// "LRT.lt" -> { base: 'lrt', country: 'lt' }
+function splitId(id) {
+  const s = fold(id).trim();
+  const m = /^(.+?)\.([a-z]{2})$/.exec(s);
+  return m ? { base: m[1], country: m[2] } : { base: s, country: null };
+}
+
+// Synthetic ids (see channelIds.js) are made from the name; they say nothing
+// more. Playlist id prefixes aren't part of the tvg-id either.
+const matchId = (ch) => (ch.synthetic ? '' : unprefixedId(ch));
+
+// Lowercased words with country tags, quality/timeshift suffixes and
+// bracketed notes removed. "LT: TV3 HD (backup)" -> ['tv3']
+export function nameTokens(name) {
+  let s = fold(name).replace(COUNTRY_SEP, '');
+  s = s.replace(/[([{][^)\]}]*[)\]}]/g, ' ');
+  s = s.replace(/\+\s*\d+\b/g, ' ').replace(/[^a-z0-9+]+/g, ' ');
+  return s.split(' ').filter(t => t && !QUALITY.has(t) && t !== '+');
+}
+
+function compactKey(tokens) {
+  const core = tokens.filter(t => !FILLER.has(t));
+  return (core.length ? core : tokens).join('');
+}
+
+function bigrams(s) {
+  const out = new Set();
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  return out;
+}
+
+function dice(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const A = bigrams(a), B = bigrams(b);
+  if (!A.size || !B.size) return 0;
+  let both = 0;
+  for (const x of A) if (B.has(x)) both++;
+  return (2 * both) / (A.size + B.size);
+}
+
+// Logo file name without extension/size suffixes: ".../lrt_hd-200x200.png" -> 'lrt'
+function logoKey(url) {
+  if (!url) return null;
+  let file = String(url).split(/[?#]/)[0].split('/').pop() || '';
+  file = file.replace(/\.[a-z0-9]+$/i, '');
+  const key = compactKey(nameTokens(file.replace(/\d+x\d+/g, ' ')));
+  return key || null;
+}
+
+function describe(ch) {
+  const names = [ch.tvgName, ch.displayName, ch.name].filter(Boolean);
+  const keys = new Set();
+  const tokens = new Set();
+  for (const n of names) {
+    const t = nameTokens(n);
+    t.forEach(x => tokens.add(x));
+    const k = compactKey(t);
+    if (k) keys.add(k);
+  }
+  const id = matchId(ch) ? splitId(matchId(ch)) : null;
+  if (id) {
+    const t = nameTokens(id.base);
+    t.forEach(x => tokens.add(x));
+    const k = compactKey(t);
+    if (k) keys.add(k);
+  }
+  const country = id?.country || names.map(countryPrefix).find(Boolean) || null;
+  return { keys: Array.from(keys), tokens, country, logo: ch.logo || ch.icon || null, logoKey: logoKey(ch.logo || ch.icon) };
+}
+
+// Index one source's channels for lookups by token
+function indexSource(sourceId, list) {
+  const entries = list.map(ch => ({ sourceId, ch, d: describe(ch), idNorm: fold(ch.id).trim(), idBase: splitId(ch.id).base }));
+  const byToken = new Map();
+  const byId = new Map(); // full id and id without country -> [entry index]
+  const add = (map, k, i) => { if (!k) return; if (!map.has(k)) map.set(k, []); map.get(k).push(i); };
+  entries.forEach((e, i) => {
+    add(byId, e.idNorm, i);
+    if (e.idBase !== e.idNorm) add(byId, e.idBase, i);
+    for (const t of e.d.tokens) {
+      if (FILLER.has(t)) continue;
+      add(byToken, t, i);
+    }
+  });
+  return { sourceId, entries, byToken, byId };
+}
+
+function score(pl, plDesc, e) {
+  const reasons = [];
+  let base = 0;
+  const plId = fold(matchId(pl)).trim();
+  if (plId && plId === e.idNorm) { base = 1; reasons.push('same id'); }
+  else if (plId && splitId(matchId(pl)).base === e.idBase) { base = 0.9; reasons.push('same id without country'); }
+  let nameScore = 0;
+  for (const a of plDesc.keys) {
+    for (const b of e.d.keys) nameScore = Math.max(nameScore, a === b ? 0.95 : dice(a, b) * 0.85);
+  }
+  if (nameScore > base) { base = nameScore; reasons.push(nameScore >= 0.95 ? 'same name' : 'similar name'); }
+  let bonus = 0;
+  if (plDesc.logo && e.d.logo && plDesc.logo === e.d.logo) { bonus += 0.1; reasons.push('same logo'); }
+  else if (plDesc.logoKey && plDesc.logoKey === e.d.logoKey) { bonus += 0.05; reasons.push('similar logo'); }
+  if (plDesc.country && e.d.country) {
+    if (plDesc.country === e.d.country) { bonus += 0.05; reasons.push(`country ${e.d.country}`); }
+    else { bonus -= 0.15; reasons.push(`country ${e.d.country} ≠ ${plDesc.country}`); }
+  }
+  return { score: Math.max(0, Math.min(1, base + (base > 0.3 ? bonus : 0))), reasons };
+}
+
+// Rank candidates for each playlist channel.
+// playlist: [{ id, name, tvgName?, displayName?, logo? }]
+// sources:  [{ id, priority, channels: [{ id, name, icon }] }] (best source first on ties)
+// opts: { limit = 3, minScore = 0.5 }
+export function suggestMatches(playlist, sources, opts = {}) {
+  const limit = Number.isFinite(opts.limit) ? Math.max(1, opts.limit) : 3;
+  const minScore = Number.isFinite(opts.minScore) ? opts.minScore : 0.5;
+  const indexes = sources.map(s => ({ ...indexSource(s.id, s.channels || []), priority: Number.isFinite(s.priority) ? s.priority : 100 }));
+  const out = [];
+  for (const pl of playlist) {
+    const plDesc = describe(pl);
+    const plIdNorm = fold(matchId(pl)).trim();
+    const plIdBase = matchId(pl) ? splitId(matchId(pl)).base : '';
+    const found = [];
+    for (const idx of indexes) {
+      // Only score channels sharing a token or the id; scoring all of them is too slow for big feeds
+      const pool = new Set();
+      for (const t of plDesc.tokens) for (const i of idx.byToken.get(t) || []) pool.add(i);
+      for (const k of [plIdNorm, plIdBase]) for (const i of idx.byId.get(k) || []) pool.add(i);
+      for (const i of pool) {
+        const e = idx.entries[i];
+        const { score: sc, reasons } = score(pl, plDesc, e);
+        if (sc < minScore) continue;
+        found.push({ sourceId: idx.sourceId, epgChannelId: e.ch.id, name: e.ch.name || e.ch.id, icon: e.ch.icon || null, score: Math.round(sc * 100) / 100, reasons, priority: idx.priority });
+      }
+    }
+    found.sort((a, b) => (b.score - a.score) || (b.priority - a.priority));
+    out.push({ playlistId: pl.id, name: pl.name || pl.id, candidates: found.slice(0, limit).map(({ priority, ...c }) => c) });
+  }
+  return out;
+}
@@ -0,0 +1,77 @@
+import { repairLayer, repairMerged, addRepairs } from './repair.js';
+
+// Priority-aware schedule merging for channels fed by several EPG sources.
+
+// By instant, so starts written with different offsets still sort right
+const byStart = (a, b) => (Date.parse(a.start) || 0) - (Date.parse(b.start) || 0);
+
+function spanOf(p) {
+  const s = p.start ? Date.parse(p.start) : NaN;
+  if (!Number.isFinite(s)) return null;
+  const e = p.stop ? Date.parse(p.stop) : NaN;
+  return [s, Number.isFinite(e) && e > s ? e : s + 1];
+}
+
+// Does [s, e) intersect any of the sorted, disjoint spans?
+function overlapsAny(spans, s, e) {
+  let lo = 0, hi = spans.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (spans[mid][1] <= s) lo = mid + 1; else hi = mid;
+  }
+  return lo < spans.length && spans[lo][0] < e;
+}
+
+function coalesce(spans) {
+  spans.sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const sp of spans) {
+    const last = out[out.length - 1];
+    if (last && sp[0] <= last[1]) last[1] = Math.max(last[1], sp[1]);
+    else out.push([sp[0], sp[1]]);
+  }
+  return out;
+}
+
+// Merge programme lists ordered best-first. The first list is kept as-is; each
+// following list only contributes programmes that fall entirely into gaps left
+// by the lists before it, so overlaps always resolve in favour of the better source.
+export function mergeByPriority(lists) {
+  const nonEmpty = (lists || []).filter(l => l && l.length);
+  if (nonEmpty.length <= 1) return (nonEmpty[0] || []).slice().sort(byStart);
+  const out = [];
+  let taken = [];
+  nonEmpty.forEach((list, i) => {
+    const added = [];
+    for (const p of list) {
+      const sp = spanOf(p);
+      if (i > 0 && (!sp || overlapsAny(taken, sp[0], sp[1]))) continue;
+      out.push(p);
+      if (sp) added.push(sp);
+    }
+    taken = coalesce(taken.concat(added));
+  });
+  return out.sort(byStart);
+}
+
+// Collect per-channel lists as they come out of the parsers; `rank` is the
+// position of the input in the channel's priority order (0 = best).
+export function addLayer(layers, id, rank, list) {
+  if (!layers[id]) layers[id] = [];
+  let layer = layers[id].find(l => l.rank === rank);
+  if (!layer) { layer = { rank, list: [] }; layers[id].push(layer); }
+  layer.list.push(...list);
+}
+
+// Merged schedules per channel, each input and the result repaired (see
+// repair.js); what was fixed is added to `report` when one is passed.
+export function mergeLayers(layers, report = null) {
+  const schedules = {};
+  for (const [id, arr] of Object.entries(layers)) {
+    const tally = {};
+    const ordered = arr.slice().sort((a, b) => a.rank - b.rank).map(l => repairLayer(l.list, tally));
+    schedules[id] = repairMerged(mergeByPriority(ordered), tally);
+    addRepairs(report, id, tally);
+  }
+  return schedules;
+}
@@ -2,6 +2,9 @@ import fs from 'node:fs';
 import path from 'node:path';
 import crypto from 'node:crypto';
 import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { ensureIndex } from './programmeIndex.js';
+import { safeFetch } from './fetchPolicy.js';
 
 const mirrorDir = path.join(process.cwd(), 'epg-viewer', 'data', 'mirror');
 function ensureDir() {
@@ -28,7 +31,27 @@ export function mirrorPaths(url) {
   };
 }
 
-export async function mirrorFetch(url) {
+// The mirrored file for a URL as it is on disk now (no network), or null
+export function currentMirror(url) {
+  const paths = mirrorPaths(url);
+  let meta = {};
+  try { meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8')); } catch {}
+  for (const file of meta.isGz === false ? [paths.xml, paths.gz] : [paths.gz, paths.xml]) {
+    if (fs.existsSync(file)) return { path: file, isGz: file === paths.gz, savedAt: meta.savedAt || null };
+  }
+  return null;
+}
+
+// Mirror the feed and kick off (in the background) the one-time programme
+// index build for the file we ended up with. opts.assumeZone: the source's
+// zone for offset-less times, which the index is built with.
+export async function mirrorFetch(url, opts = {}) {
+  const result = await fetchToMirror(url);
+  ensureIndex(result.path, { assumeZone: opts.assumeZone || null });
+  return result;
+}
+
+async function fetchToMirror(url) {
   ensureDir();
   const paths = mirrorPaths(url);
   let prev = {};
@@ -36,12 +59,12 @@ export async function mirrorFetch(url) {
   const headers = { 'User-Agent': 'Mozilla/5.0 (epg-viewer/0.1)' };
   if (prev.etag) headers['If-None-Match'] = prev.etag;
   if (prev.lastModified) headers['If-Modified-Since'] = prev.lastModified;
-  let res = await fetch(url, { headers });
+  let res = await safeFetch(url, { headers });
   // Retry on 5xx with a fresh, unconditional fetch
   if (!res.ok && res.status >= 500) {
     try { res.body?.cancel?.(); } catch {}
     await new Promise(r => setTimeout(r, 500));
-    res = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (epg-viewer/0.1)' } });
+    res = await safeFetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (epg-viewer/0.1)' } });
   }
 
   if (res.status === 304) {
@@ -50,17 +73,17 @@ export async function mirrorFetch(url) {
     const file = isGz ? paths.gz : paths.xml;
     if (!fs.existsSync(file)) {
       // We rotated the previous file to a snapshot; refetch without conditionals
-      const fresh = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (epg-viewer/0.1)' } });
+      const fresh = await safeFetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (epg-viewer/0.1)' } });
       if (!fresh.ok) throw new Error(`Mirror fetch (fresh) failed ${url}: ${fresh.status} ${fresh.statusText}`);
       return await forceDownload(url, paths, fresh);
     }
-    return { path: file, isGz, etag: prev.etag || null, lastModified: prev.lastModified || null, changed: false };
+    return { path: file, isGz, etag: prev.etag || null, lastModified: prev.lastModified || null, changed: false, bytes: 0 };
   }
   if (!res.ok) {
     const existing = prev.isGz ? paths.gz : paths.xml;
     if (fs.existsSync(existing)) {
       // Use last known good copy instead of failing the whole job
-      return { path: existing, isGz: prev.isGz ?? existing.endsWith('.gz'), etag: prev.etag || null, lastModified: prev.lastModified || null, changed: false };
+      return { path: existing, isGz: prev.isGz ?? existing.endsWith('.gz'), etag: prev.etag || null, lastModified: prev.lastModified || null, changed: false, bytes: 0, stale: true, error: `${res.status} ${res.statusText}` };
     }
     throw new Error(`Mirror fetch failed ${url}: ${res.status} ${res.statusText}`);
   }
@@ -111,6 +134,19 @@ async function forceDownload(url, paths, res) {
   const encoding = res.headers.get('content-encoding') || '';
   const isGz = url.endsWith('.gz') || contentType.includes('gzip') || encoding.includes('gzip');
   const target = isGz ? paths.gz : paths.xml;
+  // write to temp first; a failed or aborted download keeps the last good mirror
+  const tmp = target + '.tmp';
+  try {
+    const r = res.body;
+    let src = null;
+    if (r && typeof r.getReader === 'function') src = Readable.fromWeb(r);
+    else if (r && typeof r.pipe === 'function') src = r;
+    if (src) await pipeline(src, fs.createWriteStream(tmp));
+    else fs.writeFileSync(tmp, Buffer.from(await res.arrayBuffer()));
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw e;
+  }
   // rotate previous file into timestamped snapshot
   try {
     if (fs.existsSync(target)) {
@@ -119,29 +155,9 @@ async function forceDownload(url, paths, res) {
       fs.renameSync(target, snap);
     }
   } catch {}
-  // write to temp then move
-  const tmp = target + '.tmp';
-  await new Promise(async (resolve, reject) => {
-    try {
-      const out = fs.createWriteStream(tmp);
-      const r = res.body;
-      let src = null;
-      try {
-        if (r && typeof r.getReader === 'function') src = Readable.fromWeb(r);
-        else if (r && typeof r.pipe === 'function') src = r;
-      } catch {}
-      if (src && typeof src.pipe === 'function') {
-        src.pipe(out);
-      } else {
-        // Fallback: read full body and write once
-        const buf = Buffer.from(await res.arrayBuffer());
-        out.end(buf);
-      }
-      out.on('finish', resolve);
-      out.on('error', reject);
-    } catch (e) { reject(e); }
-  });
   fs.renameSync(tmp, target);
+  let bytes = 0;
+  try { bytes = fs.statSync(target).size; } catch {}
   const meta = {
     url,
     savedAt: new Date().toISOString(),
@@ -152,5 +168,5 @@ async function forceDownload(url, paths, res) {
   fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2));
   // prune old snapshots
   pruneSnapshots(url);
-  return { path: target, isGz, etag: meta.etag, lastModified: meta.lastModified, changed: true };
+  return { path: target, isGz, etag: meta.etag, lastModified: meta.lastModified, changed: true, bytes };
 }
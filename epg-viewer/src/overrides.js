@@ -0,0 +1,93 @@
+import { isoToXmltvTime } from './xmltv.js';
+import { mergeByPriority } from './merge.js';
+
+// Manual programme changes for a playlist channel, applied on top of its
+// merged schedule: 'add' inserts a programme, 'edit' changes fields of a feed
+// programme, 'hide' drops one. Edit/hide find their programme by its original
+// start (and title, when given), so they survive source refreshes and simply
+// stop applying once the feed no longer has that programme. Added and edited
+// programmes win over feed programmes they overlap.
+//
+// Stored times are source times like the merged schedules (channel offsets
+// apply on output); the routes convert from and to what the viewer shows.
+
+const TYPES = new Set(['add', 'edit', 'hide']);
+const TEXT_FIELDS = [['title', 'titles'], ['subTitle', 'subTitles'], ['desc', 'descs'], ['category', 'categories']];
+
+function isoOrNull(v) {
+  const t = Date.parse(v || '');
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+// Validated copy of an override from the API; throws with a message for the client
+export function normalizeOverride(o) {
+  if (!o || !TYPES.has(o.type)) throw new Error('type must be add, edit or hide');
+  const out = { type: o.type };
+  if (typeof o.id === 'string' && o.id) out.id = o.id;
+  if (o.type !== 'add') {
+    const start = isoOrNull(o.match?.start);
+    if (!start) throw new Error('match.start is required');
+    out.match = { start };
+    if (typeof o.match.title === 'string' && o.match.title.trim()) out.match.title = o.match.title.trim();
+    if (o.type === 'hide') return out;
+  }
+  const start = isoOrNull(o.start), stop = isoOrNull(o.stop);
+  if (start) out.start = start;
+  if (stop) out.stop = stop;
+  for (const [key] of TEXT_FIELDS) {
+    if (typeof o[key] === 'string' && o[key].trim()) out[key] = o[key].trim();
+  }
+  if (o.type === 'add' && (!start || !stop || !out.title)) throw new Error('start, stop and title are required');
+  if (start && stop && Date.parse(stop) <= Date.parse(start)) throw new Error('stop must be after start');
+  return out;
+}
+
+// Move every time in an override by `minutes` (source <-> channel time)
+export function shiftOverride(o, minutes) {
+  const delta = (minutes | 0) * 60 * 1000;
+  if (!delta) return o;
+  const move = (iso) => (iso ? new Date(Date.parse(iso) + delta).toISOString() : iso);
+  const out = { ...o, start: move(o.start), stop: move(o.stop) };
+  if (!out.start) delete out.start;
+  if (!out.stop) delete out.stop;
+  if (o.match) out.match = { ...o.match, start: move(o.match.start) };
+  return out;
+}
+
+function matches(p, m) {
+  if (Date.parse(p.start) !== Date.parse(m.start)) return false;
+  return !m.title || String(p.title || '').trim().toLowerCase() === m.title.toLowerCase();
+}
+
+// Programme with the override's fields; edited text replaces all language variants
+function withFields(p, o) {
+  const out = { ...p, override: o.id };
+  if (o.start) { out.start = o.start; out.startXmltv = isoToXmltvTime(o.start); }
+  if (o.stop) { out.stop = o.stop; out.stopXmltv = isoToXmltvTime(o.stop); }
+  for (const [key, listKey] of TEXT_FIELDS) {
+    if (!o[key]) continue;
+    out[key] = o[key];
+    out[listKey] = [{ value: o[key], lang: null }];
+  }
+  return out;
+}
+
+// list with the channel's overrides applied. Added programmes outside
+// window ({ fromMs, toMs }, optional) are left out.
+export function applyOverrides(list, overrides, window = null) {
+  const rest = (list || []).slice();
+  if (!Array.isArray(overrides) || !overrides.length) return rest;
+  const top = [];
+  for (const o of overrides) {
+    if (o.type === 'add') {
+      if (window && (Date.parse(o.stop) <= window.fromMs || Date.parse(o.start) >= window.toMs)) continue;
+      top.push(withFields({ start: o.start, stop: o.stop }, o));
+      continue;
+    }
+    const i = rest.findIndex(p => matches(p, o.match));
+    if (i < 0) continue;
+    const [p] = rest.splice(i, 1);
+    if (o.type === 'edit') top.push(withFields(p, o));
+  }
+  return top.length ? mergeByPriority([top, rest]) : rest;
+}
@@ -11,6 +11,30 @@ function parseAttributes(str) {
   return attrs;
 }
 
+// Comma-separated URL list (header url-tvg, entry x-tvg-url)
+export function splitUrls(v) {
+  return String(v || '').split(',').map(u => u.trim()).filter(Boolean);
+}
+
+const num = (v) => (v == null || String(v).trim() === '' ? null : (Number.isFinite(Number(v)) ? Number(v) : null));
+
+// Player attributes kept as given: channel number, EPG shift (hours), recording
+// and catch-up (archive) settings
+function entryExtras(attrs) {
+  const out = {
+    chno: num(attrs['tvg-chno'] ?? attrs['channel-number']),
+    tvgShift: num(attrs['tvg-shift']),
+    tvgRec: attrs['tvg-rec'] || null,
+    catchup: attrs['catchup'] || null,
+    catchupDays: num(attrs['catchup-days']),
+    catchupSource: attrs['catchup-source'] || null,
+    archiveDays: num(attrs['timeshift'])
+  };
+  const epgUrls = splitUrls(attrs['x-tvg-url'] || attrs['url-tvg']);
+  if (epgUrls.length) out.epgUrls = epgUrls;
+  return out;
+}
+
 export function parsePlaylist(text) {
   const lines = (text || '').split(/\r?\n/);
   const channels = [];
@@ -30,8 +54,11 @@ export function parsePlaylist(text) {
 
   const guessedHeaderAttrs = {};
 
-  let pending = null; // { id, name, group, logo }
+  let pending = null; // { id, name, group, logo, ... }
   let pendingGrp = null;
+  // #EXTVLCOPT / #KODIPROP lines go with the entry they sit in (before or after its #EXTINF)
+  let vlcOpts = [];
+  let kodiProps = [];
   for (let i = 0; i < lines.length; i++) {
     const raw = lines[i];
     const l = raw.trim();
@@ -46,10 +73,18 @@ export function parsePlaylist(text) {
       const name = attrs['tvg-name'] || displayName || null;
       const logo = attrs['tvg-logo'] || attrs['logo'] || null;
       const group = attrs['group-title'] || pendingGrp || null;
-      pending = { id, name, group, logo, url: null };
+      pending = { id, name, tvgName: attrs['tvg-name'] || null, displayName: displayName || null, group, logo, url: null, ...entryExtras(attrs) };
       pendingGrp = null;
       continue;
     }
+    if (l.startsWith('#EXTVLCOPT:')) {
+      vlcOpts.push(l.substring('#EXTVLCOPT:'.length).trim());
+      continue;
+    }
+    if (l.startsWith('#KODIPROP:')) {
+      kodiProps.push(l.substring('#KODIPROP:'.length).trim());
+      continue;
+    }
     if (l.startsWith('#EXTGRP')) {
       const grp = l.substring('#EXTGRP'.length).trim();
       pendingGrp = grp || pendingGrp;
@@ -60,9 +95,13 @@ export function parsePlaylist(text) {
     // first non-comment line after EXTINF is the URL
     if (pending) {
       pending.url = l;
+      if (vlcOpts.length) pending.vlcOpts = vlcOpts;
+      if (kodiProps.length) pending.kodiProps = kodiProps;
       channels.push(pending);
       pending = null;
     }
+    vlcOpts = [];
+    kodiProps = [];
   }
 
   return { headerAttrs, guessedHeaderAttrs, channels };
@@ -0,0 +1,499 @@
+import fs from 'node:fs';
+import { mirrorFetch, listSnapshots } from './mirror.js';
+import { readProgrammes } from './programmeIndex.js';
+import { streamParseXmltv } from './streamXmltv.js';
+import { getCache, setCache } from './cache.js';
+import { stableStringify, sha1hex } from './hash.js';
+import { addLayer, mergeLayers } from './merge.js';
+import { repairTotal } from './repair.js';
+import { esc, escAttr, programmeXml } from './xmltvWrite.js';
+import { parseLanguageList, localizeList } from './lang.js';
+import { applyOffset, exportTimes } from './timeShift.js';
+import { loadPlaylists, playlistEpgUrls } from './playlist.js';
+import { implicitLinks } from './timeshifts.js';
+import { unprefixedId } from './channelIds.js';
+import { primaryChannels, variantsOf } from './variants.js';
+import { clipToSegment } from './segments.js';
+import { applyOverrides } from './overrides.js';
+import { compileRules, rulesFor, rewriteList } from './rewrite.js';
+import { genreMatcher, genreOptions, withGenres } from './genres.js';
+import { compileFilter } from './exportFilters.js';
+import { placeholderEnabled, placeholderOptions, fillGaps, scheduleSpan } from './placeholders.js';
+import { getDefaults, getMappings, getOverrides, getRewriteRules, listSources } from './store.js';
+
+// Channel/EPG resolution shared by the preview, export and prewarm routes:
+//   prepareEpg    playlist -> per-source groups -> mirrors -> cache key
+//   loadSchedules parse + rewrite rules + priority merge and repair (+ history backfill, manual overrides,
+//                 placeholders), cached by that key with the per-channel repair report
+//   viewSchedules / writeXmltv  apply channel offsets, languages and genres for output
+//                 (exports also drop what the plan's content filter excludes)
+// Merged schedules always keep source times; shifting happens only on output.
+
+const DAY = 24 * 60 * 60 * 1000;
+const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
+
+// Ordered EPG inputs for a playlist channel: the mapped source, then its fallbacks,
+// ranked by source priority (higher first) with the mapping order breaking ties.
+// Channels without a usable mapping read the default EPG URL(s), in order (under
+// the mapped EPG id when there is one, e.g. a timeshift linked to an unmapped base).
+export function channelInputs(plId, map, sources, epgUrl) {
+  const defaultUrls = [].concat(epgUrl || []);
+  if (map && Array.isArray(map.segments) && map.segments.length) return segmentInputs(plId, map, sources, defaultUrls[0] || null);
+  const refs = [];
+  if (map && map.sourceId) refs.push({ sourceId: map.sourceId, epgChannelId: map.epgChannelId });
+  if (map && Array.isArray(map.fallbacks)) refs.push(...map.fallbacks);
+  const out = [];
+  for (const ref of refs) {
+    const src = sources.find(s => s.id === ref.sourceId);
+    if (src && src.url) out.push({ url: src.url, sourceId: src.id, assumeZone: src.assumeZone || null, epgId: ref.epgChannelId || plId, priority: Number.isFinite(src.priority) ? src.priority : 100, order: out.length });
+  }
+  if (!out.length) defaultUrls.forEach((url, i) => out.push({ url, sourceId: null, assumeZone: null, epgId: map?.epgChannelId || plId, priority: 0, order: i }));
+  return out.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+}
+
+// Composite channel: one input per time segment, in mapping order, each
+// clipped to its segment (so they never compete). A segment without a source
+// reads the (first) default EPG URL.
+function segmentInputs(plId, map, sources, epgUrl) {
+  const out = [];
+  map.segments.forEach((seg, i) => {
+    const src = seg.sourceId ? sources.find(s => s.id === seg.sourceId) : null;
+    const url = src ? src.url : (seg.sourceId ? null : epgUrl);
+    if (!url) return;
+    out.push({
+      url,
+      sourceId: src ? src.id : null,
+      assumeZone: src?.assumeZone || null,
+      epgId: seg.epgChannelId || plId,
+      priority: src && Number.isFinite(src.priority) ? src.priority : 0,
+      order: i,
+      segment: { ...seg, zoneId: map.zoneId || null }
+    });
+  });
+  return out;
+}
+
+// Preferred title/desc languages for a channel: its mapping override, else the global list
+export function channelLanguages(map, defaults) {
+  const own = parseLanguageList(map?.languages);
+  return own.length ? own : parseLanguageList(defaults.preferredLanguages);
+}
+
+export function bySourcePriority(sources) {
+  const prio = (s) => (Number.isFinite(s.priority) ? s.priority : 100);
+  return sources.slice().sort((a, b) => prio(b) - prio(a));
+}
+
+// Mapping fields that only curate the exports (see exportEntries); they
+// belong to the channel itself and don't pass down timeshift links
+const CURATION_FIELDS = ['name', 'logo', 'group', 'exclude'];
+const curationOnly = (m) => Object.keys(m).every(k => CURATION_FIELDS.includes(k));
+
+function mappingKey(m) {
+  return {
+    timeshiftOf: m.timeshiftOf || null,
+    sourceId: m.sourceId || null,
+    epgChannelId: m.epgChannelId || null,
+    fallbacks: Array.isArray(m.fallbacks) ? m.fallbacks : [],
+    segments: Array.isArray(m.segments) ? m.segments : [],
+    offsetMinutes: Number.isFinite(m.offsetMinutes) ? (m.offsetMinutes|0) : 0,
+    zoneId: m.zoneId || null,
+    shiftMode: (m.shiftMode === 'offset' ? 'offset' : 'wall'),
+    languages: parseLanguageList(m.languages),
+    curation: CURATION_FIELDS.map(k => m[k] ?? null)
+  };
+}
+
+function offsetOf(map) {
+  return Number.isFinite(map?.offsetMinutes) ? (map.offsetMinutes|0) : 0;
+}
+
+// Mappings with timeshift links resolved: a channel linked to a base channel
+// reads the base's inputs and is shifted by the base offset plus its own, on
+// the wall clock of the base's zone. implicit holds what the playlist implies
+// (see playlistImplied), used for channels without a mapping of their own (or
+// with only curation in it).
+export function resolveMappings(mappings, implicit = new Map()) {
+  const resolve = (id, seen) => {
+    const mine = mappings[id];
+    const own = mine && implicit.has(id) && curationOnly(mine) ? { ...implicit.get(id), ...mine } : (mine || implicit.get(id) || null);
+    if (!own || !own.timeshiftOf || seen.has(id)) return own;
+    seen.add(id);
+    const baseId = own.timeshiftOf;
+    const base = resolve(baseId, seen) || {};
+    const out = {
+      ...base,
+      epgChannelId: base.epgChannelId || baseId,
+      offsetMinutes: offsetOf(base) + offsetOf(own),
+      shiftMode: base.shiftMode || 'wall',
+      timeshiftOf: baseId
+    };
+    if (Array.isArray(base.fallbacks)) out.fallbacks = base.fallbacks.map(f => ({ ...f, epgChannelId: f.epgChannelId || baseId }));
+    if (Array.isArray(base.segments)) out.segments = base.segments.map(sg => ({ ...sg, epgChannelId: sg.epgChannelId || baseId }));
+    if (Array.isArray(own.languages) && own.languages.length) out.languages = own.languages;
+    for (const k of CURATION_FIELDS) {
+      if (own[k] != null) out[k] = own[k]; else delete out[k];
+    }
+    return out;
+  };
+  const out = {};
+  for (const id of new Set([...Object.keys(mappings), ...implicit.keys()])) {
+    const m = resolve(id, new Set());
+    if (m) out[id] = m;
+  }
+  return out;
+}
+
+// [today - pastDays, end of today + futureDays), quantized to UTC midnight for cache reuse
+export function dayWindow(pastDays, futureDays) {
+  const todayUTC = new Date();
+  todayUTC.setUTCHours(0, 0, 0, 0);
+  return { fromMs: todayUTC.getTime() - pastDays * DAY, toMs: todayUTC.getTime() + (futureDays + 1) * DAY };
+}
+
+// What the playlist implies for channels without a mapping of their own:
+// timeshift links (see implicitLinks), tvg-shift hours as the offset and, for
+// ids with a playlist prefix, the tvg-id the guide knows them by
+export function playlistImplied(channels) {
+  const out = implicitLinks(channels);
+  for (const c of channels) {
+    if (!c.id || out.has(c.id)) continue;
+    const implied = {};
+    if (c.tvgShift) implied.offsetMinutes = Math.round(c.tvgShift * 60);
+    if (c.idPrefix) implied.epgChannelId = unprefixedId(c);
+    if (Object.keys(implied).length) out.set(c.id, implied);
+  }
+  return out;
+}
+
+// Channel number (tvg-chno) order: numbered channels first, then the rest in
+// the order given
+export function byChannelNumber(list, chnoOf = (c) => c.chno) {
+  const rank = (c) => (Number.isFinite(chnoOf(c)) ? chnoOf(c) : Infinity);
+  return list.slice().sort((a, b) => (rank(a) === rank(b) ? 0 : rank(a) - rank(b)));
+}
+
+// A playlist channel as the exports show it: the mapping's name, logo and
+// group over the playlist's
+export function curatedChannel(c, map) {
+  return { ...c, name: map?.name || c.name, logo: map?.logo || c.logo || null, group: map?.group || c.group || null };
+}
+
+// Playlist channels (curated) plus the EPG URLs to fall back to (explicit, else
+// the playlist headers' unless disabled in settings; entries may name their own).
+// playlistUrl names one playlist; without it the configured ones are merged
+// (see loadPlaylists).
+export async function resolveChannels({ playlistUrl = null, epgUrl = null } = {}) {
+  const defaults = getDefaults();
+  const channelIds = new Set();
+  const channelMeta = new Map(); // id -> { name, logo, group, chno, epgUrls }
+  let epgUrls = epgUrl ? [epgUrl] : [];
+  let fromPlaylist = false;
+  const parsed = await loadPlaylists(playlistUrl);
+  if (parsed && !epgUrl && defaults.usePlaylistEpg !== false) {
+    epgUrls = playlistEpgUrls(parsed);
+    fromPlaylist = true;
+  }
+  const mappings = resolveMappings(getMappings(), parsed ? playlistImplied(parsed.channels) : new Map());
+  // Variants sharing an id are one channel, described by its first entry
+  for (const c of parsed ? primaryChannels(parsed.channels) : []) {
+    if (!c.id) continue;
+    const { name, logo, group } = curatedChannel(c, mappings[c.id]);
+    channelIds.add(c.id);
+    // An entry's own x-tvg-url stands in for the header's
+    channelMeta.set(c.id, { name, logo, group, chno: c.chno ?? null, epgUrls: fromPlaylist && c.epgUrls?.length ? c.epgUrls : null });
+  }
+  return {
+    defaults,
+    playlistUrl,
+    epgUrl: epgUrls[0] || null,
+    epgUrls,
+    channelIds,
+    channelMeta,
+    playlists: parsed, // the merged playlists (null without any), for routes that need the raw entries
+    mappings,
+    overrides: getOverrides(),
+    rewriteRules: getRewriteRules().filter(r => r.enabled !== false),
+    sources: listSources().filter(s => s.enabled)
+  };
+}
+
+// Resolved channels narrowed to one (the viewer's per-channel reads); an id
+// that isn't in the playlist is read as a channel of its own
+export function singleChannel(ctx, id) {
+  return { ...ctx, channelIds: new Set([id]), channelMeta: new Map([[id, ctx.channelMeta.get(id) || { name: id, logo: null, group: null }]]) };
+}
+
+// One group per source URL: the source it belongs to (for rewrite rules), its
+// assumed zone for offset-less times, which EPG ids to keep and which playlist
+// channels (each with its input rank and, for composite channels, its time
+// segment) every one of them feeds. An EPG channel can feed several playlist
+// channels (HD/SD variants, +1 timeshifts), each shifted by its own mapping on output. Without a playlist every enabled source and the
+// default EPGs are read whole (allowed = null).
+function buildGroups(ctx) {
+  const groups = new Map(); // url -> { url, sourceId, assumeZone, allowed: Set(epgId), idMap: Map(normEpgId -> [{ plId, rank, segment }]) }
+  const ensureGroup = (url, sourceId, assumeZone) => {
+    if (!groups.has(url)) groups.set(url, { url, sourceId: sourceId || null, assumeZone: assumeZone || null, allowed: new Set(), idMap: new Map() });
+    return groups.get(url);
+  };
+  if (ctx.channelIds.size) {
+    for (const plId of ctx.channelIds) {
+      channelInputs(plId, ctx.mappings[plId], ctx.sources, ctx.channelMeta.get(plId)?.epgUrls || ctx.epgUrls).forEach((inp, rank) => {
+        const g = ensureGroup(inp.url, inp.sourceId, inp.assumeZone);
+        const key = norm(inp.epgId);
+        g.allowed.add(inp.epgId);
+        if (!g.idMap.has(key)) g.idMap.set(key, []);
+        g.idMap.get(key).push({ plId, rank, segment: inp.segment || null });
+      });
+    }
+  } else {
+    for (const s of bySourcePriority(ctx.sources)) ensureGroup(s.url, s.id, s.assumeZone).allowed = null;
+    for (const url of ctx.epgUrls) ensureGroup(url).allowed = null;
+  }
+  return Array.from(groups.values());
+}
+
+// Resolve channels, mirror their sources and compute the cache key.
+// opts: { playlistUrl, epgUrl, channels: resolveChannels() result to reuse,
+//         window: { fromMs, toMs } | null (full), history: backfill from snapshots, type: cache key namespace,
+//         filter: export content filter or null }
+export async function prepareEpg(opts = {}) {
+  const ctx = opts.channels || await resolveChannels(opts);
+  const window = opts.window || null;
+  const history = !!opts.history && !!window && ctx.defaults.historyBackfill !== false;
+  const groups = buildGroups(ctx);
+  const mirrors = await Promise.all(groups.map(g => mirrorFetch(g.url, { assumeZone: g.assumeZone })));
+  const sigs = {};
+  const hist = {};
+  mirrors.forEach((m, i) => {
+    const st = fs.existsSync(m.path) ? fs.statSync(m.path) : null;
+    const url = groups[i].url;
+    sigs[url] = { etag: m.etag || null, lastModified: m.lastModified || null, size: st ? st.size : null, mtimeMs: st ? st.mtimeMs : null, assumeZone: groups[i].assumeZone };
+    if (history) hist[url] = listSnapshots(url).slice(0, 12).map(s => s.savedAt);
+  });
+  const ids = Array.from(ctx.channelIds).sort();
+  const filled = ids.filter(id => placeholderEnabled(ctx.mappings[id], ctx.channelMeta.get(id)?.group, ctx.defaults));
+  const keyObj = {
+    v: 6,
+    type: opts.type || 'epg',
+    full: !window,
+    urls: sigs,
+    history: hist,
+    ids,
+    feeds: ids.reduce((acc, id) => { const own = ctx.channelMeta.get(id)?.epgUrls; if (own) acc[id] = own; return acc; }, {}),
+    maps: ids.reduce((acc, id) => { const m = ctx.mappings[id]; if (m) acc[id] = mappingKey(m); return acc; }, {}),
+    langs: parseLanguageList(ctx.defaults.preferredLanguages),
+    rewrite: ctx.rewriteRules.length ? ctx.rewriteRules : null,
+    genres: genreOptions(ctx.defaults),
+    filter: opts.filter || null,
+    overrides: ids.reduce((acc, id) => { if (ctx.overrides[id]?.length) acc[id] = ctx.overrides[id]; return acc; }, {}),
+    placeholders: filled.length ? { ...placeholderOptions(ctx.defaults), channels: filled.map(id => [id, ctx.channelMeta.get(id)?.name || null, ctx.channelMeta.get(id)?.group || null]) } : null,
+    windowFromMs: window ? window.fromMs : null,
+    windowToMs: window ? window.toMs : null
+  };
+  return { ...ctx, window, history, groups, mirrors, filter: opts.filter || null, cacheKey: 'EPG_' + sha1hex(stableStringify(keyObj)) };
+}
+
+async function parseGroups(groupArr, mirrors, opts, lowMem = false) {
+  if (!lowMem) {
+    return await Promise.allSettled(groupArr.map((g,i)=> readProgrammes(mirrors[i].path, g.allowed || null, { ...opts, assumeZone: g.assumeZone })));
+  }
+  const out = [];
+  for (let i=0; i<groupArr.length; i++) {
+    try {
+      const val = await readProgrammes(mirrors[i].path, groupArr[i].allowed || null, { ...opts, assumeZone: groupArr[i].assumeZone });
+      out.push({ status: 'fulfilled', value: val });
+    } catch (e) {
+      out.push({ status: 'rejected', reason: e });
+    }
+  }
+  return out;
+}
+
+// Add a parsed EPG channel's programmes to every playlist channel it feeds,
+// rewritten by the rules for that source and channel. Without a playlist
+// (allowed = null) channel rules match the EPG id.
+function fanOut(layers, g, epgId, list, slot, rules) {
+  if (!g.allowed) {
+    addLayer(layers, epgId, slot(0), rewriteList(list, rulesFor(rules, { sourceId: g.sourceId, channelId: epgId })));
+    return;
+  }
+  for (const { plId, rank, segment } of g.idMap.get(norm(epgId)) || []) {
+    const own = rewriteList(list, rulesFor(rules, { sourceId: g.sourceId, channelId: plId }));
+    addLayer(layers, plId, slot(rank), segment ? clipToSegment(own, segment) : own);
+  }
+}
+
+// Merge historical programmes from source mirror snapshots to backfill past days.
+// Live schedules always win; snapshots (best-ranked input, then newest first) only fill gaps.
+async function backfillFromHistory(groups, windowFromMs, windowToMs, schedules, rules) {
+  const now = Date.now();
+  const pastTo = Math.min(windowToMs, now);
+  if (!(Number.isFinite(windowFromMs) && windowFromMs < pastTo)) return;
+  const layers = {};
+  const SNAP_SLOTS = 1000;
+  for (let gi = 0; gi < groups.length; gi++) {
+    const g = groups[gi];
+    const snaps = listSnapshots(g.url);
+    for (let si = 0; si < snaps.length; si++) {
+      const s = snaps[si];
+      // parse with window limited to past segment only
+      try {
+        const { schedules: raw } = await streamParseXmltv(s.path, g.allowed || null, { windowFromMs, windowToMs: pastTo, assumeZone: g.assumeZone });
+        for (const [epgId, list] of Object.entries(raw)) {
+          fanOut(layers, g, epgId, list, rank => (g.allowed ? rank : gi) * SNAP_SLOTS + si, rules);
+        }
+      } catch {}
+    }
+  }
+  for (const id of Object.keys(layers)) addLayer(layers, id, -1, schedules[id] || []);
+  // Snapshots are repaired too, but only the live merge is reported: most
+  // snapshots are older copies of the same feed and would count its faults again
+  Object.assign(schedules, mergeLayers(layers));
+}
+
+// Filler programmes for opted-in channels, over the window (or, for full
+// exports, the span of all schedules)
+function addPlaceholders(plan, schedules) {
+  const ids = Array.from(plan.channelIds).filter(id => placeholderEnabled(plan.mappings[id], plan.channelMeta.get(id)?.group, plan.defaults));
+  if (!ids.length) return;
+  const range = plan.window || scheduleSpan(schedules) || dayWindow(plan.defaults.pastDays || 0, plan.defaults.futureDays || 0);
+  const opts = placeholderOptions(plan.defaults);
+  for (const id of ids) {
+    const meta = plan.channelMeta.get(id) || {};
+    schedules[id] = fillGaps(schedules[id], range.fromMs, range.toMs, { id, name: meta.name || id, group: meta.group }, opts);
+  }
+}
+
+// Merged (unshifted) schedules keyed by playlist channel id, plus EPG channel
+// metadata and what the repair stage fixed per channel. Cached for 10 minutes
+// under the plan's key.
+export async function loadSchedules(plan) {
+  const cached = getCache(plan.cacheKey);
+  if (cached) return { schedules: cached.schedules || {}, epgMeta: new Map(Object.entries(cached.epgMeta || {})), repairs: cached.repairs || {} };
+  const { window } = plan;
+  const parseOpts = window ? { windowFromMs: window.fromMs, windowToMs: window.toMs } : { noWindow: true };
+  const parsed = await parseGroups(plan.groups, plan.mirrors, parseOpts, plan.defaults.lowMemMode === true);
+  const rules = compileRules(plan.rewriteRules);
+  // Fallback sources only fill gaps left by higher-priority ones
+  const layers = {};
+  const epgMeta = new Map();
+  for (let i = 0; i < parsed.length; i++) {
+    const g = plan.groups[i];
+    if (parsed[i].status !== 'fulfilled') continue;
+    const { channels: chMap, schedules: raw } = parsed[i].value;
+    for (const [id, meta] of chMap.entries()) epgMeta.set(id, meta);
+    for (const [epgId, list] of Object.entries(raw)) {
+      fanOut(layers, g, epgId, list, rank => (g.allowed ? rank : i), rules);
+    }
+  }
+  const repairs = {};
+  const schedules = mergeLayers(layers, repairs);
+  if (plan.history) {
+    await backfillFromHistory(plan.groups, window.fromMs, window.toMs, schedules, rules);
+  }
+  for (const id of plan.channelIds) {
+    if (plan.overrides[id]?.length) schedules[id] = applyOverrides(schedules[id], plan.overrides[id], window);
+  }
+  addPlaceholders(plan, schedules);
+  setCache(plan.cacheKey, { schedules, epgMeta: Object.fromEntries(epgMeta), repairs }, 10*60*1000);
+  return { schedules, epgMeta, repairs };
+}
+
+// Output channels by channel number, then in playlist order (or EPG order
+// without a playlist), named from the playlist first, then the EPG.
+export function channelList(plan, epgMeta) {
+  const ids = plan.channelIds.size ? byChannelNumber(Array.from(plan.channelIds), id => plan.channelMeta.get(id)?.chno) : Array.from(epgMeta.keys());
+  return ids.map(id => {
+    const fromPlaylist = plan.channelMeta.get(id) || {};
+    const fromEpg = epgMeta.get(plan.mappings[id]?.epgChannelId || id) || {};
+    return { id, name: fromPlaylist.name || fromEpg.name || id, logo: fromPlaylist.logo || fromEpg.icon || null };
+  });
+}
+
+// Schedules as shown in the viewer: offset applied, preferred language first,
+// each programme tagged with its genre (categories normalized when enabled)
+export function viewSchedules(plan, schedules) {
+  const genres = genreOptions(plan.defaults);
+  const match = genreMatcher(genres.table);
+  const out = {};
+  for (const [id, list] of Object.entries(schedules)) {
+    const map = plan.mappings[id];
+    out[id] = withGenres(localizeList(applyOffset(list, offsetOf(map)), channelLanguages(map, plan.defaults)), match, genres);
+  }
+  return out;
+}
+
+// Playlist entries for the M3U export, by channel number: curated, without
+// excluded channels and the ones the plan's content filter drops. Entries
+// without a tvg-id go out under their synthetic (or promoted) id, which the
+// guide uses too. A channel's variants follow it, kept or dropped with it and
+// told apart by their label when renamed; firstOnly writes the first entry
+// alone. Returns the entries and what was left out.
+export function exportEntries(channels, plan, { firstOnly = false } = {}) {
+  const filter = plan.filter ? compileFilter(plan.filter, plan.defaults.genreMap) : null;
+  const stats = { channels: 0, entries: 0, excludedChannels: 0, filteredChannels: 0 };
+  const entries = [];
+  for (const c of byChannelNumber(primaryChannels(channels))) {
+    const map = c.id ? plan.mappings[c.id] : null;
+    if (map?.exclude) { stats.excludedChannels++; continue; }
+    if (filter && filter.channel({ id: c.id, group: curatedChannel(c, map).group })) { stats.filteredChannels++; continue; }
+    const list = firstOnly ? [c] : variantsOf(c);
+    for (const v of list) {
+      const ch = curatedChannel(v, map);
+      const label = list.length > 1 ? v.variantLabel : null;
+      entries.push({ ...ch, title: map?.name ? [map.name, label].filter(Boolean).join(' ') : (v.displayName || ch.name) });
+    }
+    stats.channels++;
+  }
+  stats.entries = entries.length;
+  return { entries, stats };
+}
+
+// Stream the plan as an XMLTV document through `write`. Returns what was
+// written, what curation and the content filter dropped and how many repairs
+// the written channels needed.
+export function writeXmltv(write, plan, { schedules, epgMeta, repairs }) {
+  const filter = plan.filter ? compileFilter(plan.filter, plan.defaults.genreMap) : null;
+  const stats = { channels: 0, programmes: 0, excludedChannels: 0, filteredChannels: 0, filteredProgrammes: 0, repaired: 0 };
+  let channels = channelList(plan, epgMeta).filter(ch => {
+    if (!plan.mappings[ch.id]?.exclude) return true;
+    stats.excludedChannels++;
+    return false;
+  });
+  if (filter) {
+    channels = channels.filter(ch => {
+      if (!filter.channel({ id: ch.id, group: plan.channelMeta.get(ch.id)?.group })) return true;
+      stats.filteredChannels++;
+      return false;
+    });
+  }
+  const genres = genreOptions(plan.defaults);
+  const match = genres.normalize ? genreMatcher(genres.table) : null;
+  write('<?xml version="1.0" encoding="UTF-8"?>\n');
+  write('<!DOCTYPE tv SYSTEM "xmltv.dtd">\n');
+  write('<tv generator-info-name="epg-viewer export">\n');
+  for (const ch of channels) {
+    write(`  <channel id="${escAttr(ch.id)}">\n`);
+    write(`    <display-name>${esc(ch.name)}</display-name>\n`);
+    if (ch.logo) write(`    <icon src="${escAttr(ch.logo)}"/>\n`);
+    write('  </channel>\n');
+  }
+  for (const { id } of channels) {
+    const map = plan.mappings[id] || {};
+    let list = localizeList(schedules[id] || [], channelLanguages(map, plan.defaults));
+    // Filter on the feed's own categories, before they become genre names
+    if (filter) {
+      const kept = list.filter(p => !filter.programme(p));
+      stats.filteredProgrammes += list.length - kept.length;
+      list = kept;
+    }
+    if (match) list = withGenres(list, match, genres);
+    stats.programmes += list.length;
+    stats.repaired += repairTotal(repairs?.[id]);
+    for (const p of list) write(programmeXml(p, { ...exportTimes(p, map), channel: id }));
+  }
+  write('</tv>\n');
+  stats.channels = channels.length;
+  return stats;
+}
@@ -0,0 +1,85 @@
+// Filler programmes for channels without (enough) guide data, so IPTV apps
+// don't hide them. Opt-in per channel (mapping placeholder: true/false) or per
+// playlist group (settings placeholderGroups); the channel setting wins.
+// Fillers cover the whole window of an empty channel and every gap of one
+// that has a schedule, including the tail of a feed that stops early.
+
+const MIN = 60 * 1000;
+const MIN_GAP_MS = MIN;
+
+export function placeholderEnabled(map, group, defaults) {
+  if (map && typeof map.placeholder === 'boolean') return map.placeholder;
+  const groups = Array.isArray(defaults.placeholderGroups) ? defaults.placeholderGroups : [];
+  const g = String(group || '').trim().toLowerCase();
+  return !!g && groups.some(x => String(x).trim().toLowerCase() === g);
+}
+
+export function placeholderOptions(defaults) {
+  return {
+    blockMinutes: Math.max(15, Number(defaults.placeholderBlockMinutes) || 60),
+    title: typeof defaults.placeholderTitle === 'string' && defaults.placeholderTitle.trim() ? defaults.placeholderTitle : '{name}',
+    desc: typeof defaults.placeholderDesc === 'string' ? defaults.placeholderDesc : '{group}'
+  };
+}
+
+// "{name} ({group})" with the channel's fields; empty fields drop out, "()" included
+export function fillTemplate(tpl, ch) {
+  return String(tpl || '')
+    .replace(/\{(name|group|id)\}/g, (_, k) => (ch[k] == null ? '' : String(ch[k])))
+    .replace(/\s*\(\s*\)/g, '')
+    .trim();
+}
+
+function filler(fromMs, toMs, title, desc) {
+  const start = new Date(fromMs).toISOString(), stop = new Date(toMs).toISOString();
+  return { start, stop, title, desc: desc || null, placeholder: true };
+}
+
+// Blocks for [fromMs, toMs), cut at multiples of the block length (UTC) so
+// fillers line up with the hour
+function blocks(fromMs, toMs, blockMs, title, desc) {
+  const out = [];
+  let t = fromMs;
+  while (toMs - t >= MIN_GAP_MS) {
+    const next = Math.min(toMs, (Math.floor(t / blockMs) + 1) * blockMs);
+    out.push(filler(t, next, title, desc));
+    t = next;
+  }
+  return out;
+}
+
+// list plus fillers for the gaps inside [fromMs, toMs), sorted by start.
+// ch: { id, name, group } for the templates.
+export function fillGaps(list, fromMs, toMs, ch, opts) {
+  const blockMs = opts.blockMinutes * MIN;
+  const title = fillTemplate(opts.title, ch) || ch.name || ch.id;
+  const desc = fillTemplate(opts.desc, ch);
+  const sorted = (list || []).slice().sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  const out = [];
+  let cursor = fromMs;
+  sorted.forEach((p, i) => {
+    const s = Date.parse(p.start || '');
+    if (!Number.isFinite(s)) return;
+    let e = Date.parse(p.stop || '');
+    // No stop: runs until the next programme
+    if (!Number.isFinite(e)) e = i + 1 < sorted.length ? Date.parse(sorted[i + 1].start) : s;
+    if (s > cursor) out.push(...blocks(cursor, Math.min(s, toMs), blockMs, title, desc));
+    out.push(p);
+    cursor = Math.max(cursor, e);
+  });
+  if (cursor < toMs) out.push(...blocks(cursor, toMs, blockMs, title, desc));
+  return out;
+}
+
+// Earliest start / latest stop over all schedules, for exports without a window
+export function scheduleSpan(schedules) {
+  let fromMs = Infinity, toMs = -Infinity;
+  for (const list of Object.values(schedules)) {
+    for (const p of list) {
+      const s = Date.parse(p.start || ''), e = Date.parse(p.stop || '');
+      if (Number.isFinite(s)) fromMs = Math.min(fromMs, s);
+      if (Number.isFinite(e)) toMs = Math.max(toMs, e);
+    }
+  }
+  return Number.isFinite(fromMs) && toMs > fromMs ? { fromMs, toMs } : null;
+}
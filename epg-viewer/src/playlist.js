@@ -0,0 +1,113 @@
+import fs from 'node:fs';
+import zlib from 'node:zlib';
+import { parsePlaylist, splitUrls } from './parseM3U.js';
+import { findEpgUrlInHeader } from './xmltv.js';
+import { safeFetch } from './fetchPolicy.js';
+import { splitTimeshiftIds } from './timeshifts.js';
+import { assignSyntheticIds } from './channelIds.js';
+import { groupVariants } from './variants.js';
+import { getChannelAliases, getDefaults, listPlaylists, playlistFilePath } from './store.js';
+
+const TTL_MS = 10 * 60 * 1000; // 10 minutes
+const playlistCache = new Map(); // key: playlistUrl or file path -> { at: Date.now(), text, parsed, mtimeMs? }
+
+export async function fetchText(url) {
+  const res = await safeFetch(url, { headers: { 'User-Agent': 'epg-viewer/0.1' } });
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+  const contentType = res.headers.get('content-type') || '';
+  const encoding = res.headers.get('content-encoding') || '';
+  const buf = Buffer.from(await res.arrayBuffer());
+
+  // If gzip encoded or looks like .gz, try to gunzip
+  const looksGz = encoding.includes('gzip') || contentType.includes('gzip') || url.endsWith('.gz');
+  if (looksGz) {
+    try {
+      const unzipped = zlib.gunzipSync(buf);
+      return unzipped.toString('utf8');
+    } catch {
+      // fall through to return as text
+    }
+  }
+  return buf.toString('utf8');
+}
+
+// Fetched playlists are reused for TTL_MS, uploaded files until they change
+async function readParsed(ref) {
+  const key = ref.file ? playlistFilePath(ref.id) : ref.url;
+  const mtimeMs = ref.file ? fs.statSync(key).mtimeMs : null;
+  const hit = playlistCache.get(key);
+  if (hit && (ref.file ? hit.mtimeMs === mtimeMs : Date.now() - hit.at <= TTL_MS)) return hit.parsed;
+  const text = ref.file ? fs.readFileSync(key, 'utf8') : await fetchText(ref.url);
+  const parsed = parsePlaylist(text);
+  playlistCache.set(key, { at: Date.now(), text, parsed, mtimeMs });
+  return parsed;
+}
+
+// One playlist with ids for its entries, on copies (the parsed playlist is
+// cached): "+1" entries sharing their base channel's tvg-id get ids of their
+// own, then the playlist's prefix goes in front of every id (idPrefix says
+// which part it is), and entries without a tvg-id get synthetic (or promoted)
+// ones.
+async function loadOne(ref) {
+  const parsed = await readParsed(ref);
+  const prefix = ref.idPrefix || '';
+  const channels = splitTimeshiftIds(parsed.channels.map(c => ({ ...c, origin: ref.id || null })));
+  for (const c of channels) {
+    if (!c.id || !prefix) continue;
+    c.id = prefix + c.id;
+    c.idPrefix = prefix;
+    if (c.timeshift) c.timeshift = { ...c.timeshift, baseId: prefix + c.timeshift.baseId };
+  }
+  assignSyntheticIds(channels, getChannelAliases(), prefix);
+  return { ...parsed, channels };
+}
+
+// The playlists a request reads: the one it names (?playlist=), else the
+// enabled ones from settings, else the default playlist URL.
+// [{ id, name, url | file, idPrefix }]
+export function playlistRefs(requested) {
+  if (requested) return [{ id: null, url: requested, idPrefix: '' }];
+  const list = listPlaylists();
+  if (list.length) return list.filter(p => p.enabled);
+  const url = getDefaults().playlistUrl;
+  return url ? [{ id: null, url, idPrefix: '' }] : [];
+}
+
+// The channel list: the playlists playlistRefs picks, merged in order. Each
+// entry says which playlist it came from (origin: playlist id, null for a
+// single unlisted playlist); entries left sharing an id, within a playlist or
+// across them, are grouped as variants of one channel. Header guide URLs are
+// collected from all. A playlist that fails to load is skipped (and reported
+// in playlists[].error) unless it's the only one. null without any playlist.
+export async function loadPlaylists(requested = null) {
+  const refs = playlistRefs(requested);
+  if (!refs.length) return null;
+  const loaded = await Promise.allSettled(refs.map(loadOne));
+  if (refs.length === 1 && loaded[0].status === 'rejected') throw loaded[0].reason;
+  const ok = loaded.filter(r => r.status === 'fulfilled').map(r => r.value);
+  if (!ok.length) throw new Error(`No playlist could be loaded: ${loaded[0].reason?.message}`);
+  const channels = groupVariants(ok.flatMap(p => p.channels));
+  const epgUrls = [...new Set(ok.flatMap(p => playlistEpgUrls(p)))];
+  const playlists = refs.map((ref, i) => ({
+    id: ref.id,
+    name: ref.name || ref.id || null,
+    url: ref.url || null,
+    file: !!ref.file,
+    idPrefix: ref.idPrefix || '',
+    channelCount: loaded[i].status === 'fulfilled' ? loaded[i].value.channels.length : 0,
+    error: loaded[i].status === 'rejected' ? loaded[i].reason?.message || 'failed' : null
+  }));
+  return { headerAttrs: ok[0].headerAttrs, guessedHeaderAttrs: ok[0].guessedHeaderAttrs, epgUrls, channels, playlists };
+}
+
+// EPG URLs advertised by the playlist header (url-tvg / x-tvg-url, comma
+// separated), in the header's order; for merged playlists, every header's
+export function playlistEpgUrls(parsed) {
+  if (parsed.epgUrls) return parsed.epgUrls;
+  return splitUrls(findEpgUrlInHeader(parsed.headerAttrs) || findEpgUrlInHeader(parsed.guessedHeaderAttrs));
+}
+
+// The first of them, if any
+export function playlistEpgUrl(parsed) {
+  return playlistEpgUrls(parsed)[0] || null;
+}
@@ -0,0 +1,270 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { streamParseXmltv } from './streamXmltv.js';
+
+// On-disk programme index for mirrored feeds, so channel/day lookups don't
+// SAX-parse the whole file again.
+//
+// data/index/<sha1(path)>/current.json -> { buildId }
+// data/index/<sha1(path)>/<buildId>/manifest.json: source signature, channels and,
+//   per UTC day, the byte range of each channel's block in <YYYYMMDD>.ndjson
+// Each .ndjson holds the programmes starting that day, grouped by channel and
+// sorted by start; the manifest records the longest programme (maxSpanMs), so
+// windowed reads look back far enough for ones still running. A rebuild writes a new build dir and then swaps current.json.
+// Times are stored parsed, so the source's assumed zone (opts.assumeZone, see
+// streamParseXmltv) is part of the signature: changing it rebuilds the index.
+
+const indexDir = path.join(process.cwd(), 'epg-viewer', 'data', 'index');
+const DAY = 24 * 60 * 60 * 1000;
+const UNDATED = 'undated';
+const FLUSH_LINES = 2000;
+// Bumped when the manifest changes shape; older builds are rebuilt
+const INDEX_VERSION = 2;
+
+const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
+
+function ensureDir(p) {
+  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
+}
+
+function keyFor(filePath) {
+  return crypto.createHash('sha1').update(path.resolve(String(filePath))).digest('hex');
+}
+
+function signatureOf(filePath, opts = {}) {
+  try {
+    const st = fs.statSync(filePath);
+    return { size: st.size, mtimeMs: st.mtimeMs, assumeZone: opts.assumeZone || null };
+  } catch {
+    return null;
+  }
+}
+
+function sameSignature(a, b) {
+  return !!(a && b && a.size === b.size && a.mtimeMs === b.mtimeMs && (a.assumeZone || null) === b.assumeZone);
+}
+
+function upToDate(entry, sig) {
+  return !!(entry && entry.manifest.version === INDEX_VERSION && sameSignature(entry.manifest.source, sig));
+}
+
+function dayKey(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+function bucketOf(p) {
+  const s = p.start ? Date.parse(p.start) : NaN;
+  if (Number.isFinite(s)) return dayKey(s);
+  const e = p.stop ? Date.parse(p.stop) : NaN;
+  return Number.isFinite(e) ? dayKey(e) : UNDATED;
+}
+
+// Loaded manifests: key -> { buildId, dir, manifest, byNorm: Map(normId -> [ids]) }
+const loaded = new Map();
+// In-flight or queued builds: key -> Promise
+const building = new Map();
+let queue = Promise.resolve();
+
+function loadCurrent(filePath) {
+  const key = keyFor(filePath);
+  const base = path.join(indexDir, key);
+  let cur;
+  try { cur = JSON.parse(fs.readFileSync(path.join(base, 'current.json'), 'utf8')); } catch { return null; }
+  const hit = loaded.get(key);
+  if (hit && hit.buildId === cur.buildId) return hit;
+  try {
+    const dir = path.join(base, cur.buildId);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    const byNorm = new Map();
+    const addId = (id) => { const n = norm(id); if (!byNorm.has(n)) byNorm.set(n, new Set()); byNorm.get(n).add(id); };
+    for (const id of Object.keys(manifest.channels || {})) addId(id);
+    for (const offs of Object.values(manifest.days || {})) for (const id of Object.keys(offs)) addId(id);
+    const entry = { buildId: cur.buildId, dir, manifest, byNorm };
+    loaded.set(key, entry);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+// Is there an index built from the file as it is on disk right now (and
+// with the same assumed zone)?
+export function indexStatus(filePath, opts = {}) {
+  const entry = loadCurrent(filePath);
+  const sig = signatureOf(filePath, opts);
+  return {
+    ready: upToDate(entry, sig),
+    building: building.has(keyFor(filePath)),
+    builtAt: entry ? entry.manifest.builtAt : null,
+    totalProgrammes: entry ? entry.manifest.totalProgrammes : 0
+  };
+}
+
+// Build (once) the index for a mirrored file. Builds run one at a time; a
+// request for a file that is already indexed or queued is a no-op.
+export function ensureIndex(filePath, opts = {}) {
+  const key = keyFor(filePath);
+  if (building.has(key)) return building.get(key);
+  if (indexStatus(filePath, opts).ready) return Promise.resolve(loaded.get(key));
+  const job = queue.then(() => buildIndex(filePath, key, opts)).catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('[index] build failed', filePath, e.message || e);
+    return null;
+  }).finally(() => building.delete(key));
+  building.set(key, job);
+  queue = job;
+  return job;
+}
+
+async function buildIndex(filePath, key, opts) {
+  const sig = signatureOf(filePath, opts);
+  if (!sig) return null;
+  const base = path.join(indexDir, key);
+  const buildId = `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  const dir = path.join(base, buildId);
+  ensureDir(dir);
+
+  // Pass 1: stream every programme into per-day spill files
+  const pending = new Map(); // day -> [lines]
+  const flush = (day) => {
+    const lines = pending.get(day);
+    if (!lines || !lines.length) return;
+    fs.appendFileSync(path.join(dir, `${day}.spill`), lines.join(''));
+    pending.set(day, []);
+  };
+  let maxSpanMs = 0;
+  const { channels, totalProgrammes } = await streamParseXmltv(filePath, null, {
+    noWindow: true,
+    assumeZone: sig.assumeZone,
+    onProgramme: (channel, p) => {
+      const day = bucketOf(p);
+      const span = Date.parse(p.stop) - Date.parse(p.start);
+      if (span > maxSpanMs) maxSpanMs = span;
+      if (!pending.has(day)) pending.set(day, []);
+      const lines = pending.get(day);
+      lines.push(JSON.stringify({ c: channel, p }) + '\n');
+      if (lines.length >= FLUSH_LINES) flush(day);
+    }
+  });
+  for (const day of pending.keys()) flush(day);
+
+  // Pass 2: regroup each day by channel, sort, and record byte ranges
+  const days = {};
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.spill'))) {
+    const day = f.slice(0, -'.spill'.length);
+    const byChannel = new Map();
+    for (const line of fs.readFileSync(path.join(dir, f), 'utf8').split('\n')) {
+      if (!line) continue;
+      const { c, p } = JSON.parse(line);
+      if (!byChannel.has(c)) byChannel.set(c, []);
+      byChannel.get(c).push(p);
+    }
+    const offsets = {};
+    const chunks = [];
+    let pos = 0;
+    for (const [c, list] of byChannel) {
+      list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+      const buf = Buffer.from(list.map(p => JSON.stringify(p)).join('\n') + '\n', 'utf8');
+      offsets[c] = [pos, buf.length];
+      pos += buf.length;
+      chunks.push(buf);
+    }
+    fs.writeFileSync(path.join(dir, `${day}.ndjson`), Buffer.concat(chunks));
+    fs.unlinkSync(path.join(dir, f));
+    days[day] = offsets;
+  }
+
+  const manifest = {
+    version: INDEX_VERSION,
+    source: { path: path.resolve(filePath), ...sig },
+    builtAt: new Date().toISOString(),
+    totalProgrammes,
+    maxSpanMs,
+    channels: Object.fromEntries(channels),
+    days
+  };
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+  const curPath = path.join(base, 'current.json');
+  fs.writeFileSync(curPath + '.tmp', JSON.stringify({ buildId }));
+  fs.renameSync(curPath + '.tmp', curPath);
+  // Drop older builds
+  for (const other of fs.readdirSync(base)) {
+    if (other === buildId || other.startsWith('current.json')) continue;
+    try { fs.rmSync(path.join(base, other), { recursive: true, force: true }); } catch {}
+  }
+  return loadCurrent(filePath);
+}
+
+// Same contract as streamParseXmltv(filePath, allowedIds, opts) for the
+// windowed/full lookups the routes make. Returns null when no up-to-date index
+// exists so the caller can fall back to parsing the file.
+export function queryIndex(filePath, allowedIds = null, opts = {}) {
+  const entry = loadCurrent(filePath);
+  if (!upToDate(entry, signatureOf(filePath, opts))) return null;
+  const { manifest, dir, byNorm } = entry;
+  const channels = new Map(Object.entries(manifest.channels || {}));
+  const schedules = {};
+  if (!allowedIds || allowedIds.size === 0) return { channels, schedules, totalProgrammes: manifest.totalProgrammes };
+
+  const noWindow = !!opts.noWindow;
+  const fromMs = Number.isFinite(opts.windowFromMs) ? opts.windowFromMs : Date.now() - 7 * DAY;
+  const toMs = Number.isFinite(opts.windowToMs) ? opts.windowToMs : Date.now() + 3 * DAY;
+  const ids = new Set();
+  for (const a of allowedIds) for (const id of byNorm.get(norm(a)) || []) ids.add(id);
+  let days = Object.keys(manifest.days || {});
+  if (!noWindow) {
+    // Programmes are bucketed by start day; look back by the longest one (at
+    // least a day) for ones running into the window
+    const first = dayKey(fromMs - Math.max(DAY, manifest.maxSpanMs || 0));
+    const last = dayKey(toMs);
+    days = days.filter(d => d !== UNDATED && d >= first && d <= last);
+  }
+  days.sort();
+  for (const day of days) {
+    const offsets = manifest.days[day];
+    const wanted = Array.from(ids).filter(id => offsets[id]);
+    if (!wanted.length) continue;
+    let fd;
+    try {
+      fd = fs.openSync(path.join(dir, `${day}.ndjson`), 'r');
+      for (const id of wanted) {
+        const [pos, len] = offsets[id];
+        const buf = Buffer.alloc(len);
+        fs.readSync(fd, buf, 0, len, pos);
+        for (const line of buf.toString('utf8').split('\n')) {
+          if (!line) continue;
+          const p = JSON.parse(line);
+          if (!noWindow && !overlapsWindow(p, fromMs, toMs)) continue;
+          if (!schedules[id]) schedules[id] = [];
+          schedules[id].push(p);
+        }
+      }
+    } catch {
+      // Build replaced underneath us; let the caller parse the file instead
+      return null;
+    } finally {
+      if (fd !== undefined) try { fs.closeSync(fd); } catch {}
+    }
+  }
+  return { channels, schedules, totalProgrammes: manifest.totalProgrammes };
+}
+
+// Mirrors the window test in streamParseXmltv
+function overlapsWindow(p, fromMs, toMs) {
+  const startMs = p.start ? Date.parse(p.start) : NaN;
+  const stopMs = p.stop ? Date.parse(p.stop) : NaN;
+  return (
+    (Number.isFinite(startMs) && startMs < toMs && (!Number.isFinite(stopMs) || stopMs > fromMs)) ||
+    (Number.isFinite(stopMs) && stopMs > fromMs && (!Number.isFinite(startMs) || startMs < toMs))
+  );
+}
+
+// Index lookup with a fallback to parsing the file while no index is ready.
+export async function readProgrammes(filePath, allowedIds = null, opts = {}) {
+  const hit = queryIndex(filePath, allowedIds, opts);
+  if (hit) return hit;
+  return await streamParseXmltv(filePath, allowedIds, opts);
+}
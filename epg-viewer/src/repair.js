@@ -0,0 +1,97 @@
+import { isoToXmltvTime } from './xmltv.js';
+
+// Schedule repair, run by mergeLayers on every channel it merges:
+//   each input   drop programmes without a valid start or with stop <= start,
+//                sort by start, drop duplicates (same instant, whatever the
+//                timezone notation), infer missing stops from the next start
+//                and trim programmes that run into the next one
+//   merged list  infer the stops still missing from the next programme of
+//                any source (priority already settled which programmes stay)
+// Inferred stops are capped: a programme followed by a long gap keeps no stop.
+// What was fixed is counted per channel into a report { [id]: { key: count } }.
+
+const HOUR = 60 * 60 * 1000;
+const MAX_INFERRED_MS = 12 * HOUR;
+
+export const REPAIR_KINDS = {
+  invalid: 'dropped (no valid start)',
+  badDuration: 'dropped (zero or negative duration)',
+  reordered: 'out-of-order starts sorted',
+  duplicates: 'duplicates removed',
+  inferredStops: 'missing stops inferred',
+  trimmed: 'overlaps trimmed'
+};
+
+function bump(tally, kind, n = 1) {
+  if (n > 0) tally[kind] = (tally[kind] || 0) + n;
+}
+
+function withStop(p, ms) {
+  const stop = new Date(ms).toISOString();
+  return { ...p, stop, stopXmltv: isoToXmltvTime(stop) };
+}
+
+// [{ p, s, e }] sorted by start; e is NaN when the programme has no stop
+function timed(list, tally) {
+  const out = [];
+  let last = -Infinity, reordered = false;
+  for (const p of list || []) {
+    const s = Date.parse(p.start || '');
+    if (!Number.isFinite(s)) { bump(tally, 'invalid'); continue; }
+    const e = p.stop ? Date.parse(p.stop) : NaN;
+    if (Number.isFinite(e) && e <= s) { bump(tally, 'badDuration'); continue; }
+    if (s < last) reordered = true;
+    last = Math.max(last, s);
+    out.push({ p, s, e });
+  }
+  if (reordered) {
+    bump(tally, 'reordered');
+    out.sort((a, b) => a.s - b.s);
+  }
+  return out;
+}
+
+// Stops from the next start: missing ones inferred (within the cap), and,
+// when trim is set, ones running past the next start cut back to it
+function fillStops(items, tally, trim) {
+  return items.map((it, i) => {
+    const next = items[i + 1];
+    if (!next) return it.p;
+    if (!Number.isFinite(it.e)) {
+      if (next.s - it.s > MAX_INFERRED_MS) return it.p;
+      bump(tally, 'inferredStops');
+      return withStop(it.p, next.s);
+    }
+    if (trim && it.e > next.s) {
+      bump(tally, 'trimmed');
+      return withStop(it.p, next.s);
+    }
+    return it.p;
+  });
+}
+
+// One input's programmes, cleaned; the first of several at the same instant stays
+export function repairLayer(list, tally) {
+  const items = timed(list, tally).filter((it, i, arr) => {
+    if (i === 0 || it.s !== arr[i - 1].s) return true;
+    bump(tally, 'duplicates');
+    return false;
+  });
+  return fillStops(items, tally, true);
+}
+
+// The merged schedule of a channel, with stops left open by one input closed by the next programme
+export function repairMerged(list, tally) {
+  return fillStops(timed(list, tally), tally, false);
+}
+
+// Add one channel's tally to a report
+export function addRepairs(report, id, tally) {
+  if (!report || !Object.keys(tally).length) return;
+  const own = report[id] || (report[id] = {});
+  for (const [kind, n] of Object.entries(tally)) bump(own, kind, n);
+}
+
+export function repairTotal(tally) {
+  return Object.values(tally || {}).reduce((n, v) => n + v, 0);
+}
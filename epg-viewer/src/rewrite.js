@@ -0,0 +1,169 @@
+// Ordered rewrite rules for programme text, applied to feed programmes as
+// they are read (before merging, caching and export). A rule applies to every
+// channel (scope 'global'), one source ('source', target = sourceId) or one
+// playlist channel ('channel', target = playlistId); matching rules run in
+// list order.
+//
+// Actions (pattern is a regex; flags default to 'i'):
+//   replace   field: pattern -> replacement ($1 etc. allowed)
+//   strip     field: remove matches, then tidy spaces and dangling separators
+//   subtitle  move the match (group 1 if any) from field to the sub-title, when it has none
+//   episode   take season/episode from the match (named groups season/episode,
+//             else groups 1 and 2, or 1 alone for the episode) into an
+//             xmltv_ns episode number and remove it from field
+//   category  categories matching the pattern become replacement; empty drops them
+//
+// Text rules rewrite every language variant and keep title/subTitle/desc in
+// step with the first one.
+
+const SCOPES = new Set(['global', 'source', 'channel']);
+const ACTIONS = new Set(['replace', 'strip', 'subtitle', 'episode', 'category']);
+const FIELDS = { title: 'titles', subTitle: 'subTitles', desc: 'descs' };
+
+// Validated copy of a rule from the API; throws with a message for the client
+export function normalizeRule(r) {
+  if (!r || !ACTIONS.has(r.action)) throw new Error('action must be replace, strip, subtitle, episode or category');
+  const scope = SCOPES.has(r.scope) ? r.scope : 'global';
+  const out = {
+    id: typeof r.id === 'string' && r.id ? r.id : `rule_${Math.random().toString(36).slice(2, 10)}`,
+    enabled: r.enabled !== false,
+    scope,
+    target: scope === 'global' ? null : String(r.target || '').trim(),
+    action: r.action,
+    field: r.action === 'category' ? 'category' : (FIELDS[r.field] ? r.field : 'title'),
+    pattern: String(r.pattern || ''),
+    flags: String(r.flags == null ? 'i' : r.flags).replace(/[^imsu]/g, ''),
+    replacement: typeof r.replacement === 'string' ? r.replacement : ''
+  };
+  if (scope !== 'global' && !out.target) throw new Error(`${scope} rules need a target`);
+  if (!out.pattern) throw new Error('pattern is required');
+  try {
+    new RegExp(out.pattern, out.flags);
+  } catch (e) {
+    throw new Error(`Invalid pattern: ${e.message}`);
+  }
+  if (r.note) out.note = String(r.note).slice(0, 200);
+  return out;
+}
+
+// Enabled rules with their regexes built; invalid ones are skipped
+export function compileRules(rules) {
+  const out = [];
+  for (const r of Array.isArray(rules) ? rules : []) {
+    if (!r || r.enabled === false) continue;
+    try {
+      out.push({ ...r, re: new RegExp(r.pattern, r.flags + 'g') });
+    } catch {}
+  }
+  return out;
+}
+
+// The compiled rules for programmes of one source read into one channel
+export function rulesFor(compiled, { sourceId = null, channelId = null } = {}) {
+  return compiled.filter(r => r.scope === 'global'
+    || (r.scope === 'source' && sourceId != null && r.target === sourceId)
+    || (r.scope === 'channel' && channelId != null && r.target === channelId));
+}
+
+// Collapse spaces and drop separators left dangling at either end ("Live: ", " -")
+function tidy(s) {
+  return s.replace(/\s{2,}/g, ' ').replace(/^[\s\-–—:|,;.]+|[\s\-–—:|,;]+$/g, '').trim();
+}
+
+function firstMatch(re, s) {
+  re.lastIndex = 0;
+  const m = re.exec(s);
+  re.lastIndex = 0;
+  return m;
+}
+
+function mapText(p, field, fn) {
+  const listKey = FIELDS[field];
+  const list = p[listKey] || (p[field] ? [{ value: p[field], lang: null }] : null);
+  if (!list) return p;
+  const values = list.map(v => fn(String(v.value || '')));
+  if (values.every((v, i) => v === list[i].value)) return p;
+  const next = list.map((v, i) => ({ ...v, value: values[i] })).filter(v => v.value);
+  const out = { ...p };
+  if (next.length) {
+    out[listKey] = next;
+    out[field] = next[0].value;
+  } else {
+    delete out[listKey];
+    // subTitle is only set when present; title/desc are always there
+    if (field === 'subTitle') delete out.subTitle; else out[field] = null;
+  }
+  return out;
+}
+
+function setSubTitle(p, value) {
+  if (!value || p.subTitle) return p;
+  return { ...p, subTitle: value, subTitles: [{ value, lang: null }] };
+}
+
+function episodeNum(m) {
+  const g = m.groups || {};
+  let season = g.season, episode = g.episode;
+  if (season == null && episode == null) {
+    if (m[2] != null) { season = m[1]; episode = m[2]; } else episode = m[1];
+  }
+  const s = Number(season), e = Number(episode);
+  if (!Number.isInteger(e) || e < 1) return null;
+  return `${Number.isInteger(s) && s >= 1 ? s - 1 : ''}.${e - 1}.`;
+}
+
+function applyRule(p, r) {
+  switch (r.action) {
+    case 'replace':
+      return mapText(p, r.field, s => s.replace(r.re, r.replacement).trim());
+    case 'strip':
+      return mapText(p, r.field, s => tidy(s.replace(r.re, ' ')));
+    case 'subtitle': {
+      const m = firstMatch(r.re, p[r.field] || '');
+      if (!m) return p;
+      const moved = tidy(m[1] != null ? m[1] : m[0]);
+      return setSubTitle(mapText(p, r.field, s => tidy(s.replace(r.re, ' '))), moved);
+    }
+    case 'episode': {
+      const m = firstMatch(r.re, p[r.field] || '');
+      if (!m) return p;
+      const value = episodeNum(m);
+      const out = mapText(p, r.field, s => tidy(s.replace(r.re, ' ')));
+      if (!value || (p.episodeNums || []).some(x => x.system === 'xmltv_ns')) return out;
+      return { ...out, episodeNums: [...(p.episodeNums || []), { system: 'xmltv_ns', value }] };
+    }
+    case 'category': {
+      const list = p.categories || (p.category ? [{ value: p.category, lang: null }] : null);
+      if (!list) return p;
+      const seen = new Set();
+      const next = [];
+      let hit = false;
+      for (const v of list) {
+        r.re.lastIndex = 0;
+        const match = r.re.test(v.value || '');
+        r.re.lastIndex = 0;
+        hit = hit || match;
+        const value = match ? r.replacement.trim() : v.value;
+        if (!value || seen.has(value.toLowerCase())) continue;
+        seen.add(value.toLowerCase());
+        next.push({ ...v, value });
+      }
+      if (!hit) return p;
+      const out = { ...p, category: next.length ? next[0].value : null };
+      if (next.length) out.categories = next; else delete out.categories;
+      return out;
+    }
+  }
+  return p;
+}
+
+export function rewriteProgramme(p, rules) {
+  let out = p;
+  for (const r of rules) out = applyRule(out, r);
+  return out;
+}
+
+export function rewriteList(list, rules) {
+  if (!rules || !rules.length || !Array.isArray(list)) return list;
+  return list.map(p => rewriteProgramme(p, rules));
+}
@@ -0,0 +1,116 @@
+import { mirrorFetch } from './mirror.js';
+import { getDefaults, listSources, setSourceMirrorStatus } from './store.js';
+
+// Background mirroring: every enabled source is refreshed on its own interval
+// (source.refreshMinutes or defaults.mirrorIntervalMinutes), so the snapshot
+// history used for backfill has no gaps when nobody is requesting exports.
+
+const MIN = 60 * 1000;
+const RETRY_BASE_MS = 5 * MIN;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const STARTUP_DELAY_MS = 15 * 1000;
+
+const timers = new Map(); // sourceId -> timeout
+const running = new Map(); // sourceId -> Promise
+let queue = Promise.resolve();
+
+function intervalMs(src) {
+  const d = getDefaults();
+  const minutes = Number(src.refreshMinutes) || Number(d.mirrorIntervalMinutes) || 180;
+  return Math.max(5, minutes) * MIN;
+}
+
+// +-10% so sources added together don't keep hitting their servers in lockstep
+function jitter(ms) {
+  return Math.round(ms * (0.9 + Math.random() * 0.2));
+}
+
+// After a failure retry sooner: 5, 10, 20 ... minutes, never later than the normal interval
+function delayAfter(src, failures) {
+  const every = intervalMs(src);
+  if (!failures) return jitter(every);
+  return jitter(Math.min(every, RETRY_BASE_MS * 2 ** (failures - 1)));
+}
+
+function schedule(src, delay) {
+  clearTimeout(timers.get(src.id));
+  const ms = Math.max(1000, Math.min(MAX_TIMEOUT_MS, delay));
+  const t = setTimeout(() => {
+    timers.delete(src.id);
+    refreshSource(src.id).catch(() => {});
+  }, ms);
+  t.unref?.();
+  timers.set(src.id, t);
+  setSourceMirrorStatus(src.id, { nextAt: new Date(Date.now() + ms).toISOString() });
+}
+
+// Mirror one source now (queued behind any other refresh) and schedule its next run.
+export function refreshSource(id) {
+  if (running.has(id)) return running.get(id);
+  const job = queue.then(() => runRefresh(id)).finally(() => running.delete(id));
+  running.set(id, job);
+  queue = job.catch(() => {});
+  return job;
+}
+
+async function runRefresh(id) {
+  const src = listSources().find(s => s.id === id);
+  if (!src) return null;
+  const prev = src.mirror || {};
+  const startedAt = new Date().toISOString();
+  let status;
+  try {
+    const result = await mirrorFetch(src.url, { assumeZone: src.assumeZone });
+    if (result.stale) throw new Error(`${result.error}; serving last good copy`);
+    status = {
+      lastAttemptAt: startedAt,
+      lastSuccessAt: new Date().toISOString(),
+      lastError: null,
+      bytes: result.bytes || 0,
+      changed: !!result.changed,
+      failures: 0
+    };
+    if (result.changed) status.lastChangedAt = status.lastSuccessAt;
+  } catch (e) {
+    status = {
+      lastAttemptAt: startedAt,
+      lastError: e.message || String(e),
+      lastErrorAt: new Date().toISOString(),
+      failures: (prev.failures || 0) + 1
+    };
+    // eslint-disable-next-line no-console
+    console.error('[mirror] refresh failed', { source: id, failures: status.failures, error: status.lastError });
+  }
+  setSourceMirrorStatus(id, status);
+  const current = listSources().find(s => s.id === id);
+  if (!current) return null;
+  if (getDefaults().mirrorSchedulerEnabled !== false && current.enabled !== false) schedule(current, delayAfter(current, status.failures));
+  return current.mirror;
+}
+
+// (Re)arm timers for all enabled sources. Call after sources or settings change.
+// A source keeps its pending nextAt when that is still in the future.
+export function rescheduleMirrors() {
+  for (const t of timers.values()) clearTimeout(t);
+  timers.clear();
+  const off = getDefaults().mirrorSchedulerEnabled === false;
+  let stagger = STARTUP_DELAY_MS;
+  for (const src of listSources()) {
+    const m = src.mirror || {};
+    if (off || src.enabled === false || !src.url) {
+      if (m.nextAt) setSourceMirrorStatus(src.id, { nextAt: null });
+      continue;
+    }
+    const last = Date.parse(m.lastAttemptAt || '');
+    let due = Number.isFinite(last) ? last + (m.failures ? delayAfter(src, m.failures) : intervalMs(src)) : 0;
+    const pending = Date.parse(m.nextAt || '');
+    if (Number.isFinite(pending) && pending > Date.now() && pending < due) due = pending;
+    if (due <= Date.now()) {
+      // Overdue or never mirrored: spread the first runs out a little
+      schedule(src, stagger);
+      stagger += 5000;
+    } else {
+      schedule(src, due - Date.now());
+    }
+  }
+}
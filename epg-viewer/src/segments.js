@@ -0,0 +1,76 @@
+import { DateTime } from 'luxon';
+import { isoToXmltvTime } from './xmltv.js';
+
+// Composite channels: a mapping with segments takes each part of the day (or
+// week) from a different EPG channel, e.g. a kids channel 06:00-21:00 and
+// another broadcaster on the same frequency at night. Segment times are wall
+// clock in the channel's zone (mapping zoneId, else UTC).
+//
+// Segment: { sourceId?, epgChannelId?, from: 'HH:MM', to: 'HH:MM', days?: [1-7] }
+// to <= from runs past midnight; days are ISO weekdays (1 = Monday) of the day
+// the segment starts on, all days when omitted.
+
+const CLOCK = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+const MIN_PIECE_MS = 60 * 1000; // drop slivers left by clipping
+
+// 'HH:MM' -> minutes after midnight (24:00 allowed), else null
+export function parseClock(s) {
+  const m = CLOCK.exec(String(s || '').trim());
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes <= 1440 ? minutes : null;
+}
+
+function atClock(day, minutes) {
+  return minutes >= 1440 ? day.plus({ days: 1 }) : day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+}
+
+// [startMs, endMs) spans when the segment is on air and overlaps [fromMs, toMs)
+export function segmentSpans(seg, fromMs, toMs) {
+  const from = parseClock(seg.from), to = parseClock(seg.to);
+  if (from == null || to == null || !(fromMs < toMs)) return [];
+  let zone = seg.zoneId || 'UTC';
+  if (!DateTime.now().setZone(zone).isValid) zone = 'UTC';
+  const days = Array.isArray(seg.days) && seg.days.length ? seg.days : null;
+  const out = [];
+  // Start a day early: a segment running past midnight may still be on at fromMs
+  let day = DateTime.fromMillis(fromMs, { zone }).startOf('day').minus({ days: 1 });
+  for (; day.toMillis() < toMs; day = day.plus({ days: 1 })) {
+    if (days && !days.includes(day.weekday)) continue;
+    const start = atClock(day, from).toMillis();
+    const end = atClock(to > from ? day : day.plus({ days: 1 }), to).toMillis();
+    if (end > fromMs && start < toMs && end > start) out.push([start, end]);
+  }
+  return out;
+}
+
+// Programmes cut to the segment's spans. A programme crossing a boundary keeps
+// the part inside; one without a stop time is kept when it starts inside.
+export function clipToSegment(list, seg) {
+  if (!list || !list.length) return [];
+  let lo = Infinity, hi = -Infinity;
+  for (const p of list) {
+    const s = Date.parse(p.start || ''), e = Date.parse(p.stop || '');
+    if (Number.isFinite(s)) { lo = Math.min(lo, s); hi = Math.max(hi, s + 1); }
+    if (Number.isFinite(e)) hi = Math.max(hi, e);
+  }
+  const spans = segmentSpans(seg, lo, hi);
+  const out = [];
+  for (const p of list) {
+    const s = Date.parse(p.start || '');
+    if (!Number.isFinite(s)) continue;
+    const e = Date.parse(p.stop || '');
+    for (const [a, b] of spans) {
+      if (!Number.isFinite(e)) {
+        if (s >= a && s < b) out.push(p);
+        continue;
+      }
+      const cs = Math.max(s, a), ce = Math.min(e, b);
+      if (ce - cs < MIN_PIECE_MS) continue;
+      if (cs === s && ce === e) { out.push(p); continue; }
+      const start = new Date(cs).toISOString(), stop = new Date(ce).toISOString();
+      out.push({ ...p, start, stop, startXmltv: isoToXmltvTime(start), stopXmltv: isoToXmltvTime(stop) });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,189 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { streamParseXmltv } from './streamXmltv.js';
+import { currentMirror, mirrorFetch } from './mirror.js';
+
+// Feed quality report for a source, computed from its mirrored file in one
+// streaming pass. Reports are cached per source until the mirror changes.
+
+const healthDir = path.join(process.cwd(), 'epg-viewer', 'data', 'cache', 'health');
+const HOUR = 60 * 60 * 1000;
+const TOLERANCE_MS = 60 * 1000; // ignore sub-minute seams between programmes
+const MAX_SAMPLES = 5;
+
+function ensureDir() {
+  if (!fs.existsSync(healthDir)) fs.mkdirSync(healthDir, { recursive: true });
+}
+
+function signatureOf(file, assumeZone) {
+  try {
+    const st = fs.statSync(file);
+    return { path: file, size: st.size, mtimeMs: st.mtimeMs, assumeZone: assumeZone || null };
+  } catch {
+    return null;
+  }
+}
+
+// Report file for a source id; null for ids that would leave healthDir
+function reportFile(sourceId) {
+  const id = String(sourceId);
+  if (!id || /[/\\]/.test(id) || id === '.' || id === '..') return null;
+  return path.join(healthDir, `${id}.json`);
+}
+
+function readCached(sourceId, sig) {
+  try {
+    const obj = JSON.parse(fs.readFileSync(reportFile(sourceId), 'utf8'));
+    const s = obj.mirror || {};
+    if (sig && s.path === sig.path && s.size === sig.size && s.mtimeMs === sig.mtimeMs && (s.assumeZone || null) === sig.assumeZone) return obj;
+  } catch {}
+  return null;
+}
+
+export function deleteHealthReport(sourceId) {
+  const file = reportFile(sourceId);
+  if (file) try { fs.unlinkSync(file); } catch {}
+}
+
+const iso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+const hoursFrom = (ms, now) => (Number.isFinite(ms) ? Math.round(((ms - now) / HOUR) * 10) / 10 : null);
+
+// Walk one channel's programmes (sorted by start) and report coverage, gaps and overlaps.
+// A programme without stop runs until the next one starts, as XMLTV readers assume.
+function channelStats(id, meta, acc, now) {
+  const starts = acc.starts, stops = acc.stops;
+  const order = starts.map((_, i) => i).sort((a, b) => starts[a] - starts[b]);
+  let from = NaN, to = NaN;
+  let gapCount = 0, gapMs = 0, overlapCount = 0;
+  const gaps = [], overlaps = [];
+  let prevEnd = NaN;
+  for (let k = 0; k < order.length; k++) {
+    const i = order[k];
+    const s = starts[i];
+    let e = stops[i];
+    if (!Number.isFinite(e)) e = k + 1 < order.length ? starts[order[k + 1]] : s;
+    if (!Number.isFinite(from)) from = s;
+    if (Number.isFinite(prevEnd)) {
+      if (s - prevEnd > TOLERANCE_MS) {
+        gapCount++;
+        gapMs += s - prevEnd;
+        if (gaps.length < MAX_SAMPLES) gaps.push({ from: iso(prevEnd), to: iso(s), minutes: Math.round((s - prevEnd) / 60000) });
+      } else if (prevEnd - s > TOLERANCE_MS) {
+        overlapCount++;
+        if (overlaps.length < MAX_SAMPLES) overlaps.push({ at: iso(s), minutes: Math.round((prevEnd - s) / 60000) });
+      }
+    }
+    prevEnd = Number.isFinite(prevEnd) ? Math.max(prevEnd, e) : e;
+    to = Number.isFinite(to) ? Math.max(to, e) : e;
+  }
+  return {
+    id,
+    name: meta?.name || id,
+    declared: !!meta,
+    programmes: acc.count,
+    from: iso(from),
+    to: iso(to),
+    futureHours: hoursFrom(to, now),
+    gaps: gapCount,
+    gapMinutes: Math.round(gapMs / 60000),
+    overlaps: overlapCount,
+    missingStop: acc.missingStop,
+    badTimestamps: acc.badTimestamps,
+    gapSamples: gaps,
+    overlapSamples: overlaps
+  };
+}
+
+// Cached reports keep absolute times; "hours ahead" is relative to now
+function withCurrentHours(report) {
+  const now = Date.now();
+  const hours = (v) => hoursFrom(v ? Date.parse(v) : NaN, now);
+  return { ...report, futureHours: hours(report.to), channels: report.channels.map(c => ({ ...c, futureHours: hours(c.to) })) };
+}
+
+export async function analyzeFeed(file, assumeZone = null) {
+  const now = Date.now();
+  const perChannel = new Map(); // id -> { count, starts, stops, missingStop, badTimestamps }
+  const badSamples = [];
+  let missingStop = 0, badTimestamps = 0, noOffset = 0;
+  const { channels, totalProgrammes } = await streamParseXmltv(file, null, {
+    noWindow: true,
+    assumeZone,
+    onProgramme: (channel, p) => {
+      const id = channel || '';
+      if (!perChannel.has(id)) perChannel.set(id, { count: 0, starts: [], stops: [], missingStop: 0, badTimestamps: 0 });
+      const acc = perChannel.get(id);
+      acc.count++;
+      // xmltvTimeToIso() gives null for a value it can't read; keep the raw one for the report
+      const badStart = !p.start;
+      const badStop = !!p.stopXmltv && !p.stop;
+      if (badStart || badStop) {
+        acc.badTimestamps++;
+        badTimestamps++;
+        if (badSamples.length < MAX_SAMPLES) badSamples.push({ channel: id, start: p.startXmltv, stop: p.stopXmltv });
+      }
+      if (!p.stopXmltv) { acc.missingStop++; missingStop++; }
+      // Offset-less times left as UTC (with an assumed zone they carry its offset by now)
+      if (/^\d{14}\s*$/.test(p.startXmltv || '')) noOffset++;
+      if (badStart) return;
+      acc.starts.push(Date.parse(p.start));
+      acc.stops.push(p.stop ? Date.parse(p.stop) : NaN);
+    }
+  });
+
+  const list = [];
+  for (const [id, acc] of perChannel) list.push(channelStats(id, channels.get(id), acc, now));
+  const emptyChannels = Array.from(channels.keys()).filter(id => !perChannel.has(id));
+  list.sort((a, b) => a.id.localeCompare(b.id));
+  let earliest = NaN, reach = NaN;
+  for (const c of list) {
+    if (!c.from) continue;
+    const f = Date.parse(c.from), t = Date.parse(c.to);
+    if (!(f >= earliest)) earliest = f;
+    if (!(t <= reach)) reach = t;
+  }
+  return {
+    generatedAt: new Date(now).toISOString(),
+    channelCount: channels.size,
+    programmeCount: totalProgrammes,
+    from: iso(earliest),
+    to: iso(reach),
+    futureHours: hoursFrom(reach, now),
+    missingStop,
+    badTimestamps,
+    badTimestampSamples: badSamples,
+    noOffset,
+    assumeZone,
+    channelsWithGaps: list.filter(c => c.gaps).length,
+    channelsWithOverlaps: list.filter(c => c.overlaps).length,
+    emptyChannels,
+    undeclaredChannels: list.filter(c => !c.declared).map(c => c.id),
+    channels: list
+  };
+}
+
+// Source-level totals without the per-channel list
+export function healthSummary(report) {
+  const { channels, ...rest } = report;
+  return { ...rest, shortChannels: channels.filter(c => c.from && c.futureHours < 24).length };
+}
+
+// Report for a source's current mirror. Mirrors it first if nothing is on disk
+// yet; refresh=true ignores the cached report.
+export async function sourceHealth(src, opts = {}) {
+  let mirror = currentMirror(src.url);
+  if (!mirror) {
+    await mirrorFetch(src.url, { assumeZone: src.assumeZone });
+    mirror = currentMirror(src.url);
+  }
+  const sig = signatureOf(mirror.path, src.assumeZone);
+  if (!opts.refresh) {
+    const hit = readCached(src.id, sig);
+    if (hit) return withCurrentHours(hit);
+  }
+  const report = { sourceId: src.id, url: src.url, mirror: sig, mirroredAt: mirror.savedAt || null, ...(await analyzeFeed(mirror.path, src.assumeZone)) };
+  ensureDir();
+  const file = reportFile(src.id);
+  if (file) try { fs.writeFileSync(file, JSON.stringify(report)); } catch {}
+  return report;
+}
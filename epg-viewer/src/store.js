@@ -1,13 +1,17 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { parseLanguageList } from './lang.js';
+import { parseClock } from './segments.js';
 
 const dataDir = path.join(process.cwd(), 'epg-viewer', 'data');
 const settingsPath = path.join(dataDir, 'settings.json');
 const sourcesCacheDir = path.join(dataDir, 'source-cache');
+const playlistFilesDir = path.join(dataDir, 'playlists');
 
 function ensureDirs() {
   if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
   if (!fs.existsSync(sourcesCacheDir)) fs.mkdirSync(sourcesCacheDir, { recursive: true });
+  if (!fs.existsSync(playlistFilesDir)) fs.mkdirSync(playlistFilesDir, { recursive: true });
 }
 
   const defaultSettings = {
@@ -21,14 +25,53 @@ function ensureDirs() {
     historyRetentionDays: 21,
     autoPrewarmEnabled: true,
     autoPrewarmIntervalMinutes: 360,
+    mirrorSchedulerEnabled: true,
+    mirrorIntervalMinutes: 180,
     liveGenerationEnabled: true,
-    lowMemMode: false
+    lowMemMode: false,
+    preferredLanguages: [],
+    // Filler programmes (see placeholders.js); channels opt in by mapping or group
+    placeholderGroups: [],
+    placeholderBlockMinutes: 60,
+    placeholderTitle: '{name}',
+    placeholderDesc: '{group}',
+    // Category -> DVB genre normalization (see genres.js); genreMap: { category: genreId | '' }
+    genreNormalize: false,
+    genreKeepOriginal: false,
+    genreMap: {},
+    // Export filter used when an export URL names none (id from exportFilters)
+    defaultExportFilter: null,
+    // Outbound fetches (see fetchPolicy.js)
+    fetchAllowlist: [],
+    fetchTimeoutSeconds: 300,
+    fetchMaxMegabytes: 512
   },
+  // Playlists merged into one channel list (see loadPlaylists); when empty,
+  // defaults.playlistUrl is the playlist
+  playlists: [
+    // { id, name, url | file: true (uploaded, see writePlaylistFile), enabled: true, idPrefix: '' }
+  ],
   sources: [
-    // { id, url, enabled: true, priority: 100, lastScanAt: ISO, channelCount: 0 }
+    // { id, url, enabled: true, priority: 100, refreshMinutes?: 60, lastScanAt: ISO, channelCount: 0,
+    //   mirror: { lastAttemptAt, lastSuccessAt, lastError, lastErrorAt, bytes, changed, failures, nextAt } }
   ],
   mappings: {
-    // playlistChannelId: { sourceId, epgChannelId }
+    // playlistChannelId: { sourceId, epgChannelId, fallbacks: [{ sourceId, epgChannelId }], languages: ['lt', 'en'] }
+  },
+  overrides: {
+    // playlistChannelId: [{ id, type: 'add'|'edit'|'hide', match?: { start, title? }, start?, stop?, title?, ..., createdAt, updatedAt }]
+  },
+  // Named export content filters (see exportFilters.js)
+  exportFilters: [
+    // { id, name, excludeGroups, excludeChannels, categories, keywords, ratings, minAge }
+  ],
+  // Ordered programme text rewrite rules (see rewrite.js)
+  rewriteRules: [
+    // { id, enabled, scope: 'global'|'source'|'channel', target, action, field, pattern, flags, replacement }
+  ],
+  // Real ids given to playlist entries without a tvg-id (see channelIds.js)
+  channelAliases: {
+    // syntheticId: playlistChannelId
   }
 };
 
@@ -47,8 +90,13 @@ export function loadSettings() {
     // merge defaults for new fields
     cached = {
       defaults: { ...defaultSettings.defaults, ...(obj.defaults || {}) },
+      playlists: Array.isArray(obj.playlists) ? obj.playlists : [],
       sources: Array.isArray(obj.sources) ? obj.sources : [],
-      mappings: obj.mappings || {}
+      mappings: obj.mappings || {},
+      overrides: obj.overrides || {},
+      exportFilters: Array.isArray(obj.exportFilters) ? obj.exportFilters : [],
+      rewriteRules: Array.isArray(obj.rewriteRules) ? obj.rewriteRules : [],
+      channelAliases: obj.channelAliases || {}
     };
   } catch {
     cached = JSON.parse(JSON.stringify(defaultSettings));
@@ -74,6 +122,45 @@ export function updateDefaults(partial) {
   return cached.defaults;
 }
 
+export function listPlaylists() {
+  if (!cached) loadSettings();
+  return cached.playlists;
+}
+
+// Add or replace a playlist (validated by the route); new ones go last
+export function upsertPlaylist(p) {
+  if (!cached) loadSettings();
+  const out = { id: p.id, name: p.name || p.id, enabled: p.enabled !== false, idPrefix: p.idPrefix || '' };
+  if (p.file) out.file = true; else out.url = p.url;
+  const i = cached.playlists.findIndex(x => x.id === p.id);
+  if (i >= 0) cached.playlists[i] = out; else cached.playlists.push(out);
+  saveSettings();
+  return out;
+}
+
+// Only a stored playlist's file is removed, so an id never reaches the filesystem unchecked
+export function deletePlaylist(id) {
+  if (!cached) loadSettings();
+  const found = cached.playlists.find(p => p.id === id);
+  if (!found) return false;
+  cached.playlists = cached.playlists.filter(p => p !== found);
+  if (found.file) {
+    try { fs.unlinkSync(playlistFilePath(found.id)); } catch {}
+  }
+  saveSettings();
+  return true;
+}
+
+// Uploaded playlist files (local channel lists that aren't served anywhere)
+export function playlistFilePath(id) {
+  return path.join(playlistFilesDir, `${id}.m3u`);
+}
+
+export function writePlaylistFile(id, text) {
+  ensureDirs();
+  fs.writeFileSync(playlistFilePath(id), text);
+}
+
 export function listSources() {
   if (!cached) loadSettings();
   return cached.sources;
@@ -87,13 +174,32 @@ export function upsertSource(src) {
   }
   const idx = cached.sources.findIndex(s => s.id === id);
   const base = { id, url, enabled: !!enabled, priority: priority | 0 };
+  // Refresh interval override; null/'' clears it back to the global default
+  const refresh = src.refreshMinutes === '' ? null : src.refreshMinutes;
+  if (refresh != null && Number.isFinite(Number(refresh))) base.refreshMinutes = Math.max(5, Math.round(Number(refresh)));
+  // IANA zone for feed times without an offset (validated by the route); null/'' clears it
+  const zone = src.assumeZone === '' ? null : src.assumeZone;
+  if (typeof zone === 'string' && zone.trim()) base.assumeZone = zone.trim();
   if (idx >= 0) {
-    cached.sources[idx] = { ...cached.sources[idx], ...base };
+    const next = { ...cached.sources[idx], ...base };
+    if (refresh === null) delete next.refreshMinutes;
+    if (zone === null) delete next.assumeZone;
+    cached.sources[idx] = next;
   } else {
     cached.sources.push(base);
   }
   saveSettings();
-  return base;
+  return cached.sources[idx >= 0 ? idx : cached.sources.length - 1];
+}
+
+// Background mirror bookkeeping for a source (merged into source.mirror)
+export function setSourceMirrorStatus(id, status) {
+  if (!cached) loadSettings();
+  const src = cached.sources.find(s => s.id === id);
+  if (!src) return null;
+  src.mirror = { ...(src.mirror || {}), ...status };
+  saveSettings();
+  return src.mirror;
 }
 
 export function deleteSource(id) {
@@ -105,9 +211,29 @@ export function deleteSource(id) {
     const p = path.join(sourcesCacheDir, `${id}.json`);
     if (fs.existsSync(p)) fs.unlinkSync(p);
   } catch {}
-  // remove mappings referencing this source
+  // Drop the source from mappings: the first remaining fallback takes over as
+  // primary, and time segments reading it go. A mapping left with nothing in
+  // it is removed; offsets, languages and curation stay otherwise.
   for (const k of Object.keys(cached.mappings)) {
-    if (cached.mappings[k]?.sourceId === id) delete cached.mappings[k];
+    const m = cached.mappings[k];
+    if (!m) continue;
+    if (Array.isArray(m.fallbacks)) m.fallbacks = m.fallbacks.filter(f => f.sourceId !== id);
+    if (m.sourceId === id) {
+      const next = m.fallbacks?.shift();
+      if (next) {
+        m.sourceId = next.sourceId;
+        m.epgChannelId = next.epgChannelId;
+      } else {
+        delete m.sourceId;
+        delete m.epgChannelId;
+      }
+    }
+    if (Array.isArray(m.fallbacks) && !m.fallbacks.length) delete m.fallbacks;
+    if (Array.isArray(m.segments)) {
+      m.segments = m.segments.filter(sg => sg.sourceId !== id);
+      if (!m.segments.length) delete m.segments;
+    }
+    if (!Object.keys(m).length) delete cached.mappings[k];
   }
   saveSettings();
   return cached.sources.length !== before;
@@ -118,6 +244,36 @@ export function getMappings() {
   return cached.mappings;
 }
 
+// Ordered secondary sources for a channel: [{ sourceId, epgChannelId? }]
+function normalizeFallbacks(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const f of list) {
+    if (!f || typeof f.sourceId !== 'string' || !f.sourceId.trim()) continue;
+    const item = { sourceId: f.sourceId.trim() };
+    if (typeof f.epgChannelId === 'string' && f.epgChannelId.trim()) item.epgChannelId = f.epgChannelId.trim();
+    out.push(item);
+  }
+  return out;
+}
+
+// Time segments of a composite channel: [{ sourceId?, epgChannelId?, from, to, days? }]
+// (see segments.js). Segments with unreadable times are dropped.
+function normalizeSegments(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const sg of list) {
+    if (!sg || parseClock(sg.from) == null || parseClock(sg.to) == null) continue;
+    const item = { from: String(sg.from).trim(), to: String(sg.to).trim() };
+    if (typeof sg.sourceId === 'string' && sg.sourceId.trim()) item.sourceId = sg.sourceId.trim();
+    if (typeof sg.epgChannelId === 'string' && sg.epgChannelId.trim()) item.epgChannelId = sg.epgChannelId.trim();
+    const days = Array.isArray(sg.days) ? [...new Set(sg.days.map(Number).filter(d => Number.isInteger(d) && d >= 1 && d <= 7))].sort() : [];
+    if (days.length && days.length < 7) item.days = days;
+    out.push(item);
+  }
+  return out;
+}
+
 export function setMapping(playlistId, mapping) {
   if (!cached) loadSettings();
   if (!mapping) delete cached.mappings[playlistId];
@@ -126,9 +282,24 @@ export function setMapping(playlistId, mapping) {
     const out = {};
     if (mapping.sourceId) out.sourceId = mapping.sourceId;
     if (mapping.epgChannelId) out.epgChannelId = mapping.epgChannelId;
+    // Timeshift link: base playlist channel id, or false for "not a timeshift"
+    if (typeof mapping.timeshiftOf === 'string' && mapping.timeshiftOf.trim()) out.timeshiftOf = mapping.timeshiftOf.trim();
+    else if (mapping.timeshiftOf === false) out.timeshiftOf = false;
     if (Number.isFinite(mapping.offsetMinutes)) out.offsetMinutes = mapping.offsetMinutes|0;
     if (typeof mapping.zoneId === 'string' && mapping.zoneId.trim()) out.zoneId = mapping.zoneId.trim();
     if (mapping.shiftMode === 'wall' || mapping.shiftMode === 'offset') out.shiftMode = mapping.shiftMode;
+    const fallbacks = normalizeFallbacks(mapping.fallbacks);
+    if (fallbacks.length) out.fallbacks = fallbacks;
+    const segments = normalizeSegments(mapping.segments);
+    if (segments.length) out.segments = segments;
+    const languages = parseLanguageList(mapping.languages);
+    if (languages.length) out.languages = languages;
+    if (typeof mapping.placeholder === 'boolean') out.placeholder = mapping.placeholder;
+    // Curation for the exports: name/logo/group instead of the playlist's, or leave the channel out
+    for (const k of ['name', 'logo', 'group']) {
+      if (typeof mapping[k] === 'string' && mapping[k].trim()) out[k] = mapping[k].trim();
+    }
+    if (mapping.exclude === true) out.exclude = true;
     cached.mappings[playlistId] = out;
   }
   saveSettings();
@@ -142,6 +313,142 @@ export function bulkSetMappings(m) {
   return cached.mappings;
 }
 
+// Manual programme overrides per playlist channel (entries validated by overrides.js)
+export function getOverrides() {
+  if (!cached) loadSettings();
+  return cached.overrides;
+}
+
+// Add an override, or replace the one with the same id
+export function saveOverride(playlistId, entry) {
+  if (!cached) loadSettings();
+  const list = cached.overrides[playlistId] || [];
+  const i = entry.id ? list.findIndex(o => o.id === entry.id) : -1;
+  const now = new Date().toISOString();
+  const out = { ...entry, id: i >= 0 ? entry.id : `ovr_${Math.random().toString(36).slice(2, 10)}`, createdAt: i >= 0 ? list[i].createdAt : now, updatedAt: now };
+  if (i >= 0) list[i] = out; else list.push(out);
+  cached.overrides[playlistId] = list;
+  saveSettings();
+  return out;
+}
+
+export function deleteOverride(playlistId, id) {
+  if (!cached) loadSettings();
+  const list = cached.overrides[playlistId] || [];
+  const next = list.filter(o => o.id !== id);
+  if (next.length === list.length) return false;
+  if (next.length) cached.overrides[playlistId] = next; else delete cached.overrides[playlistId];
+  saveSettings();
+  return true;
+}
+
+// Export content filters (entries validated by exportFilters.js)
+export function getExportFilters() {
+  if (!cached) loadSettings();
+  return cached.exportFilters;
+}
+
+// Add a filter, or replace the one with the same id
+export function saveExportFilter(filter) {
+  if (!cached) loadSettings();
+  const i = cached.exportFilters.findIndex(f => f.id === filter.id);
+  if (i >= 0) cached.exportFilters[i] = filter; else cached.exportFilters.push(filter);
+  saveSettings();
+  return filter;
+}
+
+export function deleteExportFilter(id) {
+  if (!cached) loadSettings();
+  const next = cached.exportFilters.filter(f => f.id !== id);
+  if (next.length === cached.exportFilters.length) return false;
+  cached.exportFilters = next;
+  if (cached.defaults.defaultExportFilter === id) cached.defaults.defaultExportFilter = null;
+  saveSettings();
+  return true;
+}
+
+// Rewrite rules are saved as a whole list, since their order matters (entries validated by rewrite.js)
+export function getRewriteRules() {
+  if (!cached) loadSettings();
+  return cached.rewriteRules;
+}
+
+export function setRewriteRules(rules) {
+  if (!cached) loadSettings();
+  cached.rewriteRules = rules;
+  saveSettings();
+  return cached.rewriteRules;
+}
+
+// Link timeshift channels to their base channel: items [{ playlistId, baseId, offsetMinutes }].
+// The link replaces the channel's own source/offset settings; languages are kept.
+export function linkTimeshifts(items) {
+  if (!cached) loadSettings();
+  const out = {};
+  for (const it of items || []) {
+    if (!it || !it.playlistId || !it.baseId || it.baseId === it.playlistId) continue;
+    const m = { timeshiftOf: String(it.baseId), offsetMinutes: Number.isFinite(it.offsetMinutes) ? (it.offsetMinutes|0) : 60 };
+    const prev = cached.mappings[it.playlistId] || {};
+    if (Array.isArray(prev.languages) && prev.languages.length) m.languages = prev.languages;
+    for (const k of ['name', 'logo', 'group', 'exclude']) if (prev[k] != null) m[k] = prev[k];
+    cached.mappings[it.playlistId] = m;
+    out[it.playlistId] = m;
+  }
+  saveSettings();
+  return out;
+}
+
+// Point channels at a source/EPG channel, keeping the rest of their mapping
+// (offsets, zone, fallbacks). items: [{ playlistId, sourceId, epgChannelId }]
+export function assignSources(items) {
+  if (!cached) loadSettings();
+  const out = {};
+  for (const it of items || []) {
+    if (!it || !it.playlistId || !it.sourceId) continue;
+    const m = { ...(cached.mappings[it.playlistId] || {}), sourceId: String(it.sourceId) };
+    if (it.epgChannelId) m.epgChannelId = String(it.epgChannelId); else delete m.epgChannelId;
+    delete m.timeshiftOf;
+    delete m.segments;
+    cached.mappings[it.playlistId] = m;
+    out[it.playlistId] = m;
+  }
+  saveSettings();
+  return out;
+}
+
+export function getChannelAliases() {
+  if (!cached) loadSettings();
+  return cached.channelAliases;
+}
+
+// Give an id-less playlist entry a real id (or, with toId null, its synthetic
+// id back). Everything kept under the id it has now (fromId) moves along:
+// mapping, overrides, channel rewrite rules, filter exclusions and timeshift
+// links to it.
+export function promoteChannel(syntheticId, fromId, toId) {
+  if (!cached) loadSettings();
+  const to = toId || syntheticId;
+  if (toId) cached.channelAliases[syntheticId] = toId; else delete cached.channelAliases[syntheticId];
+  if (fromId !== to) {
+    for (const store of [cached.mappings, cached.overrides]) {
+      if (store[fromId] === undefined) continue;
+      store[to] = store[fromId];
+      delete store[fromId];
+    }
+    for (const m of Object.values(cached.mappings)) {
+      if (m.timeshiftOf === fromId) m.timeshiftOf = to;
+    }
+    for (const r of cached.rewriteRules) {
+      if (r.scope === 'channel' && r.target === fromId) r.target = to;
+    }
+    for (const f of cached.exportFilters) {
+      f.excludeChannels = f.excludeChannels.map(id => (id === fromId ? to : id));
+    }
+  }
+  saveSettings();
+  return to;
+}
+
 // Channel cache per source
 export function readSourceChannelCache(sourceId) {
   ensureDirs();
@@ -1,11 +1,22 @@
 import { Readable } from 'node:stream';
 import fs from 'node:fs';
+import path from 'node:path';
 import zlib from 'node:zlib';
 import sax from 'sax';
-import { xmltvTimeToIso } from './xmltv.js';
+import { xmltvTimeToIso, assumeXmltvZone } from './xmltv.js';
+import { safeFetch } from './fetchPolicy.js';
+
+// Local files are only read from the mirror dir (mirrors, snapshots), never
+// from a path that came in as a "URL" parameter
+const mirrorDir = path.resolve(process.cwd(), 'epg-viewer', 'data', 'mirror');
 
 // Stream-parse a potentially huge XMLTV file and filter to allowed channel IDs.
 // Returns { channels: Map(id->{name,icon}), schedules: {id: [programmes]}, totalProgrammes }
+// With opts.onProgramme(channelId, programme) every matching programme (all of
+// them when no allowedIds are given) is handed to the callback instead of being
+// collected, so callers can process feeds that don't fit in memory.
+// opts.assumeZone (IANA) is the zone of times the feed writes without an
+// offset; they get that zone's offset at parse time. Without it they read as UTC.
 export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {}) {
   const norm = (s) => (s == null ? '' : String(s).trim().toLowerCase());
   const keepAll = !allowedIds || allowedIds.size === 0;
@@ -17,12 +28,15 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
   const windowFromMs = Number.isFinite(opts.windowFromMs) ? opts.windowFromMs : defaultFrom;
   const windowToMs = Number.isFinite(opts.windowToMs) ? opts.windowToMs : defaultTo;
   const noWindow = !!opts.noWindow;
+  const emit = typeof opts.onProgramme === 'function' ? opts.onProgramme : null;
+  const zone = opts.assumeZone || null;
 
   let input;
   let looksGz = false;
   const src = String(epgUrlOrPath || '');
-  if (/^https?:\/\//i.test(src)) {
-    const res = await fetch(src, { headers: { 'User-Agent': 'epg-viewer/0.1' } });
+  if (/^[a-z][a-z0-9+.-]+:/i.test(src)) {
+    // Any URL goes through the fetch policy, which only lets http(s) through
+    const res = await safeFetch(src, { headers: { 'User-Agent': 'epg-viewer/0.1' } });
     if (!res.ok) throw new Error(`Failed to fetch ${src}: ${res.status} ${res.statusText}`);
     const contentType = res.headers.get('content-type') || '';
     const encoding = res.headers.get('content-encoding') || '';
@@ -41,15 +55,23 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
     }
   } else {
     // treat as local file path
+    const full = path.resolve(src);
+    if (!full.startsWith(mirrorDir + path.sep)) {
+      // eslint-disable-next-line no-console
+      console.warn('[fetch] blocked', { url: src, reason: 'local path outside the mirror directory' });
+      const err = new Error('Blocked by fetch policy: only http(s) URLs are allowed');
+      err.code = 'EBLOCKED';
+      throw err;
+    }
     looksGz = src.endsWith('.gz');
-    input = fs.createReadStream(src);
+    input = fs.createReadStream(full);
   }
   if (!input) throw new Error(`No input stream for ${src}`);
   input = looksGz ? input.pipe(zlib.createGunzip()) : input;
   if (input.setEncoding) input.setEncoding('utf8');
 
   const channels = new Map();
-  const schedules = {}; // id -> [{start, stop, title, desc, category, icon}]
+  const schedules = {}; // id -> [programme], see buildProgramme() for the shape
   let totalProgrammes = 0;
 
   const parser = sax.createStream(true, { lowercase: true, trim: false, normalize: false });
@@ -57,12 +79,16 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
 
   // State machines for current elements
   let curChannel = null; // { id, name, icon }
-  let curProg = null; // { channel, chNorm, start, stop, title, desc, category, icon, include }
-  let curTextTag = null; // 'display-name' | 'title' | 'desc' | 'category'
+  let curProg = null; // { channel, chNorm, start, stop, include, ...collected children }
+  let curTextTag = null; // 'display-name' while inside a channel
+  let progPath = []; // element names below the current <programme>
+  let progAttrs = []; // attributes for each entry in progPath
+  let textBuf = '';
 
   function pushProgramme(p) {
     totalProgrammes++;
     if (!p.include) return;
+    if (zone) { p.start = assumeXmltvZone(p.start, zone); p.stop = assumeXmltvZone(p.stop, zone); }
     // Time-window filter: include only if overlaps [windowFromMs, windowToMs), unless noWindow
     const startIso = xmltvTimeToIso(p.start);
     const stopIso = xmltvTimeToIso(p.stop);
@@ -75,17 +101,9 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
       );
       if (!overlaps) return;
     }
+    if (emit) { emit(p.channel, buildProgramme(p, startIso, stopIso)); return; }
     if (!schedules[p.channel]) schedules[p.channel] = [];
-    schedules[p.channel].push({
-      start: startIso,
-      stop: stopIso,
-      startXmltv: p.start || null,
-      stopXmltv: p.stop || null,
-      title: p.title || null,
-      desc: p.desc || null,
-      category: p.category || null,
-      icon: p.icon || null
-    });
+    schedules[p.channel].push(buildProgramme(p, startIso, stopIso));
   }
 
   parser.on('opentag', (node) => {
@@ -104,6 +122,13 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
         attrs[lk] = '';
       }
     }
+    if (curProg) {
+      openProgrammeChild(curProg, name, attrs, progPath);
+      progPath.push(name);
+      progAttrs.push(attrs);
+      textBuf = '';
+      return;
+    }
     switch (name) {
       case 'channel': {
         const id = attrs.id || null;
@@ -114,9 +139,6 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
         if (curChannel) {
           const src = attrs.src || null;
           if (src && !curChannel.icon) curChannel.icon = src;
-        } else if (curProg) {
-          const src = attrs.src || null;
-          if (src && !curProg.icon) curProg.icon = src;
         }
         break;
       }
@@ -128,35 +150,40 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
         const start = attrs.start || null;
         const stop = attrs.stop || null;
         const chNorm = ch ? norm(ch) : null;
-        const include = keepAll ? false : (chNorm && allowedNorm.has(chNorm));
-        curProg = { channel: ch, chNorm, start, stop, title: null, desc: null, category: null, icon: null, include };
+        const include = keepAll ? !!emit : (chNorm && allowedNorm.has(chNorm));
+        curProg = { channel: ch, chNorm, start, stop, include };
+        progPath = [];
+        progAttrs = [];
         break;
       }
-      case 'title':
-      case 'desc':
-      case 'category':
-        if (curProg) curTextTag = name;
-        break;
       default:
         break;
     }
   });
 
   parser.on('text', (txt) => {
+    if (curProg) {
+      if (progPath.length) textBuf += txt;
+      return;
+    }
     const t = txt?.trim?.();
     if (!t) return;
     if (curChannel && curTextTag === 'display-name') {
       if (!curChannel.name) curChannel.name = t;
-    } else if (curProg && curTextTag) {
-      if (curTextTag === 'title' && !curProg.title) curProg.title = t;
-      else if (curTextTag === 'desc' && !curProg.desc) curProg.desc = t;
-      else if (curTextTag === 'category' && !curProg.category) curProg.category = t;
     }
   });
+  parser.on('cdata', (txt) => { if (curProg && progPath.length) textBuf += txt; });
 
   parser.on('closetag', (nameRaw) => {
     const name = String(nameRaw || '').toLowerCase();
-    if (name === 'display-name' || name === 'title' || name === 'desc' || name === 'category') {
+    if (curProg && name !== 'programme') {
+      const attrs = progAttrs.pop() || {};
+      progPath.pop();
+      closeProgrammeChild(curProg, name, attrs, progPath, textBuf.trim());
+      textBuf = '';
+      return;
+    }
+    if (name === 'display-name') {
       curTextTag = null;
     } else if (name === 'channel') {
       if (curChannel && curChannel.id) {
@@ -194,3 +221,94 @@ export async function streamParseXmltv(epgUrlOrPath, allowedIds = null, opts = {
 
   return { channels, schedules, totalProgrammes };
 }
+
+// XMLTV credit roles, in DTD order
+const CREDIT_ROLES = ['director', 'actor', 'writer', 'adapter', 'producer', 'composer', 'editor', 'presenter', 'commentator', 'guest'];
+// Repeatable, optionally lang-tagged text children of <programme>
+const LANG_TEXT = { 'title': 'titles', 'sub-title': 'subTitles', 'desc': 'descs', 'category': 'categories', 'keyword': 'keywords', 'country': 'countries' };
+
+function push(obj, key, val) {
+  if (!obj[key]) obj[key] = [];
+  obj[key].push(val);
+}
+
+// Children of <programme> that carry their data in attributes (or need a
+// container created before their own children arrive).
+function openProgrammeChild(prog, name, attrs, path) {
+  const parent = path[path.length - 1];
+  if (parent === undefined) {
+    if (name === 'icon' && attrs.src && !prog.icon) prog.icon = attrs.src;
+    else if (name === 'rating') push(prog, 'ratings', { system: attrs.system || null, value: null });
+    else if (name === 'star-rating') push(prog, 'starRatings', { system: attrs.system || null, value: null });
+    else if (name === 'previously-shown') prog.previouslyShown = { start: attrs.start || null, channel: attrs.channel || null };
+    else if (name === 'new') prog.isNew = true;
+    else if (name === 'video' && !prog.video) prog.video = {};
+    else if (name === 'audio' && !prog.audio) prog.audio = {};
+    else if (name === 'credits' && !prog.credits) prog.credits = {};
+  } else if (parent === 'rating' && name === 'icon' && attrs.src) {
+    const r = prog.ratings[prog.ratings.length - 1];
+    if (r && !r.icon) r.icon = attrs.src;
+  }
+}
+
+// Text-bearing children, handled once their content is complete.
+function closeProgrammeChild(prog, name, attrs, path, text) {
+  const parent = path[path.length - 1];
+  if (parent === undefined) {
+    if (LANG_TEXT[name]) {
+      if (text) push(prog, LANG_TEXT[name], { value: text, lang: attrs.lang || null });
+    } else if (name === 'episode-num') {
+      if (text) push(prog, 'episodeNums', { system: attrs.system || 'onscreen', value: text });
+    } else if (name === 'date') {
+      if (text && !prog.date) prog.date = text;
+    } else if (name === 'premiere') {
+      prog.premiere = { value: text || null, lang: attrs.lang || null };
+    }
+  } else if (parent === 'credits' && CREDIT_ROLES.includes(name)) {
+    if (!text) return;
+    const person = { name: text };
+    if (name === 'actor' && attrs.role) person.role = attrs.role;
+    if (name === 'actor' && attrs.guest === 'yes') person.guest = true;
+    push(prog.credits, name, person);
+  } else if ((parent === 'rating' || parent === 'star-rating') && name === 'value') {
+    const list = parent === 'rating' ? prog.ratings : prog.starRatings;
+    const r = list && list[list.length - 1];
+    if (r && text) r.value = text;
+  } else if (parent === 'video' && ['present', 'colour', 'aspect', 'quality'].includes(name)) {
+    if (text) prog.video[name] = text;
+  } else if (parent === 'audio' && ['present', 'stereo'].includes(name)) {
+    if (text) prog.audio[name] = text;
+  }
+}
+
+// Programme shape: start/stop (UTC ISO), startXmltv/stopXmltv (as published),
+// first title/desc/category/icon for quick display, plus the full model —
+// titles/subTitles/descs/categories/keywords/countries as [{ value, lang }],
+// subTitle, episodeNums [{ system, value }], credits { role: [{ name, role? }] },
+// date, ratings/starRatings [{ system, value }], previouslyShown, premiere,
+// isNew, video and audio. Optional keys are only set when present in the feed.
+function buildProgramme(p, startIso, stopIso) {
+  const first = (list) => (list && list.length ? list[0].value : null);
+  const out = {
+    start: startIso,
+    stop: stopIso,
+    startXmltv: p.start || null,
+    stopXmltv: p.stop || null,
+    title: first(p.titles),
+    desc: first(p.descs),
+    category: first(p.categories),
+    icon: p.icon || null
+  };
+  if (p.subTitles) out.subTitle = first(p.subTitles);
+  for (const k of ['titles', 'subTitles', 'descs', 'categories', 'keywords', 'countries', 'episodeNums', 'ratings', 'starRatings']) {
+    if (p[k] && p[k].length) out[k] = p[k];
+  }
+  if (p.credits && Object.keys(p.credits).length) out.credits = p.credits;
+  if (p.date) out.date = p.date;
+  if (p.previouslyShown) out.previouslyShown = p.previouslyShown;
+  if (p.premiere) out.premiere = p.premiere;
+  if (p.isNew) out.isNew = true;
+  if (p.video && Object.keys(p.video).length) out.video = p.video;
+  if (p.audio && Object.keys(p.audio).length) out.audio = p.audio;
+  return out;
+}
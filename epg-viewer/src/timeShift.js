@@ -0,0 +1,136 @@
+import { DateTime } from 'luxon';
+import { xmltvTimeToIso, isoToXmltvTime } from './xmltv.js';
+
+// Channel time shifting: offsets for the JSON views and XMLTV timestamp rendering for exports.
+
+// Normalize all numeric offsets in XMLTV timestamps to +0000.
+// This helps IPTV apps that misinterpret or double-apply timezone offsets.
+const FORCE_ZERO_OFFSET = true;
+
+export function normalizeXmltvOffsetZero(xmltv) {
+  if (!xmltv) return xmltv;
+  const m = /^(\d{14})(?:\s*(?:[+\-]\d{4}|Z))?$/.exec(xmltv);
+  if (m) return `${m[1]} +0000`;
+  return xmltv;
+}
+
+export function applyOffset(list, offsetMinutes) {
+  const delta = (offsetMinutes|0) * 60 * 1000;
+  if (!delta) return list;
+  return list.map(p => ({
+    ...p,
+    start: p.start ? new Date(new Date(p.start).getTime() + delta).toISOString() : p.start,
+    stop: p.stop ? new Date(new Date(p.stop).getTime() + delta).toISOString() : p.stop
+  }));
+}
+
+export function formatXmltvWithZone(utcIso, originalXmltv, zoneId, offsetMinutes, shiftMode = 'wall') {
+  // Helper to parse XMLTV timestamp
+  const parseXmltvParts = (xml) => {
+    const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*([+\-]\d{4}|Z)?$/.exec(xml || '');
+    if (!m) return null;
+    const [, Y, Mo, D, H, Mi, S, Z] = m;
+    let offMin = 0;
+    if (Z && Z !== 'Z') {
+      const sign = Z.startsWith('-') ? -1 : 1;
+      offMin = sign * ((parseInt(Z.slice(1,3),10)||0)*60 + (parseInt(Z.slice(3,5),10)||0));
+    }
+    return { Y, Mo, D, H, Mi, S, offMin };
+  };
+  const fmtXmltv = (Y, Mo, D, H, Mi, S, offMin) => {
+    const sign = offMin >= 0 ? '+' : '-';
+    const abs = Math.abs(offMin);
+    const oh = String(Math.floor(abs/60)).padStart(2,'0');
+    const om = String(abs%60).padStart(2,'0');
+    return `${Y}${Mo}${D}${H}${Mi}${S} ${sign}${oh}${om}`;
+  };
+
+  const addOff = offsetMinutes|0;
+
+  // Shift modes:
+  // - 'wall': shift the wall-clock time by offsetMinutes in the given zone (DST-aware);
+  //           write the correct numeric offset for the shifted instant. If zoneId is missing,
+  //           shift the absolute time and keep the original numeric offset if available.
+  // - 'offset': keep wall-clock digits and only adjust the numeric offset by offsetMinutes.
+
+  // Helper: format from a Luxon DateTime using its current zone/offset
+  const fmtFromDt = (dt) => {
+    const Y = dt.toFormat('yyyy');
+    const Mo = dt.toFormat('LL');
+    const D = dt.toFormat('dd');
+    const H = dt.toFormat('HH');
+    const Mi = dt.toFormat('mm');
+    const S = dt.toFormat('ss');
+    const offMin = dt.offset|0; // minutes
+    return fmtXmltv(Y, Mo, D, H, Mi, S, offMin);
+  };
+
+  if (shiftMode === 'offset') {
+    // Keep wall time digits; adjust numeric offset
+    if (zoneId) {
+      // If zone is specified, derive digits from UTC in that zone (to be consistent per mapping),
+      // then adjust numeric offset only.
+      if (!utcIso && originalXmltv) {
+        const p = parseXmltvParts(originalXmltv);
+        if (!p) return originalXmltv;
+        const finalOff = Math.max(-14*60, Math.min(14*60, p.offMin + addOff));
+        return fmtXmltv(p.Y, p.Mo, p.D, p.H, p.Mi, p.S, finalOff);
+      }
+      if (!utcIso) return originalXmltv || null;
+      const base = DateTime.fromISO(utcIso, { zone: 'utc' }).setZone(zoneId);
+      const Y = base.toFormat('yyyy');
+      const Mo = base.toFormat('LL');
+      const D = base.toFormat('dd');
+      const H = base.toFormat('HH');
+      const Mi = base.toFormat('mm');
+      const S = base.toFormat('ss');
+      const finalOff = Math.max(-14*60, Math.min(14*60, (base.offset|0) + addOff));
+      return fmtXmltv(Y, Mo, D, H, Mi, S, finalOff);
+    }
+    // No zoneId: use original xmltv digits if present
+    if (originalXmltv) {
+      const p = parseXmltvParts(originalXmltv);
+      if (!p) return originalXmltv;
+      const finalOff = Math.max(-14*60, Math.min(14*60, p.offMin + addOff));
+      return fmtXmltv(p.Y, p.Mo, p.D, p.H, p.Mi, p.S, finalOff);
+    }
+    // Fallback: format from UTC ISO, with +0000 and no digit change relative to UTC
+    const shiftedIso = utcIso ? new Date(new Date(utcIso).getTime()).toISOString() : null;
+    return isoToXmltvTime(shiftedIso);
+  }
+
+  // Default: 'wall' mode
+  if (zoneId) {
+    // Zone-aware wall shift
+    let iso = utcIso;
+    if (!iso && originalXmltv) iso = xmltvTimeToIso(originalXmltv);
+    if (!iso) return originalXmltv || null;
+    const dt = DateTime.fromISO(iso, { zone: 'utc' }).setZone(zoneId).plus({ minutes: addOff });
+    return fmtFromDt(dt);
+  }
+  // No zoneId: try to preserve original numeric offset and shift absolute time
+  if (originalXmltv) {
+    const p = parseXmltvParts(originalXmltv);
+    const iso = xmltvTimeToIso(originalXmltv);
+    if (!p || !iso) return originalXmltv;
+    const shifted = DateTime.fromISO(iso, { zone: 'utc' }).plus({ minutes: addOff });
+    // Render wall digits in the original fixed offset
+    const dtLocal = shifted.setZone(`UTC${p.offMin>=0?'+':'-'}${String(Math.floor(Math.abs(p.offMin)/60)).padStart(2,'0')}:${String(Math.abs(p.offMin)%60).padStart(2,'0')}`);
+    return fmtXmltv(dtLocal.toFormat('yyyy'), dtLocal.toFormat('LL'), dtLocal.toFormat('dd'), dtLocal.toFormat('HH'), dtLocal.toFormat('mm'), dtLocal.toFormat('ss'), p.offMin);
+  }
+  // Last resort: UTC wall shift
+  const shiftedIso = utcIso ? new Date(new Date(utcIso).getTime() + addOff*60*1000).toISOString() : null;
+  return isoToXmltvTime(shiftedIso);
+}
+
+// Final start/stop attributes for an exported programme. `p` carries source
+// (unshifted) times; the channel's offset/zone is applied here exactly once.
+export function exportTimes(p, map = {}) {
+  const off = Number.isFinite(map.offsetMinutes) ? (map.offsetMinutes|0) : 0;
+  const mode = map.shiftMode || 'wall';
+  const mustRewrite = off !== 0 || (!!map.zoneId && mode === 'wall');
+  let start = (!mustRewrite && p.startXmltv) ? p.startXmltv : formatXmltvWithZone(p.start, p.startXmltv, map.zoneId, off, mode);
+  let stop = (!mustRewrite && p.stopXmltv) ? p.stopXmltv : formatXmltvWithZone(p.stop, p.stopXmltv, map.zoneId, off, mode);
+  if (FORCE_ZERO_OFFSET) { start = normalizeXmltvOffsetZero(start); if (stop) stop = normalizeXmltvOffsetZero(stop); }
+  return { start, stop };
+}
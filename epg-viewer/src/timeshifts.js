@@ -0,0 +1,105 @@
+import { nameTokens } from './matcher.js';
+
+// Timeshift variants ("Channel +1", "Film4+1.uk") and the base channel they
+// repeat. A variant linked to its base reads the base's EPG and is shifted by
+// the marker's hours on output.
+
+// " +1", "(+2)", "+1h" in a name; single digit so "+12"/"+18" age ratings don't count
+const NAME_SHIFT = /(?:^|[\s([])\+\s?([1-9])(?!\d)\s*(?:h|hrs?|hours?)?(?=$|[\s)\]])/i;
+// "Film4+1.uk", "ITV2plus1.uk", "ChannelA+2"
+const ID_SHIFT = /(?:\+|plus)([1-9])(?=(?:\.[a-z]{2,3})?$)/i;
+
+const lower = (s) => String(s || '').trim().toLowerCase();
+
+// Hours a channel lags its base by, from its names or tvg-id; null if it isn't a timeshift
+export function shiftHours(ch) {
+  for (const n of [ch.tvgName, ch.displayName, ch.name]) {
+    const m = NAME_SHIFT.exec(n || '');
+    if (m) return Number(m[1]);
+  }
+  const m = ID_SHIFT.exec(ch.tvgId || ch.id || '');
+  return m ? Number(m[1]) : null;
+}
+
+// A "+N" entry that reuses its base channel's tvg-id gets an id of its own
+// ("<id>+N") so it can be mapped and exported separately; the original stays
+// in tvgId and the link to the base is implied (ch.timeshift). Mutates channels.
+export function splitTimeshiftIds(channels) {
+  const byId = new Map();
+  for (const c of channels) {
+    if (!c.id) continue;
+    if (!byId.has(c.id)) byId.set(c.id, []);
+    byId.get(c.id).push(c);
+  }
+  for (const [id, list] of byId) {
+    if (list.length < 2) continue;
+    const hours = list.map(shiftHours);
+    // Only when the plain channel is in the playlist too
+    if (!hours.some(h => !h)) continue;
+    list.forEach((c, i) => {
+      if (!hours[i]) return;
+      c.tvgId = id;
+      c.id = `${id}+${hours[i]}`;
+      c.timeshift = { baseId: id, offsetMinutes: hours[i] * 60 };
+    });
+  }
+  return channels;
+}
+
+// Links implied by the playlist itself: playlistId -> { timeshiftOf, offsetMinutes }
+export function implicitLinks(channels) {
+  const out = new Map();
+  for (const c of channels) {
+    if (c.timeshift) out.set(c.id, { timeshiftOf: c.timeshift.baseId, offsetMinutes: c.timeshift.offsetMinutes });
+  }
+  return out;
+}
+
+// Timeshift variants in a playlist with the base channel each one most likely
+// repeats: the implied base for split ids, else the channel whose id or name
+// is the same without the "+N". baseId is null when nothing fits.
+export function detectTimeshifts(channels) {
+  const plain = channels.filter(c => c.id && !c.timeshift && !shiftHours(c));
+  const byId = new Map(plain.map(c => [lower(c.id), c]));
+  const byName = new Map();
+  for (const c of plain) {
+    const key = nameTokens(c.name || c.tvgName || '').join('');
+    if (!key) continue;
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(c);
+  }
+  const out = [];
+  const seen = new Set();
+  for (const c of channels) {
+    if (!c.id || seen.has(c.id)) continue;
+    const hours = c.timeshift ? c.timeshift.offsetMinutes / 60 : shiftHours(c);
+    if (!hours) continue;
+    seen.add(c.id);
+    let base = null, reason = 'no base channel found';
+    if (c.timeshift) {
+      base = byId.get(lower(c.timeshift.baseId)) || { id: c.timeshift.baseId };
+      reason = 'same tvg-id as base';
+    } else {
+      const stripped = c.id.replace(ID_SHIFT, '');
+      if (stripped !== c.id && byId.has(lower(stripped))) {
+        base = byId.get(lower(stripped));
+        reason = 'same id without +N';
+      } else {
+        const same = byName.get(nameTokens(c.name || c.tvgName || '').join('')) || [];
+        // Several plain channels share the name (HD/SD): prefer one from the same group
+        base = same.find(b => b.group && b.group === c.group) || same[0] || null;
+        if (base) reason = 'same name without +N';
+      }
+    }
+    out.push({
+      playlistId: c.id,
+      name: c.name || c.id,
+      baseId: base ? base.id : null,
+      baseName: base ? (base.name || base.id) : null,
+      offsetMinutes: hours * 60,
+      implicit: !!c.timeshift,
+      reason
+    });
+  }
+  return out;
+}
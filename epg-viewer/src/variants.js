@@ -0,0 +1,48 @@
+// Playlist entries sharing an id (4K/FHD/SD streams of a channel, backup
+// URLs) are variants of one logical channel. The first entry is the channel:
+// it names it, and the viewer, mappings and guide go by it. The rest follow it
+// in the playlist export.
+
+const words = (s) => String(s || '').split(/\s+/).filter(Boolean);
+
+// What tells an entry's name apart from its siblings' ("4K", "(backup)"), else its position
+function labels(list) {
+  const common = list.map(c => new Set(words(c.displayName || c.name).map(w => w.toLowerCase())))
+    .reduce((acc, set) => new Set([...acc].filter(w => set.has(w))));
+  return list.map((c, i) => words(c.displayName || c.name).filter(w => !common.has(w.toLowerCase())).join(' ') || `#${i + 1}`);
+}
+
+// Group entries by id: the first gets variants (the other entries of the id)
+// when there are several, and each gets variantIndex and variantLabel.
+// Safe to rerun after ids change. Mutates channels.
+export function groupVariants(channels) {
+  const byId = new Map();
+  for (const c of channels) {
+    delete c.variants;
+    delete c.variantLabel;
+    c.variantIndex = 0;
+    if (!c.id) continue;
+    if (!byId.has(c.id)) byId.set(c.id, []);
+    byId.get(c.id).push(c);
+  }
+  for (const list of byId.values()) {
+    if (list.length < 2) continue;
+    const names = labels(list);
+    list.forEach((c, i) => {
+      c.variantIndex = i;
+      c.variantLabel = names[i];
+    });
+    list[0].variants = list.slice(1);
+  }
+  return channels;
+}
+
+// The logical channels: one entry per id, in playlist order
+export function primaryChannels(channels) {
+  return channels.filter(c => !c.variantIndex);
+}
+
+// A logical channel's entries, itself first
+export function variantsOf(c) {
+  return [c, ...(c.variants || [])];
+}
@@ -1,4 +1,5 @@
 import { XMLParser } from 'fast-xml-parser';
+import { DateTime } from 'luxon';
 
 export function findEpgUrlInHeader(attrs = {}) {
   const keys = Object.keys(attrs || {});
@@ -85,6 +86,24 @@ export function parseXmlTv(text) {
   return { channels, programmes };
 }
 
+export function isValidZone(zone) {
+  return typeof zone === 'string' && !!zone && DateTime.now().setZone(zone).isValid;
+}
+
+// An offset-less XMLTV time read as wall time in `zone` (IANA), with the
+// offset that zone has at that moment added ("20250330120000" in
+// Europe/Vilnius -> "20250330120000 +0300"). Times in a DST gap move forward
+// like the clocks do; the repeated hour reads as its first pass. Values with
+// an offset or unreadable ones, or an unknown zone, come back unchanged.
+export function assumeXmltvZone(xmltv, zone) {
+  if (!xmltv || !zone) return xmltv;
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\s*$/.exec(xmltv);
+  if (!m) return xmltv;
+  const dt = DateTime.fromObject({ year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +m[6] }, { zone });
+  if (!dt.isValid) return xmltv;
+  return dt.toFormat('yyyyLLddHHmmss ZZZ');
+}
+
 export function xmltvTimeToIso(xmltv) {
   if (!xmltv) return null;
   // Formats: YYYYMMDDHHMMSS ZZZZ or YYYYMMDDHHMMSSZ or no TZ
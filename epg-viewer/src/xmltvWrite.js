@@ -0,0 +1,84 @@
+// XMLTV serialisation helpers shared by the export writers.
+
+export const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+export const escAttr = (s) => esc(s).replace(/"/g, '&quot;');
+
+const CREDIT_ROLES = ['director', 'actor', 'writer', 'adapter', 'producer', 'composer', 'editor', 'presenter', 'commentator', 'guest'];
+
+function langAttr(lang) {
+  return lang ? ` lang="${escAttr(lang)}"` : '';
+}
+
+// Lang-tagged variants, falling back to the single display value for
+// programmes that were cached before the full model was kept.
+function variants(list, single) {
+  if (Array.isArray(list) && list.length) return list;
+  return single ? [{ value: single, lang: null }] : [];
+}
+
+function textEls(tag, list, single, ind) {
+  return variants(list, single).map(v => `${ind}<${tag}${langAttr(v.lang)}>${esc(v.value)}</${tag}>\n`).join('');
+}
+
+// Render one <programme> element. `start`/`stop` are the final XMLTV
+// timestamps and `channel` the exported channel id; child elements follow
+// the order required by xmltv.dtd.
+export function programmeXml(p, { start, stop, channel }) {
+  const ind = '    ';
+  const attrs = [`start="${escAttr(start || '')}"`, `channel="${escAttr(channel)}"`];
+  if (stop) attrs.push(`stop="${escAttr(stop)}"`);
+  let out = `  <programme ${attrs.join(' ')}>\n`;
+  out += textEls('title', p.titles, p.title, ind);
+  out += textEls('sub-title', p.subTitles, p.subTitle, ind);
+  out += textEls('desc', p.descs, p.desc, ind);
+  if (p.credits && typeof p.credits === 'object') {
+    let inner = '';
+    for (const role of CREDIT_ROLES) {
+      for (const person of p.credits[role] || []) {
+        const extra = role === 'actor'
+          ? `${person.role ? ` role="${escAttr(person.role)}"` : ''}${person.guest ? ' guest="yes"' : ''}`
+          : '';
+        inner += `${ind}  <${role}${extra}>${esc(person.name)}</${role}>\n`;
+      }
+    }
+    if (inner) out += `${ind}<credits>\n${inner}${ind}</credits>\n`;
+  }
+  if (p.date) out += `${ind}<date>${esc(p.date)}</date>\n`;
+  out += textEls('category', p.categories, p.category, ind);
+  out += textEls('keyword', p.keywords, null, ind);
+  if (p.icon) out += `${ind}<icon src="${escAttr(p.icon)}"/>\n`;
+  out += textEls('country', p.countries, null, ind);
+  for (const e of p.episodeNums || []) {
+    out += `${ind}<episode-num system="${escAttr(e.system || 'onscreen')}">${esc(e.value)}</episode-num>\n`;
+  }
+  if (p.video) {
+    const kids = ['present', 'colour', 'aspect', 'quality'].filter(k => p.video[k]).map(k => `${ind}  <${k}>${esc(p.video[k])}</${k}>\n`).join('');
+    out += kids ? `${ind}<video>\n${kids}${ind}</video>\n` : '';
+  }
+  if (p.audio) {
+    const kids = ['present', 'stereo'].filter(k => p.audio[k]).map(k => `${ind}  <${k}>${esc(p.audio[k])}</${k}>\n`).join('');
+    out += kids ? `${ind}<audio>\n${kids}${ind}</audio>\n` : '';
+  }
+  if (p.previouslyShown) {
+    const ps = p.previouslyShown;
+    out += `${ind}<previously-shown${ps.start ? ` start="${escAttr(ps.start)}"` : ''}${ps.channel ? ` channel="${escAttr(ps.channel)}"` : ''}/>\n`;
+  }
+  if (p.premiere) {
+    out += p.premiere.value
+      ? `${ind}<premiere${langAttr(p.premiere.lang)}>${esc(p.premiere.value)}</premiere>\n`
+      : `${ind}<premiere/>\n`;
+  }
+  if (p.isNew) out += `${ind}<new/>\n`;
+  for (const r of p.ratings || []) {
+    if (!r.value) continue;
+    out += `${ind}<rating${r.system ? ` system="${escAttr(r.system)}"` : ''}>\n${ind}  <value>${esc(r.value)}</value>\n`;
+    if (r.icon) out += `${ind}  <icon src="${escAttr(r.icon)}"/>\n`;
+    out += `${ind}</rating>\n`;
+  }
+  for (const r of p.starRatings || []) {
+    if (!r.value) continue;
+    out += `${ind}<star-rating${r.system ? ` system="${escAttr(r.system)}"` : ''}>\n${ind}  <value>${esc(r.value)}</value>\n${ind}</star-rating>\n`;
+  }
+  out += '  </programme>\n';
+  return out;
+}